@@ -1,31 +1,28 @@
-module.exports = async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+const { getProvider } = require('../lib/providers');
+const { COUNTRIES, DEFAULT_COUNTRY } = require('../lib/locales');
+const { parseEnum, parsePagination } = require('../lib/params');
+const { rejectMethod, sendError } = require('../lib/errors');
+const { withRateLimit } = require('../lib/ratelimit');
 
-  const API_KEY = process.env.NEWS_API_KEY;
-  
-  if (!API_KEY) {
-    return res.status(500).json({ error: 'API key not configured' });
-  }
+module.exports = withRateLimit('headlines', async function handler(req, res) {
+  if (rejectMethod(req, res)) return;
 
   try {
-    const { category } = req.query;
-    const categoryParam = category ? `&category=${category}` : '';
-    const url = `https://newsapi.org/v2/top-headlines?country=us${categoryParam}&pageSize=30&apiKey=${API_KEY}`;
-
-    const response = await fetch(url);
+    const provider = getProvider();
+    const configError = provider.configurationError();
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    if (configError) {
+      throw configError;
     }
 
-    const data = await response.json();
+    const category = parseEnum(req.query, 'category', provider.categories(), '');
+    const country = parseEnum(req.query, 'country', COUNTRIES, DEFAULT_COUNTRY);
+    const { page, pageSize } = parsePagination(req.query);
+    const data = await provider.fetchTopHeadlines({ category, country, page, pageSize });
     
     res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
     res.status(200).json(data);
   } catch (error) {
-    console.error('Error fetching headlines:', error);
-    res.status(500).json({ error: 'Failed to fetch headlines' });
+    sendError(res, error, 'Failed to fetch headlines');
   }
-}
+});
@@ -1,68 +1,136 @@
-module.exports = async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+const { parseJinaResponse } = require('../lib/reader/metadata');
+const { fetchFallbackArticle, isFallbackEnabled } = require('../lib/reader/fallback');
+const { FORMATS, formatArticle } = require('../lib/reader/format');
+const { createCacheFromEnv } = require('../lib/cache');
+const { normalizeUrl, validateArticleUrl } = require('../lib/url');
+const { parseEnum } = require('../lib/params');
+const { ApiError, upstreamError, rejectMethod, sendError } = require('../lib/errors');
+const { withRateLimit } = require('../lib/ratelimit');
+const { recordUpstream } = require('../lib/status');
+const { upstreamFetch, createDeadline } = require('../lib/upstream');
+
+const readerCache = createCacheFromEnv('READER_CACHE');
 
+// Upper bound for the Jina response body, in bytes
+const MAX_CONTENT_BYTES = Number(process.env.READER_MAX_CONTENT_BYTES) || 2 * 1024 * 1024;
+
+/**
+ * Fetch and parse an article through Jina AI Reader.
+ * Throws an ApiError describing the upstream failure.
+ * @param {string} url - Validated article URL
+ * @param {Object} options
+ * @param {number} options.deadline - From createDeadline()
+ */
+async function fetchJinaArticle(url, { deadline }) {
   const JINA_API_KEY = process.env.JINA_API_KEY;
-  const { url } = req.query;
+  const readerUrl = `https://r.jina.ai/${encodeURIComponent(url)}`;
+
+  const headers = {
+    'Accept': 'text/plain'
+  };
 
-  if (!url) {
-    return res.status(400).json({ error: 'URL parameter is required' });
+  if (JINA_API_KEY) {
+    headers['Authorization'] = `Bearer ${JINA_API_KEY}`;
   }
 
+  let response;
   try {
-    const readerUrl = `https://r.jina.ai/${encodeURIComponent(url)}`;
-
-    const headers = {
-      'Accept': 'text/plain'
-    };
-
-    if (JINA_API_KEY) {
-      headers['Authorization'] = `Bearer ${JINA_API_KEY}`;
+    response = await upstreamFetch(readerUrl, { service: 'Jina AI Reader', headers, maxBytes: MAX_CONTENT_BYTES, deadline });
+  } catch (error) {
+    if (error.code === 'CONTENT_TOO_LARGE') {
+      throw new ApiError('CONTENT_TOO_LARGE', 'Article is too large to display in reader mode');
     }
+    recordUpstream('jina', { error });
+    throw error;
+  }
 
-    const response = await fetch(readerUrl, { headers });
-
-    if (!response.ok) {
-      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      
-      if (response.status === 401) {
-        errorMessage = 'Authentication failed. Check your Jina API key.';
-      } else if (response.status === 429) {
-        errorMessage = 'Rate limit exceeded. Please try again later.';
-      } else if (response.status === 451) {
-        errorMessage = 'Content unavailable due to legal restrictions. This article cannot be accessed through the reader. Please use "Open Original" to view it directly.';
+  if (!response.ok) {
+    const error = upstreamError(response, {
+      service: 'Jina AI Reader',
+      messages: {
+        401: 'Authentication failed. Check your Jina API key.',
+        429: 'Rate limit exceeded. Please try again later.',
+        451: 'Content unavailable due to legal restrictions. This article cannot be accessed through the reader. Please use "Open Original" to view it directly.'
       }
+    });
+    // A legal block is about the article, not the health of the service
+    if (error.code !== 'CONTENT_UNAVAILABLE') recordUpstream('jina', { response, error });
+    throw error;
+  }
 
-      return res.status(response.status).json({ 
-        success: false,
-        error: errorMessage 
-      });
+  recordUpstream('jina', { response });
+
+  const content = await response.text();
+
+  if (!content || content.trim().length === 0) {
+    throw new ApiError('UPSTREAM_EMPTY_RESPONSE', 'Empty response from Jina AI Reader');
+  }
+
+  const article = parseJinaResponse(content);
+
+  return {
+    content: article.content,
+    title: article.title,
+    description: article.description,
+    author: article.author,
+    publishedTime: article.publishedTime,
+    url: article.url || url,
+    image: article.image,
+    extractor: 'jina'
+  };
+}
+
+/**
+ * Fetch an article through Jina, falling back to our own extractor when Jina
+ * fails (bad key, rate limit, legal block, empty body). If the fallback fails
+ * too, the original Jina error is reported. Both share one time budget, so
+ * the fallback only gets whatever Jina left of it.
+ */
+async function fetchArticle(url) {
+  const deadline = createDeadline();
+
+  try {
+    return await fetchJinaArticle(url, { deadline });
+  } catch (jinaError) {
+    if (!isFallbackEnabled()) throw jinaError;
+
+    console.warn(`Jina Reader failed for ${url}, using fallback extractor:`, jinaError.message);
+
+    try {
+      const article = await fetchFallbackArticle(url, { maxBytes: MAX_CONTENT_BYTES, deadline });
+      return { ...article, extractor: 'fallback' };
+    } catch (fallbackError) {
+      console.error('Fallback extractor failed:', fallbackError.message);
+      throw jinaError;
     }
+  }
+}
+
+module.exports = withRateLimit('reader', async function handler(req, res) {
+  if (rejectMethod(req, res)) return;
 
-    const content = await response.text();
+  try {
+    const format = parseEnum(req.query, 'format', FORMATS, 'markdown');
+    const debug = parseEnum(req.query, 'debug', ['true', 'false'], 'false') === 'true';
+    const url = await validateArticleUrl(req.query.url);
+
+    let article;
+    let cache = 'miss';
 
-    if (!content || content.trim().length === 0) {
-      return res.status(500).json({ 
-        success: false,
-        error: 'Empty response from Jina AI Reader' 
-      });
+    if (readerCache) {
+      ({ value: article, cache } = await readerCache.getOrFetch(normalizeUrl(url), () => fetchArticle(url)));
+    } else {
+      article = await fetchArticle(url);
     }
 
     res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate');
+    // The cache holds the raw extraction; cleaning and rendering run per request
     res.status(200).json({
       success: true,
-      content: content,
-      title: '',
-      description: '',
-      author: '',
-      publishedTime: ''
+      ...formatArticle(article, format, { debug }),
+      cache
     });
   } catch (error) {
-    console.error('Error fetching article content:', error);
-    res.status(500).json({ 
-      success: false,
-      error: error.message || 'Failed to fetch article content' 
-    });
+    sendError(res, error, 'Failed to fetch article content');
   }
-};
+});
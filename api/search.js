@@ -1,35 +1,66 @@
-module.exports = async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
+const { getProvider } = require('../lib/providers');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../lib/locales');
+const { invalidParam, parseEnum, parseDate, parseList, parseDomains, parsePagination } = require('../lib/params');
+const { rejectMethod, sendError } = require('../lib/errors');
+const { withRateLimit } = require('../lib/ratelimit');
+
+const SORT_BY = ['relevancy', 'popularity', 'publishedAt'];
+const SEARCH_IN = ['title', 'description', 'content'];
+const MAX_QUERY_LENGTH = 500;
+
+/**
+ * Validate the search query string
+ * @param {Object} query - req.query
+ * @returns {Object} Search options for the provider
+ */
+function parseSearchParams(query) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw invalidParam('q', `q must be at most ${MAX_QUERY_LENGTH} characters`);
   }
 
-  const API_KEY = process.env.NEWS_API_KEY;
-  
-  if (!API_KEY) {
-    return res.status(500).json({ error: 'API key not configured' });
+  const options = {
+    q,
+    from: parseDate(query, 'from'),
+    to: parseDate(query, 'to'),
+    sortBy: parseEnum(query, 'sortBy', SORT_BY, 'publishedAt'),
+    sources: parseList(query, 'sources', { pattern: /^[a-z0-9-]+$/, max: 20 }),
+    domains: parseDomains(query, 'domains'),
+    excludeDomains: parseDomains(query, 'excludeDomains'),
+    searchIn: parseList(query, 'searchIn', { values: SEARCH_IN }),
+    language: parseEnum(query, 'language', LANGUAGES, DEFAULT_LANGUAGE),
+    ...parsePagination(query)
+  };
+
+  if (!options.q && !options.sources && !options.domains) {
+    throw invalidParam('q', 'Search query is required');
   }
 
-  try {
-    const { q } = req.query;
-    
-    if (!q) {
-      return res.status(400).json({ error: 'Search query is required' });
-    }
+  if (options.from && options.to && new Date(options.from) > new Date(options.to)) {
+    throw invalidParam('from', 'from must be before to');
+  }
+
+  return options;
+}
 
-    const url = `https://newsapi.org/v2/everything?q=${encodeURIComponent(q)}&sortBy=publishedAt&pageSize=30&language=en&apiKey=${API_KEY}`;
+module.exports = withRateLimit('search', async function handler(req, res) {
+  if (rejectMethod(req, res)) return;
 
-    const response = await fetch(url);
+  try {
+    const provider = getProvider();
+    const configError = provider.configurationError();
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    if (configError) {
+      throw configError;
     }
 
-    const data = await response.json();
-    
+    const options = parseSearchParams(req.query);
+    const data = await provider.search(options);
+
     res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
     res.status(200).json(data);
   } catch (error) {
-    console.error('Error searching news:', error);
-    res.status(500).json({ error: 'Failed to search news' });
+    sendError(res, error, 'Failed to search news');
   }
-}
+});
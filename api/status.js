@@ -0,0 +1,82 @@
+const { providers } = require('../lib/providers');
+const { isFallbackEnabled } = require('../lib/reader/fallback');
+const { getUpstreamStatus } = require('../lib/status');
+const { rejectMethod, sendError } = require('../lib/errors');
+const { withRateLimit } = require('../lib/ratelimit');
+
+/**
+ * Configuration and last known upstream health of a news provider
+ * @param {Object} provider - Provider from the registry
+ * @param {boolean} active - Whether NEWS_PROVIDER selects it
+ * @returns {Object}
+ */
+function describeProvider(provider, active) {
+  const configError = provider.configurationError();
+
+  return {
+    active,
+    configured: !configError,
+    ...(configError && { code: configError.code, message: configError.message }),
+    ...provider.describe(),
+    lastUpstream: getUpstreamStatus(provider.name)
+  };
+}
+
+/**
+ * Jina runs without a key too, just with a lower rate limit
+ * @returns {Object}
+ */
+function describeReader() {
+  const authenticated = Boolean(process.env.JINA_API_KEY);
+
+  return {
+    jina: {
+      mode: authenticated ? 'authenticated' : 'anonymous',
+      ...(!authenticated && { quotaHint: 'Anonymous requests get a much lower rate limit; set JINA_API_KEY to raise it' }),
+      lastUpstream: getUpstreamStatus('jina')
+    },
+    fallback: { enabled: isFallbackEnabled() },
+    cache: (process.env.READER_CACHE || 'memory').toLowerCase()
+  };
+}
+
+/**
+ * ok - the active provider is configured and its last call succeeded
+ * degraded - configured, but the last call to the provider or Jina failed
+ * unconfigured - the active provider cannot be used
+ */
+function overallStatus(active, reader) {
+  if (!active || !active.configured) return 'unconfigured';
+
+  const failing = [active.lastUpstream, reader.jina.lastUpstream].some(upstream => upstream && !upstream.ok);
+  return failing ? 'degraded' : 'ok';
+}
+
+module.exports = withRateLimit('status', async function handler(req, res) {
+  if (rejectMethod(req, res)) return;
+
+  try {
+    const activeName = (process.env.NEWS_PROVIDER || 'newsapi').toLowerCase();
+    const providerStatus = {};
+
+    for (const [name, provider] of Object.entries(providers)) {
+      providerStatus[name] = describeProvider(provider, name === activeName);
+    }
+
+    const reader = describeReader();
+    const active = providerStatus[activeName];
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json({
+      success: true,
+      status: overallStatus(active, reader),
+      provider: activeName,
+      ...(!active && { code: 'CONFIGURATION_ERROR', message: `Unknown news provider: ${activeName}` }),
+      providers: providerStatus,
+      reader,
+      checkedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to check status');
+  }
+});
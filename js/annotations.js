@@ -0,0 +1,714 @@
+// Annotations Module - highlights and notes on reader-mode articles, stored in IndexedDB
+const Annotations = {
+    // DOM Elements
+    toolbar: document.getElementById('highlightToolbar'),
+    noteForm: document.getElementById('highlightNote'),
+    deleteBtn: document.getElementById('highlightDelete'),
+
+    colors: ['yellow', 'green', 'blue', 'pink'],
+
+    // Characters of surrounding text kept with each quote, to tell repeated phrases apart
+    contextLength: 32,
+
+    // Highlights of the open article by id
+    highlights: new Map(),
+
+    // Selection waiting for a color, or the id of the highlight being edited
+    pendingRange: null,
+    activeId: null,
+
+    // Highlight to scroll to once its article has rendered
+    focusId: null,
+    selectionTimer: null,
+
+    /**
+     * Whether highlights can be stored
+     * @returns {boolean}
+     */
+    isSupported() {
+        return 'indexedDB' in window;
+    },
+
+    /**
+     * Initialize selection handling and the highlight toolbar
+     */
+    init() {
+        if (!this.isSupported()) return;
+
+        // Covers mouse, keyboard and touch selection; waits for the selection to settle
+        document.addEventListener('selectionchange', () => {
+            clearTimeout(this.selectionTimer);
+            this.selectionTimer = setTimeout(() => this.handleSelection(), 250);
+        });
+
+        UI.readerContent.addEventListener('click', (e) => {
+            const mark = e.target.closest('mark.reader-highlight');
+            if (mark && window.getSelection().isCollapsed) {
+                this.edit(mark.dataset.highlightId, mark);
+            }
+        });
+
+        // Keep the text selection when a toolbar button is pressed
+        this.toolbar.addEventListener('mousedown', (e) => {
+            if (!e.target.closest('textarea')) e.preventDefault();
+        });
+
+        this.toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.dataset.color) {
+                this.handleColor(button.dataset.color);
+            } else if (button.dataset.action === 'note') {
+                this.handleNote();
+            } else if (button.dataset.action === 'delete') {
+                this.remove(this.activeId);
+                this.hideToolbar();
+            } else if (button.dataset.action === 'cancel-note') {
+                this.hideToolbar();
+            }
+        });
+
+        this.noteForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.update(this.activeId, { note: this.noteForm.elements.note.value.trim() });
+            this.hideToolbar();
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (!this.toolbar.hidden && !this.toolbar.contains(e.target) && !e.target.closest('mark.reader-highlight')) {
+                this.hideToolbar();
+            }
+        });
+
+        UI.readerContent.addEventListener('readerContentLoaded', (e) => {
+            this.restore(e.detail.url);
+        });
+    },
+
+    /**
+     * Offer the toolbar for a text selection inside the reader article
+     */
+    handleSelection() {
+        // Typing a note moves the selection into the textarea
+        if (this.toolbar.contains(document.activeElement)) return;
+
+        const selection = window.getSelection();
+        if (!selection.rangeCount || selection.isCollapsed) {
+            if (this.pendingRange) this.hideToolbar();
+            return;
+        }
+
+        const range = selection.getRangeAt(0);
+        const root = UI.readerContent.querySelector('.reader-article');
+        if (!root || !root.contains(range.startContainer) || !root.contains(range.endContainer)) return;
+        if (!range.toString().trim()) return;
+
+        this.pendingRange = range.cloneRange();
+        this.activeId = null;
+        this.showToolbar(range.getBoundingClientRect(), null);
+    },
+
+    /**
+     * Open the toolbar for an existing highlight
+     * @param {string} id - Highlight id
+     * @param {Element} mark - Clicked mark element
+     */
+    edit(id, mark) {
+        const highlight = this.highlights.get(id);
+        if (!highlight) return;
+
+        this.pendingRange = null;
+        this.activeId = id;
+        this.showToolbar(mark.getBoundingClientRect(), highlight);
+
+        if (highlight.note) this.openNote(highlight);
+    },
+
+    /**
+     * Color button: create a highlight from the selection, or recolor the active one
+     * @param {string} color
+     */
+    async handleColor(color) {
+        if (this.activeId) {
+            this.update(this.activeId, { color });
+        } else {
+            await this.create(color);
+        }
+        this.hideToolbar();
+    },
+
+    /**
+     * Note button: open the note editor, highlighting the selection first if needed
+     */
+    async handleNote() {
+        let highlight = this.highlights.get(this.activeId);
+
+        if (!highlight) {
+            highlight = await this.create(this.colors[0]);
+            if (!highlight) {
+                this.hideToolbar();
+                return;
+            }
+            this.activeId = highlight.id;
+        }
+
+        this.openNote(highlight);
+    },
+
+    /**
+     * Show the note editor for a highlight
+     * @param {Object} highlight
+     */
+    openNote(highlight) {
+        this.noteForm.hidden = false;
+        this.noteForm.elements.note.value = highlight.note || '';
+        this.noteForm.elements.note.focus();
+    },
+
+    /**
+     * Show the toolbar above (or below) a rectangle, inside the scrolling modal
+     * @param {DOMRect} rect - Selection or highlight position in the viewport
+     * @param {Object|null} highlight - Highlight being edited, null for a new selection
+     */
+    showToolbar(rect, highlight) {
+        this.noteForm.hidden = true;
+        this.deleteBtn.hidden = !highlight;
+        this.toolbar.querySelectorAll('[data-color]').forEach(button => {
+            button.setAttribute('aria-pressed', String(Boolean(highlight) && highlight.color === button.dataset.color));
+        });
+        this.toolbar.hidden = false;
+
+        const container = UI.modalContainer;
+        const box = container.getBoundingClientRect();
+        const gap = 8;
+
+        let top = rect.top - box.top + container.scrollTop - this.toolbar.offsetHeight - gap;
+        if (top < container.scrollTop) {
+            top = rect.bottom - box.top + container.scrollTop + gap;
+        }
+
+        const center = rect.left - box.left + rect.width / 2;
+        const maxLeft = Math.max(gap, container.clientWidth - this.toolbar.offsetWidth - gap);
+        const left = Math.min(Math.max(center - this.toolbar.offsetWidth / 2, gap), maxLeft);
+
+        this.toolbar.style.top = `${top}px`;
+        this.toolbar.style.left = `${left}px`;
+    },
+
+    /**
+     * Hide the toolbar and forget the pending selection
+     */
+    hideToolbar() {
+        if (this.toolbar.contains(document.activeElement)) document.activeElement.blur();
+
+        this.toolbar.hidden = true;
+        this.noteForm.hidden = true;
+        this.pendingRange = null;
+        this.activeId = null;
+    },
+
+    /**
+     * Whether the toolbar is showing
+     * @returns {boolean}
+     */
+    isToolbarOpen() {
+        return !this.toolbar.hidden;
+    },
+
+    /**
+     * Highlight the pending selection and save it
+     * @param {string} color
+     * @returns {Promise<Object|null>} The new highlight
+     */
+    async create(color) {
+        const range = this.pendingRange;
+        const article = UI.currentArticle;
+        const root = UI.readerContent.querySelector('.reader-article');
+        if (!range || !article || !root) return null;
+
+        const model = this.textModel(root);
+        const position = this.rangePosition(root, model, range);
+        if (!position) return null;
+
+        const now = new Date().toISOString();
+        const highlight = {
+            id: this.createId(),
+            url: article.url,
+            article: UI.snapshotArticle(article),
+            color,
+            note: '',
+            quote: this.describePosition(model.normalized, position),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        window.getSelection().removeAllRanges();
+        this.pendingRange = null;
+        this.wrap(model, position, highlight);
+
+        try {
+            await Database.put('highlights', highlight);
+        } catch (error) {
+            console.error('Error saving highlight:', error);
+            this.unwrap(highlight.id);
+            UI.showToast('Could not save the highlight', 'error');
+            return null;
+        }
+
+        this.highlights.set(highlight.id, highlight);
+        return highlight;
+    },
+
+    /**
+     * Change a highlight's color or note
+     * @param {string} id - Highlight id
+     * @param {Object} changes - color and/or note
+     */
+    async update(id, changes) {
+        const highlight = this.highlights.get(id);
+        if (!highlight) return;
+
+        Object.assign(highlight, changes, { updatedAt: new Date().toISOString() });
+        this.decorate(this.marksFor(id), highlight);
+
+        try {
+            await Database.put('highlights', highlight);
+        } catch (error) {
+            console.error('Error saving highlight:', error);
+            UI.showToast('Could not save the highlight', 'error');
+        }
+    },
+
+    /**
+     * Delete a highlight, and its marks if the article is open
+     * @param {string} id - Highlight id
+     */
+    async remove(id) {
+        if (!id) return;
+
+        this.unwrap(id);
+        this.highlights.delete(id);
+
+        try {
+            await Database.delete('highlights', id);
+        } catch (error) {
+            console.error('Error deleting highlight:', error);
+            UI.showToast('Could not delete the highlight', 'error');
+        }
+    },
+
+    /**
+     * Put the saved highlights back on a freshly rendered article
+     * @param {string} url - Article URL
+     */
+    async restore(url) {
+        this.hideToolbar();
+        this.highlights = new Map();
+
+        let records;
+        try {
+            records = await Database.getAll('highlights', { index: 'url', query: url });
+        } catch (error) {
+            console.error('Error loading highlights:', error);
+            return;
+        }
+
+        // The user may have moved on while we were reading the database
+        const root = UI.readerContent.querySelector('.reader-article');
+        if (!root || !UI.currentArticle || UI.currentArticle.url !== url) return;
+
+        let missing = 0;
+        records.sort((a, b) => a.quote.start - b.quote.start).forEach(highlight => {
+            this.highlights.set(highlight.id, highlight);
+
+            const model = this.textModel(root);
+            const position = this.locate(highlight.quote, model.normalized);
+            if (position) {
+                this.wrap(model, position, highlight);
+            } else {
+                missing++;
+            }
+        });
+
+        if (missing) {
+            UI.showToast(`${missing} highlight${missing !== 1 ? 's' : ''} could not be found in this version of the article`, 'info');
+        }
+
+        if (this.focusId) {
+            const mark = this.marksFor(this.focusId)[0];
+            this.focusId = null;
+            if (mark) mark.scrollIntoView({ block: 'center' });
+        }
+    },
+
+    /**
+     * Text of an article with whitespace collapsed, plus offset maps back to
+     * the text nodes. Quotes are matched on the collapsed text, so a re-fetch
+     * that only changes line breaks or spacing still finds them.
+     * @param {Element} root - The .reader-article element
+     * @returns {Object} {nodes: [{node, start}], normalized, toOriginal, toNormalized}
+     */
+    textModel(root) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        let text = '';
+
+        while (walker.nextNode()) {
+            nodes.push({ node: walker.currentNode, start: text.length });
+            text += walker.currentNode.data;
+        }
+
+        let normalized = '';
+        const toOriginal = [];
+        const toNormalized = [];
+
+        for (let i = 0; i < text.length; i++) {
+            toNormalized.push(normalized.length);
+
+            if (/\s/.test(text[i])) {
+                if (!normalized || normalized.endsWith(' ')) continue;
+                normalized += ' ';
+            } else {
+                normalized += text[i];
+            }
+            toOriginal.push(i);
+        }
+
+        toNormalized.push(normalized.length);
+        toOriginal.push(text.length);
+
+        return { nodes, normalized, toOriginal, toNormalized };
+    },
+
+    /**
+     * Position of a DOM range in the collapsed text, without surrounding spaces
+     * @param {Element} root - The .reader-article element
+     * @param {Object} model - From textModel()
+     * @param {Range} range
+     * @returns {Object|null} {start, end}
+     */
+    rangePosition(root, model, range) {
+        const offsetOf = (node, offset) => {
+            const before = document.createRange();
+            before.selectNodeContents(root);
+            before.setEnd(node, offset);
+            return before.toString().length;
+        };
+
+        let start = model.toNormalized[offsetOf(range.startContainer, range.startOffset)];
+        let end = model.toNormalized[offsetOf(range.endContainer, range.endOffset)];
+
+        while (start < end && model.normalized[start] === ' ') start++;
+        while (end > start && model.normalized[end - 1] === ' ') end--;
+
+        return start < end ? { start, end } : null;
+    },
+
+    /**
+     * Text quote selector: the quote, the text around it, and where it was
+     * @param {string} normalized - Collapsed article text
+     * @param {Object} position - {start, end}
+     * @returns {Object} {exact, prefix, suffix, start}
+     */
+    describePosition(normalized, { start, end }) {
+        return {
+            exact: normalized.slice(start, end),
+            prefix: normalized.slice(Math.max(0, start - this.contextLength), start),
+            suffix: normalized.slice(end, end + this.contextLength),
+            start
+        };
+    },
+
+    /**
+     * Find a quote in the article text. Among exact matches the one whose
+     * context fits best wins, then the one nearest its old position. Without
+     * an exact match, text of about the right length between the old
+     * surroundings is used.
+     * @param {Object} quote - From describePosition()
+     * @param {string} normalized - Collapsed article text
+     * @returns {Object|null} {start, end}
+     */
+    locate(quote, normalized) {
+        const { exact, prefix, suffix } = quote;
+        let best = null;
+
+        for (let index = normalized.indexOf(exact); index !== -1; index = normalized.indexOf(exact, index + 1)) {
+            const end = index + exact.length;
+            const score = this.sharedSuffix(normalized.slice(Math.max(0, index - prefix.length), index), prefix)
+                + this.sharedPrefix(normalized.slice(end, end + suffix.length), suffix);
+            const distance = Math.abs(index - quote.start);
+
+            if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+                best = { start: index, end, score, distance };
+            }
+        }
+
+        if (best) return { start: best.start, end: best.end };
+
+        // The quote itself was edited: look between the nearest parts of its context
+        const before = prefix.slice(-16);
+        const after = suffix.slice(0, 16);
+        if (before.length < 8 || after.length < 8) return null;
+
+        const tolerance = exact.length * 0.25 + 8;
+        for (let index = normalized.indexOf(before); index !== -1; index = normalized.indexOf(before, index + 1)) {
+            const start = index + before.length;
+            const end = normalized.indexOf(after, start);
+            if (end === -1) break;
+
+            const difference = Math.abs(end - start - exact.length);
+            if (end > start && difference <= tolerance && (!best || difference < best.difference)) {
+                best = { start, end, difference };
+            }
+        }
+
+        return best && { start: best.start, end: best.end };
+    },
+
+    /**
+     * Number of characters two strings share at their end
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    sharedSuffix(a, b) {
+        let count = 0;
+        while (count < a.length && count < b.length && a[a.length - 1 - count] === b[b.length - 1 - count]) count++;
+        return count;
+    },
+
+    /**
+     * Number of characters two strings share at their start
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    sharedPrefix(a, b) {
+        let count = 0;
+        while (count < a.length && count < b.length && a[count] === b[count]) count++;
+        return count;
+    },
+
+    /**
+     * Wrap the text at a position in <mark> elements, one per text node
+     * @param {Object} model - From textModel()
+     * @param {Object} position - {start, end} in the collapsed text
+     * @param {Object} highlight
+     */
+    wrap(model, position, highlight) {
+        const start = model.toOriginal[position.start];
+        const end = model.toOriginal[position.end - 1] + 1;
+        const marks = [];
+
+        model.nodes
+            .filter(({ node, start: nodeStart }) => nodeStart < end && nodeStart + node.data.length > start)
+            .forEach(({ node, start: nodeStart }) => {
+                const from = Math.max(0, start - nodeStart);
+                const to = Math.min(node.data.length, end - nodeStart);
+
+                // Whitespace between blocks cannot hold a <mark>
+                if (!node.data.slice(from, to).trim()) return;
+
+                let target = node;
+                if (from > 0) target = target.splitText(from);
+                if (to - from < target.data.length) target.splitText(to - from);
+
+                const mark = document.createElement('mark');
+                target.parentNode.insertBefore(mark, target);
+                mark.appendChild(target);
+                marks.push(mark);
+            });
+
+        this.decorate(marks, highlight);
+    },
+
+    /**
+     * Apply a highlight's color and note to its marks
+     * @param {Element[]} marks
+     * @param {Object} highlight
+     */
+    decorate(marks, highlight) {
+        marks.forEach((mark, index) => {
+            mark.className = `reader-highlight reader-highlight-${highlight.color}`;
+            mark.dataset.highlightId = highlight.id;
+            mark.title = highlight.note || '';
+
+            // The note marker goes after the last piece
+            if (index === marks.length - 1 && highlight.note) {
+                mark.classList.add('reader-highlight-note');
+            }
+        });
+    },
+
+    /**
+     * Marks of a highlight in the open article
+     * @param {string} id - Highlight id
+     * @returns {Element[]}
+     */
+    marksFor(id) {
+        return Array.from(UI.readerContent.querySelectorAll('mark.reader-highlight'))
+            .filter(mark => mark.dataset.highlightId === id);
+    },
+
+    /**
+     * Remove the marks of a highlight, keeping their text
+     * @param {string} id - Highlight id
+     */
+    unwrap(id) {
+        this.marksFor(id).forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize();
+        });
+    },
+
+    /**
+     * Unique id for a new highlight
+     * @returns {string}
+     */
+    createId() {
+        if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    },
+
+    /**
+     * Render every saved highlight, grouped by article, newest article first
+     * @param {HTMLElement} container
+     * @returns {Promise<number>} Number of highlights shown
+     */
+    async renderList(container) {
+        let records;
+        try {
+            records = await Database.getAll('highlights');
+        } catch (error) {
+            console.error('Error loading highlights:', error);
+            container.innerHTML = `
+                <div class="empty-state">
+                    <h3>Highlights are not available</h3>
+                    <p>${UI.escapeHtml(error.message)}</p>
+                </div>
+            `;
+            return 0;
+        }
+
+        if (!records.length) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🖍️</div>
+                    <h3>No highlights yet</h3>
+                    <p>Select text in reader mode to highlight it or add a note</p>
+                </div>
+            `;
+            return 0;
+        }
+
+        const groups = new Map();
+        records.forEach(highlight => {
+            if (!groups.has(highlight.url)) {
+                groups.set(highlight.url, { article: highlight.article, highlights: [], latest: '' });
+            }
+            const group = groups.get(highlight.url);
+            group.highlights.push(highlight);
+            if (highlight.createdAt > group.latest) group.latest = highlight.createdAt;
+        });
+
+        const sorted = Array.from(groups.values()).sort((a, b) => b.latest.localeCompare(a.latest));
+        sorted.forEach(group => group.highlights.sort((a, b) => a.quote.start - b.quote.start));
+
+        const list = document.createElement('div');
+        list.className = 'library-list';
+        list.innerHTML = sorted.map(group => this.renderGroup(group)).join('');
+
+        list.addEventListener('click', (e) => this.handleListClick(e, groups, container));
+
+        container.innerHTML = '';
+        container.appendChild(list);
+        return records.length;
+    },
+
+    /**
+     * HTML for one article and its highlights
+     * @param {Object} group - {article, highlights}
+     * @returns {string}
+     */
+    renderGroup({ article, highlights }) {
+        const items = highlights.map(highlight => `
+            <li class="highlight-entry" data-id="${UI.escapeHtml(highlight.id)}">
+                <blockquote class="highlight-quote highlight-quote-${highlight.color}" dir="auto">${UI.escapeHtml(highlight.quote.exact)}</blockquote>
+                ${highlight.note ? `<p class="highlight-entry-note" dir="auto">${UI.escapeHtml(highlight.note)}</p>` : ''}
+                <div class="highlight-entry-actions">
+                    <time datetime="${UI.escapeHtml(highlight.createdAt)}">${UI.formatDate(highlight.createdAt)}</time>
+                    <button type="button" class="library-action" data-action="show">Show in article</button>
+                    <button type="button" class="library-action" data-action="delete">Delete</button>
+                </div>
+            </li>
+        `).join('');
+
+        return `
+            <article class="library-item" data-url="${UI.escapeHtml(article.url)}">
+                <header class="library-item-header">
+                    <button type="button" class="library-item-title" data-action="open" dir="auto">${UI.escapeHtml(article.title)}</button>
+                    <div class="library-item-meta">
+                        <span>${UI.escapeHtml(article.source.name)}</span>
+                        <span>${highlights.length} highlight${highlights.length !== 1 ? 's' : ''}</span>
+                        <a href="${UI.escapeHtml(article.url)}" target="_blank" rel="noopener noreferrer">Original ↗</a>
+                    </div>
+                </header>
+                <ul class="highlight-list">${items}</ul>
+                <button type="button" class="btn-secondary library-copy" data-action="copy">📋 Copy quotes</button>
+            </article>
+        `;
+    },
+
+    /**
+     * Open, copy and delete actions in the highlights list
+     * @param {Event} e - Click event
+     * @param {Map} groups - Groups by article URL
+     * @param {HTMLElement} container - Re-rendered after a delete
+     */
+    async handleListClick(e, groups, container) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const item = button.closest('.library-item');
+        const group = groups.get(item.dataset.url);
+        const entry = button.closest('.highlight-entry');
+
+        switch (button.dataset.action) {
+            case 'open':
+                UI.openArticleModal(group.article);
+                break;
+            case 'show':
+                this.focusId = entry.dataset.id;
+                UI.openArticleModal(group.article);
+                break;
+            case 'copy':
+                this.copyQuotes(group);
+                break;
+            case 'delete':
+                await this.remove(entry.dataset.id);
+                container.dispatchEvent(new CustomEvent('libraryChanged', { bubbles: true }));
+                break;
+        }
+    },
+
+    /**
+     * Copy an article's quotes and notes as plain text with a citation
+     * @param {Object} group - {article, highlights}
+     */
+    copyQuotes({ article, highlights }) {
+        const quotes = highlights.map(highlight => {
+            const note = highlight.note ? `\nNote: ${highlight.note}` : '';
+            return `“${highlight.quote.exact}”${note}`;
+        });
+        const text = [`${article.title}\n${article.source.name} · ${article.url}`, ...quotes].join('\n\n');
+
+        navigator.clipboard.writeText(text)
+            .then(() => UI.showToast('Quotes copied to clipboard!', 'success'))
+            .catch(error => {
+                console.error('Failed to copy:', error);
+                UI.showToast('Failed to copy quotes', 'error');
+            });
+    }
+};
@@ -1,23 +1,53 @@
 // API Module - Handles all API requests via serverless functions
 const API = {
+    /**
+     * GET a serverless endpoint and parse its JSON body
+     * @param {string} url - Endpoint URL
+     * @returns {Promise<Object>} Response data, with cachedAt when the service worker answered from its cache
+     * @throws {ApiError} With the code from the API error envelope
+     */
+    async request(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw ApiError.fromNetworkError(error);
+        }
+
+        if (!response.ok) {
+            throw await ApiError.fromResponse(response);
+        }
+
+        const data = await response.json();
+
+        const cachedAt = response.headers.get('X-SW-Cached-At');
+        if (cachedAt) data.cachedAt = cachedAt;
+
+        return data;
+    },
+
     /**
      * Fetch top headlines from NewsAPI
      * @param {string} category - News category (business, technology, etc.)
+     * @param {Object} options - Region and pagination options
+     * @param {string} options.country - Two-letter country code
+     * @param {number} options.page - Page number, starting at 1
+     * @param {number} options.pageSize - Articles per page
      * @returns {Promise<Object>} News data
+     * @throws {ApiError}
      */
-    async fetchTopHeadlines(category = '') {
+    async fetchTopHeadlines(category = '', options = {}) {
         try {
-            const categoryParam = category ? `?category=${category}` : '';
-            const url = `/api/headlines${categoryParam}`;
-
-            const response = await fetch(url);
+            const params = new URLSearchParams();
+            if (category) params.set('category', category);
+            if (options.country) params.set('country', options.country);
+            if (options.page) params.set('page', options.page);
+            if (options.pageSize) params.set('pageSize', options.pageSize);
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+            const query = params.toString();
+            const url = `/api/headlines${query ? `?${query}` : ''}`;
 
-            const data = await response.json();
-            return data;
+            return await this.request(url);
         } catch (error) {
             console.error('Error fetching top headlines:', error);
             throw error;
@@ -27,20 +57,34 @@ const API = {
     /**
      * Search for news articles
      * @param {string} query - Search query
+     * @param {Object} options - Advanced search options
+     * @param {string} options.from - Oldest article date (ISO 8601)
+     * @param {string} options.to - Newest article date (ISO 8601)
+     * @param {string} options.sortBy - relevancy, popularity or publishedAt
+     * @param {string[]} options.sources - NewsAPI source ids
+     * @param {string[]} options.domains - Only these domains
+     * @param {string[]} options.excludeDomains - Never these domains
+     * @param {string[]} options.searchIn - title, description and/or content
+     * @param {string} options.language - Two-letter language code
+     * @param {number} options.page - Page number, starting at 1
+     * @param {number} options.pageSize - Articles per page
      * @returns {Promise<Object>} News data
+     * @throws {ApiError}
      */
-    async searchNews(query) {
+    async searchNews(query, options = {}) {
         try {
-            const url = `/api/search?q=${encodeURIComponent(query)}`;
+            const params = new URLSearchParams();
+            if (query) params.set('q', query);
 
-            const response = await fetch(url);
+            Object.entries(options).forEach(([key, value]) => {
+                if (value === undefined || value === null || value === '') return;
+                if (Array.isArray(value) && value.length === 0) return;
+                params.set(key, Array.isArray(value) ? value.join(',') : value);
+            });
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+            const url = `/api/search?${params}`;
 
-            const data = await response.json();
-            return data;
+            return await this.request(url);
         } catch (error) {
             console.error('Error searching news:', error);
             throw error;
@@ -48,10 +92,16 @@ const API = {
     },
 
     /**
-     * Check if API is available
-     * @returns {boolean}
+     * Fetch provider configuration and upstream health
+     * @returns {Promise<Object>} Status report from /api/status
+     * @throws {ApiError}
      */
-    isApiKeyConfigured() {
-        return true;
+    async fetchStatus() {
+        try {
+            return await this.request('/api/status');
+        } catch (error) {
+            console.error('Error fetching service status:', error);
+            throw error;
+        }
     }
 };
@@ -3,8 +3,17 @@ const App = {
     // Application State
     currentCategory: '',
     currentSearchQuery: '',
+    currentSearchOptions: null,
+    currentView: '',
     searchDebounceTimer: null,
 
+    // Pagination State
+    pageSize: 30,
+    currentPage: 1,
+    totalResults: 0,
+    isLoadingMore: false,
+    requestId: 0,
+
     // DOM Elements
     searchInput: document.getElementById('searchInput'),
     searchBtn: document.getElementById('searchBtn'),
@@ -14,63 +23,194 @@ const App = {
     readerModeBtn: document.getElementById('readerModeBtn'),
     embedModeBtn: document.getElementById('embedModeBtn'),
     shareBtn: document.getElementById('shareBtn'),
+    saveBtn: document.getElementById('saveBtn'),
+    listenBtn: document.getElementById('listenBtn'),
+    queueBtn: document.getElementById('queueBtn'),
+
+    /**
+     * Fetch one page of news for the current category or search
+     * @param {number} page - Page number, starting at 1
+     * @returns {Promise<Object>} News data
+     */
+    fetchPage(page) {
+        const pagination = { page, pageSize: this.pageSize };
+
+        if (this.currentSearchOptions) {
+            return API.searchNews(this.currentSearchQuery, {
+                language: UI.locale.language,
+                ...this.currentSearchOptions,
+                ...pagination
+            });
+        }
+        return API.fetchTopHeadlines(this.currentCategory, { country: UI.locale.country, ...pagination });
+    },
+
+    /**
+     * Check whether another page is available. Goes by the upstream total only:
+     * the server drops removed and duplicate articles, so pages can come back short.
+     * @returns {boolean}
+     */
+    hasMoreResults() {
+        return this.currentPage * this.pageSize < this.totalResults;
+    },
 
     /**
      * Load news based on current state
      */
     async loadNews() {
+        // Responses for an older category or search are dropped
+        const requestId = ++this.requestId;
+
+        this.currentView = '';
+        UI.hideLibraryView();
+        Offline.setFeedSource(null);
+
         try {
             // Show skeleton loading instead of spinner
             UI.showSkeletonLoading(12);
-
-            let data;
+            UI.setLoadMoreState('hidden');
 
             // Determine which API call to make
-            if (this.currentSearchQuery) {
-                data = await API.searchNews(this.currentSearchQuery);
-                UI.updateSectionTitle(`Search: "${this.currentSearchQuery}"`);
+            if (this.currentSearchOptions) {
+                UI.updateSectionTitle(this.currentSearchQuery
+                    ? `Search: "${this.currentSearchQuery}"`
+                    : 'Filtered Search');
 
                 // Add to search history
                 UI.addToSearchHistory(this.currentSearchQuery);
             } else {
-                data = await API.fetchTopHeadlines(this.currentCategory);
                 const categoryName = this.currentCategory
                     ? this.currentCategory.charAt(0).toUpperCase() + this.currentCategory.slice(1)
                     : 'Top';
                 UI.updateSectionTitle(`${categoryName} Headlines`);
             }
 
+            const data = await this.fetchPage(1);
+            if (requestId !== this.requestId) return;
+
             UI.hideLoading();
 
             // Check if API call was successful
             if (data.status === 'ok') {
-                UI.renderArticles(data.articles);
-
-                // Hide API key banner if API is working
-                if (API.isApiKeyConfigured()) {
-                    UI.hideApiKeyBanner();
+                this.currentPage = 1;
+                this.totalResults = data.totalResults || 0;
+                UI.renderArticles(data.articles, this.totalResults);
+                Offline.setFeedSource(data.cachedAt);
+                UI.setLoadMoreState(this.hasMoreResults() ? 'idle' : 'hidden');
+
+                // Refresh a stale warning once news loads again
+                if (!UI.apiKeyBanner.hidden) {
+                    this.checkStatus();
                 }
             } else {
                 UI.showError(data.message || 'Failed to load news');
             }
         } catch (error) {
+            if (requestId !== this.requestId) return;
+
             UI.hideLoading();
 
-            // Check if error is due to missing API key
-            if (!API.isApiKeyConfigured()) {
-                UI.showError('Please add your NewsAPI key in js/api.js to fetch news. Get a free key at NewsAPI.org');
-            } else if (error.message.includes('429')) {
-                UI.showError('Rate limit exceeded. Please try again later.');
-            } else if (error.message.includes('401')) {
-                UI.showError('Invalid API key. Please check your NewsAPI key in js/api.js');
-            } else {
-                UI.showError(`Error: ${error.message}`);
+            UI.showError(UI.describeError(error), {
+                retryAfter: error.retryAfter,
+                onRetry: error.isRetryable ? () => this.loadNews() : null
+            });
+
+            // Configuration and upstream problems also get the status banner
+            if (error.code !== 'INVALID_PARAM') {
+                this.checkStatus();
             }
 
             console.error('Error loading news:', error);
         }
     },
 
+    /**
+     * Update the status banner from /api/status
+     */
+    async checkStatus() {
+        try {
+            UI.renderStatusBanner(await API.fetchStatus());
+        } catch (error) {
+            console.error('Error checking service status:', error);
+        }
+    },
+
+    /**
+     * Append the next page of results
+     */
+    async loadMore() {
+        if (this.isLoadingMore) return;
+
+        const requestId = this.requestId;
+        this.isLoadingMore = true;
+        UI.setLoadMoreState('loading');
+
+        try {
+            const data = await this.fetchPage(this.currentPage + 1);
+            if (requestId !== this.requestId) return;
+
+            if (data.status !== 'ok') {
+                throw new Error(data.message || 'Failed to load more news');
+            }
+
+            this.currentPage += 1;
+            UI.appendArticles(data.articles);
+            UI.updateResultsCount(this.totalResults);
+            UI.setLoadMoreState(this.hasMoreResults() ? 'idle' : 'hidden');
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+
+            // NewsAPI's free plan stops paging after the first 100 results
+            if (error.code === 'UPSTREAM_PLAN_LIMIT') {
+                UI.setLoadMoreState('hidden');
+                UI.showToast(UI.describeError(error), 'info');
+                return;
+            }
+
+            UI.setLoadMoreState('error');
+            UI.showToast(error.code ? UI.describeError(error) : 'Could not load more articles', 'error');
+            console.error('Error loading more news:', error);
+        } finally {
+            this.isLoadingMore = false;
+        }
+    },
+
+    /**
+     * Show a saved-data view instead of the news
+     * @param {string} view - highlights or reading-list
+     */
+    async showLibraryView(view) {
+        // Drop news responses still in flight
+        this.requestId++;
+        this.currentView = view;
+        Offline.setFeedSource(null);
+
+        if (view === 'highlights') {
+            UI.showLibraryView('My highlights');
+            const count = await Annotations.renderList(UI.libraryView);
+            if (this.currentView === view && count) {
+                UI.resultsCount.textContent = `${count} highlight${count !== 1 ? 's' : ''}`;
+            }
+        } else if (view === 'reading-list') {
+            UI.showLibraryView('Reading list');
+            const count = await ReadingList.renderList(UI.libraryView);
+            if (this.currentView === view && count) {
+                UI.resultsCount.textContent = `${count} ${ReadingList.listStatus}`;
+            }
+        }
+    },
+
+    /**
+     * Close the article modal, refreshing a saved-data view that it may have changed
+     */
+    closeArticleModal() {
+        UI.closeArticleModal();
+
+        if (this.currentView) {
+            this.showLibraryView(this.currentView);
+        }
+    },
+
     /**
      * Handle category button click
      * @param {Event} e - Click event
@@ -81,9 +221,15 @@ const App = {
             this.categoryBtns.forEach(btn => btn.classList.remove('active'));
             e.target.classList.add('active');
 
+            if (e.target.dataset.view) {
+                this.showLibraryView(e.target.dataset.view);
+                return;
+            }
+
             // Update state
             this.currentCategory = e.target.dataset.category;
             this.currentSearchQuery = '';
+            this.currentSearchOptions = null;
             this.searchInput.value = '';
 
             // Load news
@@ -96,10 +242,13 @@ const App = {
      */
     handleSearch() {
         const query = this.searchInput.value.trim();
+        const options = UI.getAdvancedSearchOptions();
 
-        if (query) {
+        // Domain or source filters are enough to search without a term
+        if (query || options.domains.length || options.sources.length) {
             // Update state
             this.currentSearchQuery = query;
+            this.currentSearchOptions = options;
             this.currentCategory = '';
 
             // Remove active state from all category buttons
@@ -129,7 +278,7 @@ const App = {
      * Handle modal close button click
      */
     handleModalClose() {
-        UI.closeArticleModal();
+        this.closeArticleModal();
     },
 
     /**
@@ -138,18 +287,25 @@ const App = {
      */
     handleOverlayClick(e) {
         if (e.target === this.modalOverlay) {
-            UI.closeArticleModal();
+            this.closeArticleModal();
         }
     },
 
     /**
-     * Handle escape key press (close modal)
+     * Handle escape key press (close highlight toolbar, popovers or modal)
      * @param {KeyboardEvent} e - Keyboard event
      */
     handleEscapeKey(e) {
         if (e.key === 'Escape') {
-            if (this.modalOverlay.classList.contains('active')) {
-                UI.closeArticleModal();
+            if (Annotations.isToolbarOpen()) {
+                Annotations.hideToolbar();
+            } else if (Export.isMenuOpen()) {
+                Export.toggleMenu(false);
+            } else if (!UI.readerSettingsForm.hidden) {
+                // Close the reader settings first, keeping the article open
+                UI.toggleReaderSettings(false);
+            } else if (this.modalOverlay.classList.contains('active')) {
+                this.closeArticleModal();
             } else {
                 // Also close search suggestions on escape
                 UI.hideSearchSuggestions();
@@ -178,6 +334,32 @@ const App = {
         UI.shareArticle();
     },
 
+    /**
+     * Handle Save for later in the modal or on a card
+     * @param {Object} article - Article to save or remove
+     */
+    async handleReadingListToggle(article) {
+        await ReadingList.toggle(article);
+
+        if (this.currentView === 'reading-list' && !this.modalOverlay.classList.contains('active')) {
+            this.showLibraryView(this.currentView);
+        }
+    },
+
+    /**
+     * Handle Listen button click (read the open article aloud)
+     */
+    handleListen() {
+        Narrator.listen(UI.currentArticle);
+    },
+
+    /**
+     * Handle Queue button click (read the open article after the current one)
+     */
+    handleQueue() {
+        Narrator.enqueue(UI.currentArticle);
+    },
+
     /**
      * Handle search suggestion selection
      */
@@ -185,10 +367,32 @@ const App = {
         this.handleSearch();
     },
 
+    /**
+     * Handle advanced search panel submit
+     */
+    handleAdvancedSearchApplied() {
+        this.handleSearch();
+    },
+
+    /**
+     * Handle region or language change
+     */
+    handleLocaleChanged() {
+        // Saved views don't depend on the region; news reloads when the user goes back
+        if (this.currentView) return;
+
+        this.loadNews();
+    },
+
     /**
      * Initialize event listeners
      */
     initEventListeners() {
+        // Region and language picker
+        document.addEventListener('localeChanged', () => {
+            this.handleLocaleChanged();
+        });
+
         // Category click handler
         document.querySelector('.category-list').addEventListener('click', (e) => {
             this.handleCategoryClick(e);
@@ -209,6 +413,11 @@ const App = {
             this.handleSuggestionSelected();
         });
 
+        // Advanced search applied handler
+        this.searchInput.addEventListener('advancedSearchApplied', () => {
+            this.handleAdvancedSearchApplied();
+        });
+
         // Modal close button
         this.modalClose.addEventListener('click', () => {
             this.handleModalClose();
@@ -237,6 +446,34 @@ const App = {
         this.shareBtn.addEventListener('click', () => {
             this.handleShare();
         });
+
+        // Re-render saved views after a change made from the view itself
+        UI.libraryView.addEventListener('libraryChanged', () => {
+            this.showLibraryView(this.currentView);
+        });
+
+        // Refresh from the "new stories available" indicator
+        document.addEventListener('feedRefresh', () => {
+            this.loadNews();
+        });
+
+        // Save for later: modal button and card buttons
+        this.saveBtn.addEventListener('click', () => {
+            this.handleReadingListToggle(UI.currentArticle);
+        });
+
+        UI.newsGrid.addEventListener('readingListToggle', (e) => {
+            this.handleReadingListToggle(e.detail.article);
+        });
+
+        // Narration buttons
+        this.listenBtn.addEventListener('click', () => {
+            this.handleListen();
+        });
+
+        this.queueBtn.addEventListener('click', () => {
+            this.handleQueue();
+        });
     },
 
     /**
@@ -251,9 +488,30 @@ const App = {
         // Set up event listeners
         this.initEventListeners();
 
+        // Text-to-speech for reader mode
+        Narrator.init();
+
+        // Highlights and notes in reader mode
+        Annotations.init();
+
+        // Articles saved for offline reading
+        ReadingList.init();
+
+        // Service worker, update prompt and offline feed indicator
+        Offline.init();
+
+        // Markdown, HTML, EPUB and print exports of reader content
+        Export.init();
+
+        // Infinite scroll with a "Load more" button as fallback
+        UI.initLoadMore(() => this.loadMore());
+
         // Load initial news
         this.loadNews();
 
+        // Warn about missing keys before the first request fails
+        this.checkStatus();
+
         console.log('NewsHub initialized successfully');
         console.log('Features: Skeleton Loading, Search Autocomplete, Reader Mode');
         console.log('Reader mode powered by Jina AI Reader');
@@ -0,0 +1,125 @@
+// Database Module - IndexedDB storage for data kept on this device (highlights, reading list)
+const Database = {
+    name: 'newsHub',
+    version: 2,
+
+    // Promise for the open connection, shared by every caller
+    connection: null,
+
+    /**
+     * Create or migrate object stores. Each version only adds what it introduced,
+     * so a browser several versions behind runs every step in order.
+     * @param {IDBDatabase} db
+     * @param {number} oldVersion - 0 for a new database
+     */
+    upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            const highlights = db.createObjectStore('highlights', { keyPath: 'id' });
+            highlights.createIndex('url', 'url');
+        }
+
+        if (oldVersion < 2) {
+            db.createObjectStore('readingList', { keyPath: 'url' });
+        }
+    },
+
+    /**
+     * Open the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.connection) return this.connection;
+
+        this.connection = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.name, this.version);
+
+            request.onupgradeneeded = (e) => this.upgrade(request.result, e.oldVersion);
+            request.onsuccess = () => {
+                const db = request.result;
+
+                // Another tab is upgrading: step aside and reopen on next use
+                db.onversionchange = () => {
+                    db.close();
+                    this.connection = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Close other NewsHub tabs to finish updating local storage'));
+        });
+
+        // Let a later call try again
+        this.connection.catch(() => {
+            this.connection = null;
+        });
+
+        return this.connection;
+    },
+
+    /**
+     * Run a request in its own transaction
+     * @param {string} storeName - Object store
+     * @param {string} mode - readonly or readwrite
+     * @param {Function} callback - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>} The request result, once the transaction has committed
+     */
+    async run(storeName, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * Get a record by key
+     * @param {string} storeName
+     * @param {*} key
+     * @returns {Promise<Object|undefined>}
+     */
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    },
+
+    /**
+     * Get all records, or those with an index value
+     * @param {string} storeName
+     * @param {Object} options
+     * @param {string} options.index - Index name
+     * @param {*} options.query - Index value or IDBKeyRange
+     * @returns {Promise<Array>}
+     */
+    getAll(storeName, { index, query } = {}) {
+        return this.run(storeName, 'readonly', store => (index ? store.index(index) : store).getAll(query));
+    },
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName
+     * @param {Object} value
+     * @returns {Promise<*>} The record key
+     */
+    put(storeName, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value));
+    },
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName
+     * @param {*} key
+     * @returns {Promise<void>}
+     */
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+};
@@ -0,0 +1,87 @@
+// Error Module - Typed errors for responses from the serverless API
+class ApiError extends Error {
+    /**
+     * @param {string} code - Machine readable code sent by the API (e.g. UPSTREAM_RATE_LIMITED)
+     * @param {string} message - Human readable message
+     * @param {Object} options
+     * @param {number} options.status - HTTP status (0 for network failures)
+     * @param {number} options.retryAfter - Seconds to wait before retrying
+     * @param {string} options.param - Offending query parameter for INVALID_PARAM
+     */
+    constructor(code, message, { status = 0, retryAfter, param } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+        this.retryAfter = retryAfter;
+        this.param = param;
+    }
+
+    /**
+     * Whether trying the same request again later may succeed
+     * @returns {boolean}
+     */
+    get isRetryable() {
+        return ApiError.RETRYABLE_CODES.includes(this.code);
+    }
+
+    /**
+     * Build an error from a failed response in the shared error envelope
+     * @param {Response} response - fetch response with !ok
+     * @returns {Promise<ApiError>}
+     */
+    static async fromResponse(response) {
+        const body = await response.json().catch(() => ({}));
+        const retryHeader = Number(response.headers.get('Retry-After'));
+
+        return new ApiError(
+            body.code || ApiError.codeForStatus(response.status),
+            body.error || `HTTP ${response.status}: ${response.statusText}`,
+            {
+                status: response.status,
+                retryAfter: body.retryAfter ?? (retryHeader || undefined),
+                param: body.param
+            }
+        );
+    }
+
+    /**
+     * Build an error for a request that never got a response
+     * @param {Error} error - Error thrown by fetch
+     * @returns {ApiError}
+     */
+    static fromNetworkError(error) {
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        const apiError = new ApiError(
+            'NETWORK_ERROR',
+            offline ? 'You appear to be offline' : 'Could not reach the server'
+        );
+        apiError.cause = error;
+        return apiError;
+    }
+
+    /**
+     * Best guess code for responses without one (e.g. platform errors)
+     * @param {number} status - HTTP status
+     * @returns {string}
+     */
+    static codeForStatus(status) {
+        if (status === 429) return 'UPSTREAM_RATE_LIMITED';
+        if (status === 400) return 'INVALID_PARAM';
+        if (status === 401 || status === 403) return 'UPSTREAM_AUTH_FAILED';
+        if (status === 451) return 'CONTENT_UNAVAILABLE';
+        if (status >= 500) return 'UPSTREAM_UNAVAILABLE';
+        return 'UNKNOWN_ERROR';
+    }
+}
+
+ApiError.RETRYABLE_CODES = [
+    'NETWORK_ERROR',
+    'RATE_LIMITED',
+    'UPSTREAM_RATE_LIMITED',
+    'UPSTREAM_UNAVAILABLE',
+    'UPSTREAM_TIMEOUT',
+    'UPSTREAM_ERROR',
+    'UPSTREAM_EMPTY_RESPONSE',
+    'INTERNAL_ERROR'
+];
@@ -0,0 +1,759 @@
+// Export Module - Markdown, standalone HTML, EPUB and print copies of reader content
+const Export = {
+    // DOM Elements
+    exportBtn: document.getElementById('exportBtn'),
+    exportMenu: document.getElementById('exportMenu'),
+
+    // Elements converted to Markdown blocks; everything else is inline
+    blockTags: new Set([
+        'article', 'blockquote', 'details', 'div', 'dl', 'dd', 'dt', 'figcaption', 'figure',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+    ]),
+
+    // Stylesheet of exported HTML files
+    htmlStyles: `
+        body { margin: 0; padding: 2rem 1rem; background: #fff; color: #0f172a; font: 18px/1.7 Georgia, "Times New Roman", serif; }
+        article { max-width: 42rem; margin: 0 auto; }
+        header { margin-bottom: 2rem; padding-bottom: 1rem; border-bottom: 1px solid #e2e8f0; }
+        h1, h2, h3, h4, h5, h6 { font-family: system-ui, sans-serif; line-height: 1.3; }
+        header h1 { margin: 0.25rem 0 0.75rem; font-size: 2rem; }
+        .export-meta, .export-source, footer { font: 14px/1.5 system-ui, sans-serif; color: #475569; }
+        .export-description { color: #475569; font-style: italic; }
+        .export-image { margin-bottom: 1rem; }
+        img { max-width: 100%; height: auto; }
+        a { color: #047857; overflow-wrap: anywhere; }
+        blockquote { margin: 1.5rem 0; padding-left: 1rem; border-left: 4px solid #10b981; color: #475569; }
+        pre { padding: 1rem; overflow-x: auto; background: #f8fafc; border: 1px solid #e2e8f0; font-size: 14px; }
+        code { font-family: ui-monospace, Menlo, Consolas, monospace; }
+        table { border-collapse: collapse; margin: 1.5rem 0; }
+        th, td { padding: 0.4rem 0.75rem; border: 1px solid #e2e8f0; text-align: start; }
+        figcaption { font-size: 0.85em; color: #475569; }
+        footer { margin-top: 3rem; padding-top: 1rem; border-top: 1px solid #e2e8f0; }
+    `,
+
+    // Stylesheet inside EPUB files; reading systems bring their own fonts and colors
+    epubStyles: `
+        h1, h2, h3, h4, h5, h6 { line-height: 1.3; page-break-after: avoid; }
+        header { margin-bottom: 2em; }
+        .export-meta, .export-source { font-size: 0.85em; }
+        .export-description { font-style: italic; }
+        a { overflow-wrap: anywhere; }
+        blockquote { margin: 1em 0; padding-left: 1em; border-left: 3px solid #999; }
+        pre { white-space: pre-wrap; font-size: 0.85em; }
+        table { border-collapse: collapse; }
+        th, td { padding: 0.2em 0.5em; border: 1px solid #999; }
+        nav ol { padding-left: 1.5em; }
+        nav li { margin-bottom: 0.5em; }
+    `,
+
+    /**
+     * Wire the export menu and the print layout
+     */
+    init() {
+        this.exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleMenu();
+        });
+
+        this.exportMenu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-format]');
+            if (!item) return;
+
+            this.toggleMenu(false);
+            this.exportArticle(UI.currentArticle, item.dataset.format);
+        });
+
+        // Hide the menu when clicking outside
+        document.addEventListener('click', (e) => {
+            if (this.isMenuOpen() && !this.exportMenu.contains(e.target)) {
+                this.toggleMenu(false);
+            }
+        });
+
+        // Print only the open article, from the menu or the browser's own print command
+        window.addEventListener('beforeprint', () => {
+            document.body.classList.toggle('print-article', UI.modalOverlay.classList.contains('active'));
+        });
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('print-article');
+        });
+    },
+
+    /**
+     * Whether the export menu is showing
+     * @returns {boolean}
+     */
+    isMenuOpen() {
+        return !this.exportMenu.hidden;
+    },
+
+    /**
+     * Show or hide the export menu
+     * @param {boolean} show - Force visibility, toggles when omitted
+     */
+    toggleMenu(show = this.exportMenu.hidden) {
+        this.exportMenu.hidden = !show;
+        this.exportBtn.setAttribute('aria-expanded', String(show));
+    },
+
+    /**
+     * Export an article in one format
+     * @param {Object} article - Article object
+     * @param {string} format - markdown, html, epub or print
+     */
+    async exportArticle(article, format) {
+        if (!article) return;
+
+        if (format === 'print') {
+            window.print();
+            return;
+        }
+
+        let content;
+        this.exportBtn.disabled = true;
+
+        try {
+            content = await this.getContent(article);
+        } catch (error) {
+            console.error('Error exporting article:', error);
+            UI.showToast(error.code
+                ? `Could not download the article: ${UI.describeError(error)}`
+                : 'Could not export the article', 'error');
+            return;
+        } finally {
+            this.exportBtn.disabled = false;
+        }
+
+        const doc = this.createDocument(article, content);
+
+        switch (format) {
+            case 'markdown':
+                this.download(new Blob([this.toMarkdown(doc)], { type: 'text/markdown;charset=utf-8' }), this.fileName(doc.title, 'md'));
+                break;
+            case 'html':
+                this.download(new Blob([this.toHtml(doc)], { type: 'text/html;charset=utf-8' }), this.fileName(doc.title, 'html'));
+                break;
+            case 'epub':
+                this.download(this.toEpub([doc], doc.title), this.fileName(doc.title, 'epub'));
+                break;
+        }
+    },
+
+    /**
+     * Bundle saved articles into one EPUB with a table of contents
+     * @param {Array} records - Reading list records, in book order
+     */
+    exportCollection(records) {
+        if (!records.length) return;
+
+        const docs = records.map(record => this.createDocument(record.article, record.content));
+        const date = new Date().toLocaleDateString(UI.getDateLocale(), { dateStyle: 'medium' });
+        const title = docs.length === 1 ? docs[0].title : `KJS News reading list, ${date}`;
+
+        this.download(this.toEpub(docs, title), this.fileName(title, 'epub'));
+        UI.showToast(`Exported ${docs.length} article${docs.length !== 1 ? 's' : ''}`, 'success');
+    },
+
+    /**
+     * Reader content of an article: the one open in the modal, the saved copy,
+     * or a fresh download
+     * @param {Object} article - Article object
+     * @returns {Promise<Object>} Content data as returned by /api/reader
+     */
+    async getContent(article) {
+        if (UI.currentArticle && UI.currentArticle.url === article.url && UI.currentContent) {
+            return UI.currentContent;
+        }
+
+        return await ReadingList.getContent(article.url) || await Reader.fetchArticleContent(article.url);
+    },
+
+    /**
+     * Metadata and sanitized body shared by every export format
+     * @param {Object} article - Article object
+     * @param {Object} content - Content data from /api/reader
+     * @returns {Object} {title, author, source, url, publishedAt, description, image, html, exportedAt}
+     */
+    createDocument(article, content) {
+        const title = article.title || content.title || 'Untitled';
+        const html = typeof content.content === 'string' && content.format === 'html' ? content.content : '';
+
+        const template = document.createElement('template');
+        template.innerHTML = Sanitizer.sanitize(html);
+
+        // Every format prints the title itself, so drop a heading that repeats it
+        const first = template.content.firstElementChild;
+        if (first && /^h[12]$/.test(first.localName) && first.textContent.trim().toLowerCase() === title.trim().toLowerCase()) {
+            first.remove();
+        }
+
+        const published = content.publishedTime && !isNaN(new Date(content.publishedTime))
+            ? content.publishedTime
+            : article.publishedAt;
+        const image = article.image || content.image;
+
+        return {
+            title,
+            author: content.author || article.author || '',
+            source: article.source.name,
+            url: content.url && Sanitizer.isSafeUrl(content.url) ? content.url : article.url,
+            publishedAt: published || '',
+            description: article.description || content.description || '',
+            image: image && Sanitizer.isSafeUrl(image, true) ? image : '',
+            html: template.innerHTML.trim(),
+            exportedAt: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Escape text for HTML and XML, attribute values included
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Language and direction of the reader, for exported documents
+     * @returns {Object} {lang, dir}
+     */
+    getLanguage() {
+        return { lang: UI.getDateLocale(), dir: UI.isRtl() ? 'rtl' : 'ltr' };
+    },
+
+    /**
+     * File name from a title
+     * @param {string} title
+     * @param {string} extension - Without the dot
+     * @returns {string}
+     */
+    fileName(title, extension) {
+        const slug = String(title)
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .slice(0, 80)
+            .replace(/^-+|-+$/g, '');
+
+        return `${slug || 'article'}.${extension}`;
+    },
+
+    /**
+     * Save a file through the browser's downloads
+     * @param {Blob} blob
+     * @param {string} name - File name
+     */
+    download(blob, name) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // The download has started by then
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    },
+
+    /* ---------- Markdown ---------- */
+
+    /**
+     * Markdown file with YAML front matter
+     * @param {Object} doc - From createDocument()
+     * @returns {string}
+     */
+    toMarkdown(doc) {
+        const fields = {
+            title: doc.title,
+            author: doc.author,
+            source: doc.source,
+            url: doc.url,
+            published: doc.publishedAt,
+            description: doc.description,
+            image: doc.image,
+            exported: doc.exportedAt
+        };
+
+        // JSON strings are valid YAML double-quoted scalars
+        const frontMatter = Object.entries(fields)
+            .filter(([, value]) => value)
+            .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+            .join('\n');
+
+        const body = this.htmlToMarkdown(doc.html);
+
+        return `---\n${frontMatter}\n---\n\n# ${this.escapeMarkdown(doc.title)}\n\n${body ? `${body}\n` : ''}`;
+    },
+
+    /**
+     * Convert sanitized HTML to Markdown
+     * @param {string} html
+     * @returns {string}
+     */
+    htmlToMarkdown(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        return this.blocksToMarkdown(template.content);
+    },
+
+    /**
+     * Markdown for the children of an element, runs of inline nodes becoming paragraphs
+     * @param {Node} parent
+     * @param {string} separator - Between blocks; a single newline keeps list items tight
+     * @returns {string}
+     */
+    blocksToMarkdown(parent, separator = '\n\n') {
+        const blocks = [];
+        let inline = [];
+
+        const flush = () => {
+            blocks.push(this.paragraphToMarkdown(inline));
+            inline = [];
+        };
+
+        parent.childNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && this.blockTags.has(node.localName)) {
+                flush();
+                blocks.push(this.blockToMarkdown(node));
+            } else {
+                inline.push(node);
+            }
+        });
+        flush();
+
+        return blocks.filter(Boolean).join(separator);
+    },
+
+    /**
+     * Markdown for one block element
+     * @param {Element} element
+     * @returns {string}
+     */
+    blockToMarkdown(element) {
+        const tag = element.localName;
+
+        switch (tag) {
+            case 'h1':
+            case 'h2':
+            case 'h3':
+            case 'h4':
+            case 'h5':
+            case 'h6': {
+                const text = this.inlineToMarkdown(element.childNodes).replace(/\\?\n/g, ' ').trim();
+                return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+            }
+            case 'p':
+                return this.paragraphToMarkdown(element.childNodes);
+            case 'figcaption': {
+                const text = this.paragraphToMarkdown(element.childNodes);
+                return text ? `*${text}*` : '';
+            }
+            case 'blockquote':
+                return this.blocksToMarkdown(element)
+                    .split('\n')
+                    .map(line => (line ? `> ${line}` : '>'))
+                    .join('\n');
+            case 'ul':
+            case 'ol':
+                return this.listToMarkdown(element);
+            case 'pre':
+                return this.codeBlockToMarkdown(element);
+            case 'table':
+                return this.tableToMarkdown(element);
+            case 'hr':
+                return '---';
+            default:
+                return this.blocksToMarkdown(element);
+        }
+    },
+
+    /**
+     * Paragraph text, with line starts that would read as Markdown syntax escaped
+     * @param {NodeList|Array<Node>} nodes
+     * @returns {string}
+     */
+    paragraphToMarkdown(nodes) {
+        return this.inlineToMarkdown(nodes)
+            .trim()
+            .split('\n')
+            .map(line => line
+                .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2')
+                .replace(/^([#>+=-])/, '\\$1'))
+            .join('\n');
+    },
+
+    /**
+     * Markdown list, numbered from the list's start attribute
+     * @param {HTMLElement} list - ul or ol
+     * @returns {string}
+     */
+    listToMarkdown(list) {
+        const ordered = list.localName === 'ol';
+        const start = parseInt(list.getAttribute('start'), 10);
+        const items = Array.from(list.children).filter(child => child.localName === 'li');
+
+        // Items holding paragraphs make a loose list
+        const loose = items.some(item => item.querySelector(':scope > p'));
+        const separator = loose ? '\n\n' : '\n';
+
+        return items.map((item, index) => {
+            const marker = ordered ? `${(isNaN(start) ? 1 : start) + index}.` : '-';
+            const indent = ' '.repeat(marker.length + 1);
+            const body = this.blocksToMarkdown(item, separator)
+                .split('\n')
+                .map((line, i) => (i && line ? indent + line : line))
+                .join('\n');
+
+            return `${marker} ${body}`.trimEnd();
+        }).join(separator);
+    },
+
+    /**
+     * Fenced code block, longer than any backtick run in the code
+     * @param {HTMLElement} pre
+     * @returns {string}
+     */
+    codeBlockToMarkdown(pre) {
+        const code = pre.querySelector('code');
+        const language = code ? (Array.from(code.classList).find(name => name.startsWith('language-')) || '').slice(9) : '';
+        const text = pre.textContent.replace(/\n$/, '');
+        const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+
+        return `${fence}${language}\n${text}\n${fence}`;
+    },
+
+    /**
+     * GFM table; the first row is the header
+     * @param {HTMLTableElement} table
+     * @returns {string}
+     */
+    tableToMarkdown(table) {
+        const rows = Array.from(table.querySelectorAll('tr')).map(row => Array.from(row.cells));
+        if (!rows.length) return '';
+
+        const columns = Math.max(...rows.map(row => row.length));
+        const line = cells => `| ${cells.join(' | ')} |`;
+        const cellText = cell => (cell ? this.inlineToMarkdown(cell.childNodes).replace(/\\?\n/g, ' ').trim() : '');
+        const fill = row => Array.from({ length: columns }, (_, i) => cellText(row[i]));
+
+        const delimiter = Array.from({ length: columns }, (_, i) => {
+            const align = rows[0][i] ? rows[0][i].getAttribute('align') : null;
+            if (align === 'center') return ':---:';
+            if (align === 'right') return '---:';
+            if (align === 'left') return ':---';
+            return '---';
+        });
+
+        return [line(fill(rows[0])), line(delimiter), ...rows.slice(1).map(row => line(fill(row)))].join('\n');
+    },
+
+    /**
+     * Markdown for inline content
+     * @param {NodeList|Array<Node>} nodes
+     * @returns {string}
+     */
+    inlineToMarkdown(nodes) {
+        return Array.from(nodes)
+            .map(node => this.inlineNodeToMarkdown(node))
+            .join('')
+            .replace(/ {2,}/g, ' ')
+            .replace(/ *(\\?\n) */g, '$1');
+    },
+
+    /**
+     * Markdown for one inline node
+     * @param {Node} node
+     * @returns {string}
+     */
+    inlineNodeToMarkdown(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return this.escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const title = node.getAttribute('title') ? ` "${node.getAttribute('title').replace(/["\\]/g, '\\$&')}"` : '';
+
+        switch (node.localName) {
+            case 'strong':
+            case 'b':
+                return this.wrapInline(this.inlineToMarkdown(node.childNodes), '**');
+            case 'em':
+            case 'i':
+                return this.wrapInline(this.inlineToMarkdown(node.childNodes), '*');
+            case 'del':
+            case 's':
+                return this.wrapInline(this.inlineToMarkdown(node.childNodes), '~~');
+            case 'code':
+                return this.codeSpan(node.textContent);
+            case 'br':
+                return '\\\n';
+            case 'img':
+                return node.getAttribute('src')
+                    ? `![${this.escapeMarkdown(node.getAttribute('alt') || '')}](${this.markdownUrl(node.getAttribute('src'))}${title})`
+                    : '';
+            case 'a': {
+                const text = this.inlineToMarkdown(node.childNodes).trim();
+                const href = node.getAttribute('href');
+                if (!href) return text;
+                return `[${text || this.escapeMarkdown(href)}](${this.markdownUrl(href)}${title})`;
+            }
+            default:
+                // Text formatting Markdown has no syntax for, and stray blocks inside inline content
+                return this.inlineToMarkdown(node.childNodes);
+        }
+    },
+
+    /**
+     * Surround text with an emphasis marker, keeping outer spaces outside it
+     * @param {string} text
+     * @param {string} marker
+     * @returns {string}
+     */
+    wrapInline(text, marker) {
+        const [, before, inner, after] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+        return inner ? `${before}${marker}${inner}${marker}${after}` : text;
+    },
+
+    /**
+     * Code span, delimited by more backticks than the code contains
+     * @param {string} text
+     * @returns {string}
+     */
+    codeSpan(text) {
+        const code = text.replace(/\s+/g, ' ');
+        const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const ticks = '`'.repeat(longest + 1);
+        const pad = /^`|`$/.test(code) ? ' ' : '';
+
+        return `${ticks}${pad}${code}${pad}${ticks}`;
+    },
+
+    /**
+     * Escape characters that Markdown would read as syntax
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeMarkdown(text) {
+        return String(text).replace(/[\\`*_[\]<>~|]/g, '\\$&');
+    },
+
+    /**
+     * Link destination with the characters that would end it percent-encoded
+     * @param {string} url
+     * @returns {string}
+     */
+    markdownUrl(url) {
+        return url.replace(/[\s()<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+    },
+
+    /* ---------- HTML ---------- */
+
+    /**
+     * Title, byline and source link at the top of HTML and EPUB articles. Valid XHTML.
+     * @param {Object} doc - From createDocument()
+     * @returns {string}
+     */
+    articleHeader(doc) {
+        const meta = [
+            doc.source,
+            doc.author && `By ${doc.author}`,
+            doc.publishedAt && UI.formatFullDate(doc.publishedAt)
+        ].filter(Boolean).map(text => this.escapeXml(text)).join(' · ');
+
+        return `
+            <header>
+                <p class="export-meta">${meta}</p>
+                <h1>${this.escapeXml(doc.title)}</h1>
+                ${doc.description ? `<p class="export-description">${this.escapeXml(doc.description)}</p>` : ''}
+                <p class="export-source"><a href="${this.escapeXml(doc.url)}">${this.escapeXml(doc.url)}</a></p>
+            </header>
+        `;
+    },
+
+    /**
+     * Standalone HTML file. The content is sanitized and the file's
+     * Content-Security-Policy blocks scripts and everything but images.
+     * @param {Object} doc - From createDocument()
+     * @returns {string}
+     */
+    toHtml(doc) {
+        const { lang, dir } = this.getLanguage();
+        const image = doc.image
+            ? `<img class="export-image" src="${this.escapeXml(doc.image)}" alt="">`
+            : '';
+
+        return `<!DOCTYPE html>
+<html lang="${lang}" dir="${dir}">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src http: https: data:; style-src 'unsafe-inline'">
+<meta name="referrer" content="no-referrer">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escapeXml(doc.title)}</title>
+${doc.author ? `<meta name="author" content="${this.escapeXml(doc.author)}">` : ''}
+<link rel="canonical" href="${this.escapeXml(doc.url)}">
+<style>${this.htmlStyles}</style>
+</head>
+<body>
+<article>
+${image}
+${this.articleHeader(doc)}
+${doc.html}
+<footer>Saved from <a href="${this.escapeXml(doc.url)}">${this.escapeXml(doc.source)}</a> with KJS News on ${this.escapeXml(UI.formatFullDate(doc.exportedAt))}</footer>
+</article>
+</body>
+</html>
+`;
+    },
+
+    /* ---------- EPUB ---------- */
+
+    /**
+     * Sanitized HTML as valid EPUB XHTML. Images become links to the
+     * originals, since reading systems do not load remote images.
+     * @param {string} html
+     * @returns {string}
+     */
+    toXhtml(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        template.content.querySelectorAll('img').forEach(image => {
+            const label = image.getAttribute('alt') ? `[Image: ${image.getAttribute('alt')}]` : '[Image]';
+            const src = image.getAttribute('src');
+
+            // Links cannot nest
+            if (!src || image.closest('a')) {
+                image.replaceWith(label);
+                return;
+            }
+
+            const link = document.createElement('a');
+            link.href = src;
+            link.textContent = label;
+            image.replaceWith(link);
+        });
+
+        // Table cell align is obsolete in XHTML5
+        template.content.querySelectorAll('[align]').forEach(cell => {
+            cell.style.textAlign = cell.getAttribute('align');
+            cell.removeAttribute('align');
+        });
+
+        const serializer = new XMLSerializer();
+        return Array.from(template.content.childNodes).map(node => serializer.serializeToString(node)).join('');
+    },
+
+    /**
+     * XHTML document for the book
+     * @param {string} title
+     * @param {string} body - XHTML
+     * @returns {string}
+     */
+    epubPage(title, body) {
+        const { lang, dir } = this.getLanguage();
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${lang}" xml:lang="${lang}" dir="${dir}">
+<head>
+<meta charset="UTF-8" />
+<title>${this.escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    },
+
+    /**
+     * EPUB 3 book, one chapter per article, with a navigation document
+     * and an NCX table of contents for older readers
+     * @param {Array<Object>} docs - From createDocument()
+     * @param {string} title - Book title
+     * @returns {Blob}
+     */
+    toEpub(docs, title) {
+        const { lang } = this.getLanguage();
+        const id = `urn:uuid:${crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(16).slice(2)}`}`;
+        const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        const chapters = docs.map((doc, index) => ({ doc, id: `article-${index + 1}`, href: `article-${index + 1}.xhtml` }));
+        const authors = [...new Set(docs.map(doc => doc.author).filter(Boolean))];
+
+        const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+        const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${id}</dc:identifier>
+<dc:title>${this.escapeXml(title)}</dc:title>
+<dc:language>${lang}</dc:language>
+${authors.map(author => `<dc:creator>${this.escapeXml(author)}</dc:creator>`).join('\n')}
+${docs.map(doc => `<dc:source>${this.escapeXml(doc.url)}</dc:source>`).join('\n')}
+<dc:date>${modified}</dc:date>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+<item id="style" href="style.css" media-type="text/css"/>
+${chapters.map(chapter => `<item id="${chapter.id}" href="${chapter.href}" media-type="application/xhtml+xml"/>`).join('\n')}
+</manifest>
+<spine toc="ncx">
+<itemref idref="nav"/>
+${chapters.map(chapter => `<itemref idref="${chapter.id}"/>`).join('\n')}
+</spine>
+</package>
+`;
+
+        const nav = this.epubPage(title, `
+            <h1>${this.escapeXml(title)}</h1>
+            <nav epub:type="toc" id="toc">
+                <h2>Contents</h2>
+                <ol>
+                    ${chapters.map(({ doc, href }) => `<li><a href="${href}">${this.escapeXml(doc.title)}</a></li>`).join('\n')}
+                </ol>
+            </nav>
+        `);
+
+        const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="${id}"/>
+</head>
+<docTitle><text>${this.escapeXml(title)}</text></docTitle>
+<navMap>
+${chapters.map(({ doc, id: chapterId, href }, index) => `<navPoint id="${chapterId}" playOrder="${index + 1}"><navLabel><text>${this.escapeXml(doc.title)}</text></navLabel><content src="${href}"/></navPoint>`).join('\n')}
+</navMap>
+</ncx>
+`;
+
+        // The mimetype entry must come first
+        return Zip.create([
+            { name: 'mimetype', data: 'application/epub+zip' },
+            { name: 'META-INF/container.xml', data: container },
+            { name: 'OEBPS/content.opf', data: opf },
+            { name: 'OEBPS/nav.xhtml', data: nav },
+            { name: 'OEBPS/toc.ncx', data: ncx },
+            { name: 'OEBPS/style.css', data: this.epubStyles },
+            ...chapters.map(({ doc, href }) => ({
+                name: `OEBPS/${href}`,
+                data: this.epubPage(doc.title, `<article>${this.articleHeader(doc)}${this.toXhtml(doc.html)}</article>`)
+            }))
+        ], 'application/epub+zip');
+    }
+};
@@ -0,0 +1,547 @@
+// Narrator Module - reads reader-mode articles aloud with the Web Speech API
+const Narrator = {
+    // DOM Elements
+    player: document.getElementById('narrator'),
+    playerTitle: document.getElementById('narratorTitle'),
+    playerStatus: document.getElementById('narratorStatus'),
+    toggleBtn: document.getElementById('narratorToggle'),
+    skipBtn: document.getElementById('narratorSkip'),
+    voiceSelect: document.getElementById('narratorVoice'),
+    rateSelect: document.getElementById('narratorRate'),
+    listenBtn: document.getElementById('listenBtn'),
+    queueBtn: document.getElementById('queueBtn'),
+
+    // Article being read: {article, paragraphs: [text], index}
+    current: null,
+    queue: [],
+    playing: false,
+    loading: false,
+
+    // Bumped whenever speech is cancelled, so late callbacks from old utterances are ignored
+    token: 0,
+
+    // Voice and speed, saved across sessions
+    settings: { voice: '', rate: 1 },
+    rates: [0.75, 1, 1.25, 1.5, 1.75, 2],
+
+    // Some engines stop mid-utterance on long text, so paragraphs are spoken in chunks
+    maxChunkLength: 220,
+
+    // Elements read as one paragraph each; containers of other matches are skipped
+    readableSelector: 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, figcaption, td, th',
+
+    /**
+     * Whether the browser can speak
+     * @returns {boolean}
+     */
+    isSupported() {
+        return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    },
+
+    /**
+     * Initialize narration controls. Listen and Queue stay hidden without speech support.
+     */
+    init() {
+        if (!this.isSupported()) return;
+
+        this.loadSettings();
+        this.populateRates();
+        this.populateVoices();
+        speechSynthesis.addEventListener('voiceschanged', () => this.populateVoices());
+
+        this.listenBtn.hidden = false;
+        this.queueBtn.hidden = false;
+
+        this.player.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'toggle':
+                    this.toggle();
+                    break;
+                case 'previous':
+                    this.previous();
+                    break;
+                case 'next':
+                    this.next();
+                    break;
+                case 'skip':
+                    this.nextArticle();
+                    break;
+                case 'stop':
+                    this.stop();
+                    break;
+            }
+        });
+
+        this.voiceSelect.addEventListener('change', () => {
+            this.settings.voice = this.voiceSelect.value;
+            this.saveSettings();
+            this.restartParagraph();
+        });
+
+        this.rateSelect.addEventListener('change', () => {
+            this.settings.rate = Number(this.rateSelect.value);
+            this.saveSettings();
+            this.restartParagraph();
+        });
+
+        // Highlight again when the narrated article is rendered in the modal
+        UI.readerContent.addEventListener('readerContentLoaded', () => {
+            this.highlight();
+            this.updateControls();
+        });
+
+        // Speech would otherwise carry on after the page is gone
+        window.addEventListener('pagehide', () => speechSynthesis.cancel());
+    },
+
+    /**
+     * Load voice and speed from localStorage
+     */
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('newsHub_narrator'));
+            if (saved && typeof saved === 'object') {
+                if (typeof saved.voice === 'string') this.settings.voice = saved.voice;
+                if (this.rates.includes(saved.rate)) this.settings.rate = saved.rate;
+            }
+        } catch (error) {
+            console.error('Error loading narration settings:', error);
+        }
+    },
+
+    /**
+     * Save voice and speed to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem('newsHub_narrator', JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('Error saving narration settings:', error);
+        }
+    },
+
+    /**
+     * Fill the speed picker
+     */
+    populateRates() {
+        this.rateSelect.innerHTML = this.rates
+            .map(rate => `<option value="${rate}">${rate}×</option>`)
+            .join('');
+        this.rateSelect.value = String(this.settings.rate);
+    },
+
+    /**
+     * Fill the voice picker. Browsers load voices asynchronously, so this
+     * runs again on voiceschanged.
+     */
+    populateVoices() {
+        const language = UI.locale.language;
+        const voices = speechSynthesis.getVoices().slice().sort((a, b) => {
+            // Voices for the current language first
+            const aMatch = a.lang.toLowerCase().startsWith(language) ? 0 : 1;
+            const bMatch = b.lang.toLowerCase().startsWith(language) ? 0 : 1;
+            return aMatch - bMatch || a.lang.localeCompare(b.lang) || a.name.localeCompare(b.name);
+        });
+
+        this.voiceSelect.innerHTML = '<option value="">Default voice</option>' + voices
+            .map(voice => `<option value="${UI.escapeHtml(voice.voiceURI)}">${UI.escapeHtml(voice.name)} (${UI.escapeHtml(voice.lang)})</option>`)
+            .join('');
+
+        // A saved voice that is not installed here falls back to the default
+        this.voiceSelect.value = voices.some(voice => voice.voiceURI === this.settings.voice) ? this.settings.voice : '';
+    },
+
+    /**
+     * Voice to speak with: the chosen one, else the default voice for the
+     * current language, else null to let the browser decide
+     * @returns {SpeechSynthesisVoice|null}
+     */
+    getVoice() {
+        const voices = speechSynthesis.getVoices();
+        const chosen = voices.find(voice => voice.voiceURI === this.settings.voice);
+        if (chosen) return chosen;
+
+        const language = UI.locale.language;
+        const matching = voices.filter(voice => voice.lang.toLowerCase().startsWith(language));
+        return matching.find(voice => voice.default) || matching[0] || null;
+    },
+
+    /**
+     * Readable blocks of a rendered article, in reading order
+     * @param {ParentNode} container - Element holding the .reader-article
+     * @returns {Element[]}
+     */
+    readableElements(container) {
+        const article = container.querySelector('.reader-article');
+        if (!article) return [];
+
+        const candidates = Array.from(article.querySelectorAll(this.readableSelector));
+        return candidates.filter(element =>
+            element.textContent.trim() && !candidates.some(other => other !== element && element.contains(other))
+        );
+    },
+
+    /**
+     * Text to speak for each readable block
+     * @param {Element[]} elements
+     * @returns {string[]}
+     */
+    readParagraphs(elements) {
+        return elements.map(element => element.textContent.replace(/\s+/g, ' ').trim());
+    },
+
+    /**
+     * Split a paragraph into chunks of whole sentences, breaking overlong
+     * sentences at a space
+     * @param {string} text
+     * @returns {string[]}
+     */
+    splitText(text) {
+        const sentences = text.match(/[^.!?…。！？]*[.!?…。！？]*["'”’)\]]*\s*/g).filter(Boolean);
+        const chunks = [];
+        let chunk = '';
+
+        for (const sentence of sentences) {
+            if (chunk && chunk.length + sentence.length > this.maxChunkLength) {
+                chunks.push(chunk.trim());
+                chunk = '';
+            }
+            chunk += sentence;
+
+            while (chunk.length > this.maxChunkLength) {
+                const space = chunk.lastIndexOf(' ', this.maxChunkLength);
+                const cut = space > 0 ? space : this.maxChunkLength;
+                chunks.push(chunk.slice(0, cut).trim());
+                chunk = chunk.slice(cut);
+            }
+        }
+
+        if (chunk.trim()) chunks.push(chunk.trim());
+        return chunks;
+    },
+
+    /**
+     * Paragraphs of an article. When show is set the article is opened in
+     * the modal and read from there, otherwise it is fetched in the background.
+     * @param {Object} article - Article object
+     * @param {Object} options
+     * @param {boolean} options.show - Open the article in the modal
+     * @returns {Promise<string[]>} Empty when the article could not be extracted
+     */
+    async loadParagraphs(article, { show = false } = {}) {
+        if (show) {
+            await UI.openArticleModal(article);
+            if (UI.currentArticle && UI.currentArticle.url === article.url) {
+                return this.readParagraphs(this.readableElements(UI.readerContent));
+            }
+        }
+
+        // extractContent renders failures as an error block, which has no paragraphs to read
+        const html = await Reader.extractContent(article.url);
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        return this.readParagraphs(this.readableElements(doc.body));
+    },
+
+    /**
+     * Start reading an article from the top, or pause/resume it if it is
+     * the one already being read
+     * @param {Object} article - Article object
+     */
+    async listen(article) {
+        if (!article) return;
+
+        if (this.current && this.current.article.url === article.url) {
+            this.toggle();
+            return;
+        }
+
+        this.queue = this.queue.filter(queued => queued.url !== article.url);
+
+        let paragraphs = [];
+        if (UI.currentArticle && UI.currentArticle.url === article.url) {
+            paragraphs = this.readParagraphs(this.readableElements(UI.readerContent));
+        }
+
+        if (!paragraphs.length) {
+            const token = this.cancel();
+            this.loading = true;
+            this.updateControls();
+            paragraphs = await this.loadParagraphs(article);
+            this.loading = false;
+            if (token !== this.token) return;
+        }
+
+        if (!paragraphs.length) {
+            this.updateControls();
+            UI.showToast('There is no article text to read aloud', 'info');
+            return;
+        }
+
+        this.start(article, paragraphs);
+    },
+
+    /**
+     * Add an article to the listening queue
+     * @param {Object} article - Article object
+     */
+    enqueue(article) {
+        if (!article) return;
+
+        const isCurrent = this.current && this.current.article.url === article.url;
+        if (isCurrent || this.queue.some(queued => queued.url === article.url)) {
+            UI.showToast('Already in the listening queue', 'info');
+            return;
+        }
+
+        this.queue.push(article);
+        this.updateControls();
+        UI.showToast(`Added to listening queue (${this.queue.length} waiting)`, 'success');
+    },
+
+    /**
+     * Begin reading paragraphs of an article
+     * @param {Object} article - Article object
+     * @param {string[]} paragraphs
+     * @param {number} index - Paragraph to start at
+     */
+    start(article, paragraphs, index = 0) {
+        this.clearHighlight();
+        this.current = { article, paragraphs, index };
+        this.play();
+    },
+
+    /**
+     * Play or resume from the start of the current paragraph
+     */
+    play() {
+        if (!this.current) {
+            this.nextArticle();
+            return;
+        }
+
+        this.playing = true;
+        this.speakParagraph();
+    },
+
+    /**
+     * Pause. Resuming starts the paragraph again, as speechSynthesis.pause()
+     * is unreliable across engines.
+     */
+    pause() {
+        this.cancel();
+        this.playing = false;
+        this.updateControls();
+    },
+
+    /**
+     * Toggle between playing and paused
+     */
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    },
+
+    /**
+     * Go back one paragraph
+     */
+    previous() {
+        if (!this.current) return;
+
+        this.current.index = Math.max(0, this.current.index - 1);
+        this.restartParagraph();
+    },
+
+    /**
+     * Skip to the next paragraph, or the next queued article after the last one
+     */
+    next() {
+        if (!this.current) return;
+
+        if (this.current.index + 1 < this.current.paragraphs.length) {
+            this.current.index++;
+            this.restartParagraph();
+        } else {
+            this.nextArticle();
+        }
+    },
+
+    /**
+     * Move on to the next article in the queue. If the finished article is
+     * open in the modal, the next one is opened there too.
+     * @param {boolean} show - Open the next article in the modal
+     */
+    async nextArticle(show = this.isShowing()) {
+        const token = this.cancel();
+        const article = this.queue.shift();
+
+        if (!article) {
+            this.stop();
+            return;
+        }
+
+        this.clearHighlight();
+        this.current = null;
+        this.loading = true;
+        this.playerTitle.textContent = article.title;
+        this.updateControls();
+
+        const paragraphs = await this.loadParagraphs(article, { show });
+        this.loading = false;
+        if (token !== this.token) return;
+
+        if (!paragraphs.length) {
+            UI.showToast(`Skipped "${article.title}": there is no article text to read aloud`, 'info');
+            await this.nextArticle(show);
+            return;
+        }
+
+        this.start(article, paragraphs);
+    },
+
+    /**
+     * Stop reading and clear the queue
+     */
+    stop() {
+        this.cancel();
+        this.clearHighlight();
+        this.current = null;
+        this.queue = [];
+        this.playing = false;
+        this.loading = false;
+        this.updateControls();
+    },
+
+    /**
+     * Cancel any speech in progress
+     * @returns {number} The new token
+     */
+    cancel() {
+        this.token++;
+        speechSynthesis.cancel();
+        return this.token;
+    },
+
+    /**
+     * Speak the current paragraph again if playing, e.g. after a voice change
+     */
+    restartParagraph() {
+        if (this.playing) {
+            this.speakParagraph();
+        } else {
+            this.highlight();
+            this.updateControls();
+        }
+    },
+
+    /**
+     * Speak the current paragraph chunk by chunk, then move on
+     */
+    speakParagraph() {
+        const token = this.cancel();
+        const chunks = this.splitText(this.current.paragraphs[this.current.index]);
+        const voice = this.getVoice();
+
+        const speakChunk = (i) => {
+            if (token !== this.token) return;
+
+            if (i >= chunks.length) {
+                this.next();
+                return;
+            }
+
+            const utterance = new SpeechSynthesisUtterance(chunks[i]);
+            utterance.rate = this.settings.rate;
+            if (voice) {
+                utterance.voice = voice;
+                utterance.lang = voice.lang;
+            } else {
+                utterance.lang = UI.locale.language;
+            }
+
+            utterance.onend = () => speakChunk(i + 1);
+            utterance.onerror = (e) => {
+                // cancel() reports the utterances it dropped as errors
+                if (token !== this.token || e.error === 'interrupted' || e.error === 'canceled') return;
+
+                console.error('Speech synthesis failed:', e.error);
+                this.pause();
+                UI.showToast('Narration stopped: the voice could not be played', 'error');
+            };
+
+            speechSynthesis.speak(utterance);
+        };
+
+        this.highlight();
+        this.updateControls();
+        speakChunk(0);
+    },
+
+    /**
+     * Whether the article being read is open in reader mode
+     * @returns {boolean}
+     */
+    isShowing() {
+        return Boolean(this.current)
+            && UI.modalOverlay.classList.contains('active')
+            && UI.currentArticle !== null
+            && UI.currentArticle.url === this.current.article.url
+            && UI.modalBody.style.display !== 'none';
+    },
+
+    /**
+     * Mark the paragraph being read and scroll it into view
+     */
+    highlight() {
+        this.clearHighlight();
+        if (!this.isShowing()) return;
+
+        const element = this.readableElements(UI.readerContent)[this.current.index];
+        if (!element) return;
+
+        element.classList.add('reader-speaking');
+
+        const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        element.scrollIntoView({ block: 'center', behavior: reduceMotion ? 'auto' : 'smooth' });
+    },
+
+    /**
+     * Remove the paragraph highlight
+     */
+    clearHighlight() {
+        UI.readerContent.querySelectorAll('.reader-speaking').forEach(element => {
+            element.classList.remove('reader-speaking');
+        });
+    },
+
+    /**
+     * Update the player bar and the modal Listen button
+     */
+    updateControls() {
+        const active = Boolean(this.current) || this.loading || this.queue.length > 0;
+        this.player.hidden = !active;
+
+        const waiting = this.queue.length ? ` · ${this.queue.length} in queue` : '';
+        if (this.loading) {
+            this.playerStatus.textContent = `Loading article…${waiting}`;
+        } else if (this.current) {
+            this.playerTitle.textContent = this.current.article.title;
+            this.playerStatus.textContent = `Paragraph ${this.current.index + 1} of ${this.current.paragraphs.length}${waiting}`;
+        } else {
+            this.playerTitle.textContent = 'Listening queue';
+            this.playerStatus.textContent = `${this.queue.length} waiting`;
+        }
+
+        this.toggleBtn.textContent = this.playing ? '⏸' : '▶';
+        this.toggleBtn.setAttribute('aria-label', this.playing ? 'Pause' : 'Play');
+        this.skipBtn.disabled = this.queue.length === 0;
+
+        const readingOpenArticle = this.playing && this.isShowing();
+        this.listenBtn.textContent = readingOpenArticle ? '⏸ Pause' : '🎧 Listen';
+    }
+};
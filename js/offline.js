@@ -0,0 +1,164 @@
+// Offline Module - service worker registration, update prompt and cached feed indicator
+const Offline = {
+    // DOM Elements
+    feedStatus: document.getElementById('feedStatus'),
+    updatePrompt: document.getElementById('updatePrompt'),
+    updateBtn: document.getElementById('updateReload'),
+
+    registration: null,
+
+    // Set once the user accepts an update, so only that controller change reloads
+    updating: false,
+
+    // When the feed on screen was cached by the service worker (null when it came from the network)
+    feedCachedAt: null,
+    feedUpdated: false,
+    networkFailed: false,
+    feedStatusTimer: null,
+
+    // How often an open tab checks for a new version
+    updateInterval: 60 * 60 * 1000,
+
+    /**
+     * Whether the app can work offline
+     * @returns {boolean}
+     */
+    isSupported() {
+        return 'serviceWorker' in navigator;
+    },
+
+    /**
+     * Register the service worker and listen for connectivity changes
+     */
+    init() {
+        window.addEventListener('online', () => {
+            this.networkFailed = false;
+            this.renderFeedStatus();
+        });
+        window.addEventListener('offline', () => this.renderFeedStatus());
+
+        // Refresh button in the indicator, handled by the app
+        this.feedStatus.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="refresh"]')) {
+                this.feedStatus.dispatchEvent(new CustomEvent('feedRefresh', { bubbles: true }));
+            }
+        });
+
+        if (!this.isSupported()) return;
+
+        navigator.serviceWorker.addEventListener('message', (e) => this.handleMessage(e.data));
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updating) window.location.reload();
+        });
+        this.updateBtn.addEventListener('click', () => this.applyUpdate());
+
+        this.register();
+    },
+
+    /**
+     * Register sw.js and watch for new versions
+     */
+    async register() {
+        try {
+            this.registration = await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+            return;
+        }
+
+        // A new version finished installing in an earlier visit
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt();
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            worker.addEventListener('statechange', () => {
+                // The first install has no older version to replace
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt();
+                }
+            });
+        });
+
+        setInterval(() => {
+            this.registration.update().catch(error => console.error('Service worker update check failed:', error));
+        }, this.updateInterval);
+    },
+
+    /**
+     * Offer to reload into the new version
+     */
+    showUpdatePrompt() {
+        this.updatePrompt.hidden = false;
+    },
+
+    /**
+     * Activate the waiting service worker; the page reloads when it takes over
+     */
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        this.updatePrompt.hidden = true;
+
+        if (!waiting) {
+            window.location.reload();
+            return;
+        }
+
+        this.updating = true;
+        waiting.postMessage({ type: 'skip-waiting' });
+    },
+
+    /**
+     * Background refresh results from the service worker
+     * @param {Object} message - {type: 'feed-revalidated', changed} or {type: 'feed-offline'}
+     */
+    handleMessage(message) {
+        if (!message || !this.feedCachedAt) return;
+
+        if (message.type === 'feed-revalidated') {
+            this.networkFailed = false;
+            this.feedUpdated = message.changed;
+        } else if (message.type === 'feed-offline') {
+            this.networkFailed = true;
+        }
+
+        this.renderFeedStatus();
+    },
+
+    /**
+     * Record where the feed on screen came from
+     * @param {string|null} cachedAt - From the response, null for network responses or no feed
+     */
+    setFeedSource(cachedAt) {
+        this.feedCachedAt = cachedAt || null;
+        this.feedUpdated = false;
+        this.renderFeedStatus();
+    },
+
+    /**
+     * Show "offline, updated X ago" for a cached feed without a connection,
+     * or a refresh button when the background refresh found new stories
+     */
+    renderFeedStatus() {
+        clearTimeout(this.feedStatusTimer);
+
+        const offline = navigator.onLine === false || this.networkFailed;
+
+        if (this.feedCachedAt && offline) {
+            this.feedStatus.className = 'feed-status feed-status-offline';
+            this.feedStatus.innerHTML = `📴 Offline &middot; updated ${UI.escapeHtml(UI.formatDate(this.feedCachedAt))}`;
+            this.feedStatus.hidden = false;
+
+            // Keep "X ago" current
+            this.feedStatusTimer = setTimeout(() => this.renderFeedStatus(), 60 * 1000);
+        } else if (this.feedCachedAt && this.feedUpdated) {
+            this.feedStatus.className = 'feed-status';
+            this.feedStatus.innerHTML = 'New stories available <button type="button" class="feed-status-refresh" data-action="refresh">Refresh</button>';
+            this.feedStatus.hidden = false;
+        } else {
+            this.feedStatus.hidden = true;
+            this.feedStatus.innerHTML = '';
+        }
+    }
+};
@@ -1,219 +1,75 @@
 // Reader Module - Content Extraction via Serverless Function
 const Reader = {
     /**
-     * Fetch article content using Jina AI Reader via serverless function
+     * Fetch article content using Jina AI Reader via serverless function.
+     * The server cleans the page and renders it; we ask for HTML.
      * @param {string} url - Article URL
+     * @param {string} format - markdown, html, text or json
      * @returns {Promise<Object>} Extracted content
+     * @throws {ApiError} When the article could not be extracted
      */
-    async fetchArticleContent(url) {
+    async fetchArticleContent(url, format = 'html') {
         try {
-            const apiUrl = `/api/reader?url=${encodeURIComponent(url)}`;
-            const response = await fetch(apiUrl);
+            const params = new URLSearchParams({ url, format });
+            if (this.isDebugEnabled()) params.append('debug', 'true');
 
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
-            }
+            const data = await API.request(`/api/reader?${params}`);
 
-            const data = await response.json();
-            
             if (!data.success) {
-                throw new Error(data.error || 'Failed to fetch article content');
+                throw new ApiError(data.code || 'UPSTREAM_ERROR', data.error || 'Failed to fetch article content');
             }
 
             return data;
         } catch (error) {
             console.error('Error fetching article content:', error);
-            return {
-                success: false,
-                error: error.message
-            };
+            throw error;
         }
     },
 
     /**
      * Parse and clean HTML content
      * @param {string} html - Raw HTML content
-     * @returns {string} Cleaned HTML
+     * @returns {string} Sanitized HTML
      */
     parseContent(html) {
         if (!html) return '<p>No content available</p>';
 
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = html;
-
-        // Remove scripts for security
-        const scripts = tempDiv.getElementsByTagName('script');
-        for (let i = scripts.length - 1; i >= 0; i--) {
-            scripts[i].parentNode.removeChild(scripts[i]);
-        }
-
-        // Remove styles
-        const styles = tempDiv.getElementsByTagName('style');
-        for (let i = styles.length - 1; i >= 0; i--) {
-            styles[i].parentNode.removeChild(styles[i]);
-        }
-
-        return tempDiv.innerHTML;
+        return Sanitizer.sanitize(html);
     },
 
     /**
-     * Convert markdown to HTML
-     * @param {string} markdown - Markdown text
-     * @returns {string} HTML
+     * Whether the cleaning debug view is on: ?readerDebug in the page URL,
+     * or localStorage newsHub_readerDebug set to "true"
+     * @returns {boolean}
      */
-    markdownToHtml(markdown) {
-        if (!markdown) return '<p>No content available</p>';
-
-        let html = markdown;
-
-        // Headers
-        html = html.replace(/^### (.*$)/gim, '<h3>$1</h3>');
-        html = html.replace(/^## (.*$)/gim, '<h2>$1</h2>');
-        html = html.replace(/^# (.*$)/gim, '<h1>$1</h1>');
-
-        // Bold
-        html = html.replace(/\*\*(.*?)\*\*/gim, '<strong>$1</strong>');
-
-        // Italic
-        html = html.replace(/\*(.*?)\*/gim, '<em>$1</em>');
-
-        // Links
-        html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/gim, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
-
-        // Images
-        html = html.replace(/!\[([^\]]*)\]\(([^)]+)\)/gim, '<img src="$2" alt="$1" loading="lazy">');
-
-        // Line breaks
-        html = html.replace(/\n\n/gim, '</p><p>');
-        html = html.replace(/\n/gim, '<br>');
-
-        // Wrap in paragraphs
-        html = '<p>' + html + '</p>';
-
-        return html;
+    isDebugEnabled() {
+        try {
+            return new URLSearchParams(window.location.search).has('readerDebug')
+                || localStorage.getItem('newsHub_readerDebug') === 'true';
+        } catch {
+            return false;
+        }
     },
 
     /**
-     * Clean markdown content by removing navigation and metadata
-     * @param {string} markdown - Raw markdown content
-     * @returns {string} Cleaned markdown
+     * Debug view listing the lines the cleaning rules dropped and why
+     * @param {Object} report - cleaning from /api/reader with debug=true: {rules, dropped}
+     * @returns {string} HTML, with every value from the server escaped
      */
-    cleanMarkdownContent(markdown) {
-        if (!markdown) return '';
-
-        let lines = markdown.split('\n');
-        let cleanedLines = [];
-        let inArticle = false;
-        let articleStarted = false;
-        
-        // Comprehensive skip patterns
-        let skipPatterns = [
-            // Navigation & UI
-            /^(Skip to content|Advertisement|Watch Live|Subscribe|Sign In|Got a Tip\?)/i,
-            /^(Home|News|Sport|Business|Technology|Health|Culture|Arts|Travel|Earth|Audio|Video|Live|Documentaries)/i,
-            /^(Weather|Newsletters|Share|Save|Add as preferred|Plus Icon|Click to)/i,
-            /^(U\.S\.|Asia|Global|Film|TV|What To Watch|Music|Docs|Digital|Gaming|Awards Circuit)/i,
-            
-            // Social & Sharing
-            /^(Share|Facebook|Twitter|Instagram|LinkedIn|Pinterest|Reddit|Tumblr|WhatsApp|Email)/i,
-            /^\[.*\]\(https?:\/\/(www\.)?(facebook|twitter|linkedin|pinterest|reddit|tumblr|whatsapp)\.com/i,
-            /^!\[.*\]\(.*\)$/,  // Standalone images without context
-            
-            // Metadata & Timestamps
-            /^Image \d+/i,
-            /^!<a href=/i,
-            /loading="lazy"/i,
-            /^\d+ (mins?|hrs?|days?|seconds?) ago$/i,
-            /^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d+, \d{4}/i,
-            /^\d{1,2}:\d{2}(am|pm)/i,
-            
-            // Related content & footers
-            /^(Related|More from|Follow|Latest|Popular|Must Read|Sponsored|Most Popular)/i,
-            /^(Terms of Use|Privacy Policy|Cookies|Accessibility|About Us|Contact|Advertise)/i,
-            /^(BBC in other languages|Read the BBC|Our Sites|Connect|Legal|Magazine)/i,
-            /^##\s*(Read More|More from|Latest|Popular)/i,
-            
-            // Article metadata
-            /^By\s+[A-Z]/,  // Author bylines (keep first, skip repeats)
-            /^(Senior|Staff|Contributing|Reporter|Editor|Writer)/i,
-            
-            // Ads & Promotions
-            /^(Loading comments|Leave a Reply|Your email|Required fields|Sign Up|Alerts and Newsletters)/i,
-            /^(Variety is a part of|Penske Media|All Rights Reserved|Powered by)/i,
-            /^\d+\/\d+ Skip Ad/i,
-            /^(Visit Advertiser|GO TO PAGE)/i,
-            
-            // Empty links and broken formatting
-            /^\* \[\]\(/,  // Empty list items with links
-            /^- \[\]\(/,
-            /^Δ$/,  // Greek delta (form symbols)
-            /^0 Comments/i,
-            
-            // Cookie/Privacy notices
-            /^(Cookie List|Consent|Privacy Preference|Allow All|Manage Consent)/i,
-            /^(Performance Cookies|Targeting Cookies|Functional Cookies|Strictly Necessary)/i,
-            /checkbox label/i,
-            
-            // Breadcrumbs
-            /^\d+\.\s+(Home|News|Film|TV|Sport)/i,
-        ];
-
-        // Patterns that indicate end of article
-        let endPatterns = [
-            /^(Related Stories|More from|Must Read|Popular on|Sponsored Stories|Most Popular)/i,
-            /^(Sign Up for|Subscribe|Newsletter)/i,
-            /^(Leave a Reply|Comments|Loading comments)/i,
-            /^(Read More About:|Tags:|Categories:)/i,
-            /^#### (Read More|More From|Connect|Legal|Magazine)/i,
-        ];
-
-        for (let i = 0; i < lines.length; i++) {
-            let line = lines[i].trim();
-
-            // Skip empty lines at the start
-            if (!articleStarted && !line) continue;
-
-            // Skip metadata headers
-            if (line.match(/^(Title:|URL Source:|Published Time:|Markdown Content:)/)) {
-                continue;
-            }
-
-            // Check if we've hit the end of article
-            if (articleStarted && endPatterns.some(pattern => pattern.test(line))) {
-                break;
-            }
-
-            // Skip patterns
-            if (skipPatterns.some(pattern => pattern.test(line))) {
-                continue;
-            }
-
-            // Detect article start - look for substantial content
-            if (!articleStarted) {
-                // Article likely starts with a heading or substantial paragraph
-                if (line.startsWith('#') || line.length > 80) {
-                    articleStarted = true;
-                    inArticle = true;
-                }
-            }
-
-            // Once in article, keep content
-            if (inArticle) {
-                // Skip very short lines that are likely navigation
-                if (line.length < 3 && !line.startsWith('#')) {
-                    continue;
-                }
-                
-                cleanedLines.push(lines[i]);
-            }
-        }
-
-        // Post-processing: remove consecutive empty lines
-        let result = cleanedLines.join('\n');
-        result = result.replace(/\n{3,}/g, '\n\n');
-        
-        return result.trim();
+    formatCleaningReport(report) {
+        const items = report.dropped.map(entry => `
+            <li value="${UI.escapeHtml(String(entry.line))}">
+                <span class="reader-debug-reason">${UI.escapeHtml(entry.reason)}</span>
+                <code>${UI.escapeHtml(entry.text)}</code>
+            </li>
+        `).join('');
+
+        return `
+            <details class="reader-debug">
+                <summary>Cleaning rules: ${UI.escapeHtml(report.rules)} &middot; ${report.dropped.length} lines dropped</summary>
+                <ol>${items}</ol>
+            </details>
+        `;
     },
 
     /**
@@ -222,16 +78,7 @@ const Reader = {
      * @returns {string} Formatted HTML
      */
     formatContent(contentData) {
-        if (!contentData.success) {
-            return `
-                <div class="reader-error">
-                    <h3>Unable to load article content</h3>
-                    <p>${contentData.error || 'Please try the embedded view or open the original article.'}</p>
-                </div>
-            `;
-        }
-
-        if (!contentData.content || typeof contentData.content !== 'string') {
+        if (typeof contentData.content !== 'string' || contentData.format !== 'html') {
             return `
                 <div class="reader-error">
                     <h3>Invalid content format</h3>
@@ -240,16 +87,34 @@ const Reader = {
             `;
         }
 
-        let content = contentData.content;
+        const content = contentData.content || '<p>No content available</p>';
+        const debug = contentData.cleaning ? this.formatCleaningReport(contentData.cleaning) : '';
 
-        // Clean the markdown content first
-        content = this.cleanMarkdownContent(content);
-
-        // Convert markdown to HTML
-        content = this.markdownToHtml(content);
+        // Only the page content passes the sanitizer; the wrapper and debug view are our own markup
+        return `<article class="reader-article">${Sanitizer.sanitize(content)}</article>${debug}`;
+    },
 
-        // Wrap in article container
-        return `<article class="reader-article">${content}</article>`;
+    /**
+     * Describe a failed extraction, with a retry button for transient errors
+     * @param {ApiError} error - Error thrown by fetchArticleContent
+     * @returns {string} Error HTML
+     */
+    formatError(error) {
+        const message = UI.escapeHtml(error.message || 'Please try the embedded view or open the original article.');
+        const wait = error.retryAfter ? `<p class="error-details">You can try again in ${UI.escapeHtml(String(error.retryAfter))} seconds.</p>` : '';
+        const retry = error.isRetryable
+            ? '<button class="btn-secondary reader-retry" data-action="retry">Try again</button>'
+            : '';
+
+        // Our own markup with escaped values, so the retry button keeps its data-action
+        return `
+            <div class="reader-error">
+                <h3>Unable to load article content</h3>
+                <p>${message}</p>
+                ${wait}
+                ${retry}
+            </div>
+        `;
     },
 
     /**
@@ -263,13 +128,7 @@ const Reader = {
             return this.formatContent(contentData);
         } catch (error) {
             console.error('Content extraction failed:', error);
-            return `
-                <div class="reader-error">
-                    <h3>Content Extraction Failed</h3>
-                    <p>We couldn't load the article content. Please use the embedded view or open the original article.</p>
-                    <p class="error-details">${error.message}</p>
-                </div>
-            `;
+            return this.formatError(error);
         }
     }
 };
@@ -0,0 +1,343 @@
+// Reading List Module - articles saved with their reader content for offline reading
+const ReadingList = {
+    // DOM Elements
+    saveBtn: document.getElementById('saveBtn'),
+
+    // Status (unread or archived) of every saved article by URL, for button states
+    saved: new Map(),
+
+    // URLs being downloaded, so a double click saves once
+    pending: new Set(),
+
+    // Tab shown in the Reading list view
+    listStatus: 'unread',
+
+    // URLs ticked for export in the Reading list view
+    selected: new Set(),
+
+    /**
+     * Whether articles can be stored
+     * @returns {boolean}
+     */
+    isSupported() {
+        return 'indexedDB' in window;
+    },
+
+    /**
+     * Show the save buttons and load which articles are saved
+     */
+    async init() {
+        if (!this.isSupported()) return;
+
+        this.saveBtn.hidden = false;
+
+        UI.modalOverlay.addEventListener('articleOpened', () => this.updateButtons());
+
+        try {
+            const records = await Database.getAll('readingList');
+            records.forEach(record => this.saved.set(record.url, record.status));
+            this.updateButtons();
+        } catch (error) {
+            console.error('Error loading reading list:', error);
+        }
+    },
+
+    /**
+     * Whether an article is in the reading list
+     * @param {string} url - Article URL
+     * @returns {boolean}
+     */
+    isSaved(url) {
+        return this.saved.has(url);
+    },
+
+    /**
+     * Stored reader content of a saved article
+     * @param {string} url - Article URL
+     * @returns {Promise<Object|null>} Content data as returned by /api/reader, null when not saved
+     */
+    async getContent(url) {
+        if (!this.isSaved(url)) return null;
+
+        try {
+            const record = await Database.get('readingList', url);
+            return record ? record.content : null;
+        } catch (error) {
+            console.error('Error reading saved article:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Save an article, or remove it if it is already saved
+     * @param {Object} article - Article object
+     */
+    async toggle(article) {
+        if (!article) return;
+
+        if (this.isSaved(article.url)) {
+            await this.remove(article.url);
+        } else {
+            await this.save(article);
+        }
+    },
+
+    /**
+     * Save an article with its reader content. The content open in the modal
+     * is reused, otherwise it is downloaded now.
+     * @param {Object} article - Article object
+     * @returns {Promise<boolean>} Whether it was saved
+     */
+    async save(article) {
+        if (this.pending.has(article.url)) return false;
+
+        let content = UI.currentArticle && UI.currentArticle.url === article.url ? UI.currentContent : null;
+
+        this.pending.add(article.url);
+        this.updateButtons();
+
+        try {
+            if (!content) {
+                content = await Reader.fetchArticleContent(article.url);
+            }
+
+            // The cleaning debug report is not worth keeping
+            const { cleaning, ...stored } = content;
+
+            await Database.put('readingList', {
+                url: article.url,
+                article: UI.snapshotArticle(article),
+                content: stored,
+                status: 'unread',
+                savedAt: new Date().toISOString(),
+                archivedAt: null
+            });
+        } catch (error) {
+            console.error('Error saving article:', error);
+            UI.showToast(error.code
+                ? `Could not download the article: ${UI.describeError(error)}`
+                : 'Could not save the article', 'error');
+            return false;
+        } finally {
+            this.pending.delete(article.url);
+            this.updateButtons();
+        }
+
+        this.saved.set(article.url, 'unread');
+        this.updateButtons();
+        UI.showToast('Saved for offline reading', 'success');
+        return true;
+    },
+
+    /**
+     * Remove an article from the reading list
+     * @param {string} url - Article URL
+     */
+    async remove(url) {
+        try {
+            await Database.delete('readingList', url);
+        } catch (error) {
+            console.error('Error removing saved article:', error);
+            UI.showToast('Could not remove the article', 'error');
+            return;
+        }
+
+        this.saved.delete(url);
+        this.selected.delete(url);
+        this.updateButtons();
+    },
+
+    /**
+     * Move a saved article between unread and archived
+     * @param {string} url - Article URL
+     * @param {string} status - unread or archived
+     */
+    async setStatus(url, status) {
+        try {
+            const record = await Database.get('readingList', url);
+            if (!record) return;
+
+            record.status = status;
+            record.archivedAt = status === 'archived' ? new Date().toISOString() : null;
+            await Database.put('readingList', record);
+            this.saved.set(url, status);
+        } catch (error) {
+            console.error('Error updating saved article:', error);
+            UI.showToast('Could not update the reading list', 'error');
+        }
+    },
+
+    /**
+     * Sync the modal and card save buttons with the reading list
+     */
+    updateButtons() {
+        const current = UI.currentArticle ? UI.currentArticle.url : null;
+        const currentSaved = Boolean(current) && this.isSaved(current);
+
+        this.saveBtn.textContent = currentSaved ? '✓ Saved' : '🔖 Save for later';
+        this.saveBtn.setAttribute('aria-pressed', String(currentSaved));
+        this.saveBtn.disabled = Boolean(current) && this.pending.has(current);
+
+        UI.newsGrid.querySelectorAll('.news-save-btn').forEach(button => {
+            const saved = this.isSaved(button.dataset.url);
+            button.textContent = saved ? '✓' : '🔖';
+            button.setAttribute('aria-pressed', String(saved));
+            button.setAttribute('aria-label', saved ? 'Remove from reading list' : 'Save for later');
+            button.disabled = this.pending.has(button.dataset.url);
+        });
+    },
+
+    /**
+     * Render the saved articles with the current status, newest first
+     * @param {HTMLElement} container
+     * @returns {Promise<number>} Number of articles shown
+     */
+    async renderList(container) {
+        let records;
+        try {
+            records = await Database.getAll('readingList');
+        } catch (error) {
+            console.error('Error loading reading list:', error);
+            container.innerHTML = `
+                <div class="empty-state">
+                    <h3>The reading list is not available</h3>
+                    <p>${UI.escapeHtml(error.message)}</p>
+                </div>
+            `;
+            return 0;
+        }
+
+        const counts = { unread: 0, archived: 0 };
+        records.forEach(record => counts[record.status]++);
+
+        const items = records
+            .filter(record => record.status === this.listStatus)
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+
+        const tabs = Object.keys(counts).map(status => `
+            <button type="button" class="library-tab${status === this.listStatus ? ' active' : ''}" role="tab"
+                    data-status="${status}" aria-selected="${status === this.listStatus}">
+                ${status === 'unread' ? 'Unread' : 'Archived'} (${counts[status]})
+            </button>
+        `).join('');
+
+        const empty = this.listStatus === 'unread'
+            ? '<h3>Nothing to read</h3><p>Use 🔖 on a story or "Save for later" in the reader to keep it for offline reading</p>'
+            : '<h3>No archived articles</h3><p>Archive articles you have finished to move them here</p>';
+
+        const view = document.createElement('div');
+        view.className = 'library-list';
+        view.innerHTML = `
+            <div class="library-toolbar">
+                <div class="library-tabs" role="tablist" aria-label="Reading list">${tabs}</div>
+                <button type="button" class="btn-secondary library-export" data-action="export"${items.length ? '' : ' hidden'}></button>
+            </div>
+            ${items.length
+                ? items.map(record => this.renderItem(record)).join('')
+                : `<div class="empty-state"><div class="empty-state-icon">🔖</div>${empty}</div>`}
+        `;
+
+        view.addEventListener('click', (e) => this.handleListClick(e, items, container));
+        this.updateExportButton(view, items);
+
+        container.innerHTML = '';
+        container.appendChild(view);
+        return items.length;
+    },
+
+    /**
+     * Saved articles to export: the ticked ones, or every article shown
+     * @param {Array} items - Records shown
+     * @returns {Array}
+     */
+    getExportSelection(items) {
+        const selected = items.filter(record => this.selected.has(record.url));
+        return selected.length ? selected : items;
+    },
+
+    /**
+     * Label the export button with what it will export
+     * @param {HTMLElement} view - Reading list view
+     * @param {Array} items - Records shown
+     */
+    updateExportButton(view, items) {
+        const count = items.filter(record => this.selected.has(record.url)).length;
+        view.querySelector('.library-export').textContent = count
+            ? `📚 Export ${count} as EPUB`
+            : '📚 Export all as EPUB';
+    },
+
+    /**
+     * HTML for one saved article
+     * @param {Object} record - Reading list record
+     * @returns {string}
+     */
+    renderItem({ article, status, savedAt }) {
+        const archived = status === 'archived';
+        const selected = this.selected.has(article.url);
+
+        return `
+            <article class="library-item" data-url="${UI.escapeHtml(article.url)}">
+                <header class="library-item-header">
+                    <input type="checkbox" class="library-item-select" data-action="select"${selected ? ' checked' : ''} aria-label="Select for export">
+                    <button type="button" class="library-item-title" data-action="open" dir="auto">${UI.escapeHtml(article.title)}</button>
+                    <div class="library-item-meta">
+                        <span>${UI.escapeHtml(article.source.name)}</span>
+                        <time datetime="${UI.escapeHtml(savedAt)}">Saved ${UI.formatDate(savedAt)}</time>
+                        <a href="${UI.escapeHtml(article.url)}" target="_blank" rel="noopener noreferrer">Original ↗</a>
+                    </div>
+                </header>
+                ${article.description ? `<p class="library-item-description" dir="auto">${UI.escapeHtml(UI.truncateText(article.description, 200))}</p>` : ''}
+                <div class="library-item-actions">
+                    <button type="button" class="library-action" data-action="${archived ? 'unread' : 'archive'}">${archived ? 'Move to unread' : 'Archive'}</button>
+                    <button type="button" class="library-action" data-action="remove">Remove</button>
+                </div>
+            </article>
+        `;
+    },
+
+    /**
+     * Tab, export, select, open, archive and remove actions in the reading list
+     * @param {Event} e - Click event
+     * @param {Array} records - Records shown
+     * @param {HTMLElement} container - Re-rendered after a change
+     */
+    async handleListClick(e, records, container) {
+        const button = e.target.closest('[data-status], [data-action]');
+        if (!button) return;
+
+        if (button.dataset.status) {
+            this.listStatus = button.dataset.status;
+        } else if (button.dataset.action === 'export') {
+            Export.exportCollection(this.getExportSelection(records));
+            return;
+        } else {
+            const url = button.closest('.library-item').dataset.url;
+
+            switch (button.dataset.action) {
+                case 'select':
+                    if (button.checked) {
+                        this.selected.add(url);
+                    } else {
+                        this.selected.delete(url);
+                    }
+                    this.updateExportButton(e.currentTarget, records);
+                    return;
+                case 'open':
+                    UI.openArticleModal(records.find(record => record.url === url).article);
+                    return;
+                case 'archive':
+                    await this.setStatus(url, 'archived');
+                    break;
+                case 'unread':
+                    await this.setStatus(url, 'unread');
+                    break;
+                case 'remove':
+                    await this.remove(url);
+                    break;
+            }
+        }
+
+        container.dispatchEvent(new CustomEvent('libraryChanged', { bubbles: true }));
+    }
+};
@@ -0,0 +1,202 @@
+// Sanitizer Module - DOM-based allowlist HTML sanitizer for untrusted article content
+const Sanitizer = {
+    // Elements removed together with everything inside them
+    droppedTags: new Set([
+        'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed',
+        'applet', 'noscript', 'noembed', 'svg', 'math', 'form', 'input', 'textarea',
+        'select', 'option', 'link', 'meta', 'base', 'head', 'title', 'audio', 'video',
+        'canvas', 'dialog', 'portal', 'button'
+    ]),
+
+    // Allowed elements and their attributes; any other element is replaced by its children
+    allowedTags: {
+        a: ['href', 'title'],
+        abbr: ['title'],
+        article: [],
+        b: [],
+        blockquote: ['cite'],
+        br: [],
+        caption: [],
+        cite: [],
+        code: [],
+        col: ['span'],
+        colgroup: ['span'],
+        dd: [],
+        del: ['cite', 'datetime'],
+        details: [],
+        dfn: [],
+        div: [],
+        dl: [],
+        dt: [],
+        em: [],
+        figcaption: [],
+        figure: [],
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+        hr: [],
+        i: [],
+        img: ['src', 'alt', 'title', 'width', 'height'],
+        ins: ['cite', 'datetime'],
+        kbd: [],
+        li: ['value'],
+        mark: [],
+        ol: ['start', 'reversed', 'type'],
+        p: [],
+        pre: [],
+        q: ['cite'],
+        s: [],
+        section: [],
+        small: [],
+        span: [],
+        strong: [],
+        sub: [],
+        summary: [],
+        sup: [],
+        table: [],
+        tbody: [],
+        td: ['align', 'colspan', 'rowspan'],
+        tfoot: [],
+        th: ['align', 'colspan', 'rowspan', 'scope'],
+        thead: [],
+        time: ['datetime'],
+        tr: [],
+        u: [],
+        ul: []
+    },
+
+    // Allowed on every element
+    globalAttributes: ['class', 'lang', 'dir'],
+
+    // Attributes holding a URL
+    urlAttributes: new Set(['href', 'src', 'cite']),
+
+    allowedSchemes: new Set(['http:', 'https:', 'mailto:']),
+
+    // Image data URIs that are safe to display
+    safeDataImage: /^data:image\/(gif|png|jpeg|webp);base64,[a-z0-9+/=\s]+$/i,
+
+    // Only the classes our server renderer emits survive, so article markup cannot
+    // reuse app styles or the hooks other modules look for (reader-highlight, reader-speaking)
+    allowedClass: /^(table-wrapper|language-[\w+#.-]+)$/,
+
+    /**
+     * Sanitize an HTML string
+     * @param {string} html - Untrusted HTML
+     * @returns {string} HTML containing only allowed elements, attributes and URLs
+     */
+    sanitize(html) {
+        if (!html) return '';
+
+        // Template content is inert: nothing in it runs or loads while we clean it
+        const template = document.createElement('template');
+        template.innerHTML = String(html);
+        this.cleanChildren(template.content);
+
+        return template.innerHTML;
+    },
+
+    /**
+     * Clean the children of a node in place
+     * @param {Node} parent - Element or document fragment
+     */
+    cleanChildren(parent) {
+        let node = parent.firstChild;
+
+        while (node) {
+            const next = node.nextSibling;
+
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                this.cleanElement(node);
+            } else if (node.nodeType !== Node.TEXT_NODE) {
+                // Comments, processing instructions, CDATA
+                node.remove();
+            }
+
+            node = next;
+        }
+    },
+
+    /**
+     * Remove, unwrap or strip a single element, then recurse into it
+     * @param {Element} element
+     */
+    cleanElement(element) {
+        const tag = element.localName;
+
+        if (this.droppedTags.has(tag) || element.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+            element.remove();
+            return;
+        }
+
+        this.cleanChildren(element);
+
+        const allowed = this.allowedTags[tag];
+        if (!allowed) {
+            element.replaceWith(...element.childNodes);
+            return;
+        }
+
+        for (const attribute of Array.from(element.attributes)) {
+            const name = attribute.name.toLowerCase();
+            if (!allowed.includes(name) && !this.globalAttributes.includes(name)) {
+                element.removeAttribute(attribute.name);
+            } else if (this.urlAttributes.has(name) && !this.isSafeUrl(attribute.value, tag === 'img')) {
+                element.removeAttribute(attribute.name);
+            }
+        }
+
+        if (element.hasAttribute('class')) {
+            const classes = element.getAttribute('class').split(/\s+/).filter(name => this.allowedClass.test(name));
+            if (classes.length) {
+                element.setAttribute('class', classes.join(' '));
+            } else {
+                element.removeAttribute('class');
+            }
+        }
+
+        if (tag === 'a') {
+            this.secureLink(element);
+        } else if (tag === 'img') {
+            if (!element.hasAttribute('src')) {
+                element.remove();
+                return;
+            }
+            element.setAttribute('loading', 'lazy');
+            element.setAttribute('referrerpolicy', 'no-referrer');
+        }
+    },
+
+    /**
+     * External links open in a new tab without access to our window
+     * @param {HTMLAnchorElement} link
+     */
+    secureLink(link) {
+        const href = link.getAttribute('href');
+        if (!href || href.startsWith('#')) {
+            link.removeAttribute('target');
+            link.removeAttribute('rel');
+            return;
+        }
+
+        link.setAttribute('target', '_blank');
+        link.setAttribute('rel', 'noopener noreferrer');
+    },
+
+    /**
+     * Whether a URL attribute value uses an allowed scheme. Relative URLs are allowed.
+     * @param {string} value - Attribute value
+     * @param {boolean} image - Also allow inline image data
+     * @returns {boolean}
+     */
+    isSafeUrl(value, image = false) {
+        // Browsers ignore control characters and whitespace inside the scheme
+        const url = String(value).replace(/[\u0000- \u007f-\u009f]/g, '');
+        if (!url) return false;
+
+        if (image && this.safeDataImage.test(url)) return true;
+
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+        if (!scheme) return true;
+
+        return this.allowedSchemes.has(`${scheme[1].toLowerCase()}:`);
+    }
+};
@@ -8,36 +8,89 @@ const UI = {
     sectionTitle: document.getElementById('sectionTitle'),
     resultsCount: document.getElementById('resultsCount'),
     apiKeyBanner: document.getElementById('apiKeyBanner'),
+    loadMore: document.getElementById('loadMore'),
+    loadMoreBtn: document.getElementById('loadMoreBtn'),
+    libraryView: document.getElementById('libraryView'),
 
     // Modal Elements
     modalOverlay: document.getElementById('modalOverlay'),
+    modalHeader: document.getElementById('modalHeader'),
     modalImage: document.getElementById('modalImage'),
     modalSource: document.getElementById('modalSource'),
+    modalAuthor: document.getElementById('modalAuthor'),
+    modalCanonical: document.getElementById('modalCanonical'),
     modalDate: document.getElementById('modalDate'),
     modalTitle: document.getElementById('modalTitle'),
     modalDescription: document.getElementById('modalDescription'),
+    modalReadingTime: document.getElementById('modalReadingTime'),
+    modalContainer: document.getElementById('modalContainer'),
+    readerProgress: document.getElementById('readerProgress'),
+    readerProgressBar: document.getElementById('readerProgressBar'),
+    readerSettingsToggle: document.getElementById('readerSettingsToggle'),
+    readerSettingsForm: document.getElementById('readerSettings'),
     readerContent: document.getElementById('readerContent'),
     modalEmbed: document.getElementById('modalEmbed'),
     modalBody: document.getElementById('modalBody'),
     articleFrame: document.getElementById('articleFrame'),
     openOriginalBtn: document.getElementById('openOriginalBtn'),
 
+    // Locale Elements
+    countrySelect: document.getElementById('countrySelect'),
+    languageSelect: document.getElementById('languageSelect'),
+
     // Search Elements
     searchInput: document.getElementById('searchInput'),
+    advancedSearchToggle: document.getElementById('advancedSearchToggle'),
+    advancedSearch: document.getElementById('advancedSearch'),
 
-    // Current article for modal
+    // Current article for modal, and its reader content once loaded
     currentArticle: null,
+    currentContent: null,
+
+    // Reading position (0-1 through the reader body) per article URL
+    readingPositions: {},
+    maxReadingPositions: 100,
+    readingPositionTimer: null,
+    readingProgressFrame: null,
+    wordsPerMinute: 230,
+
+    // Reader typography, applied as CSS variables that .reader-article picks up
+    readerPreferences: null,
+    readerPreferenceDefaults: {
+        fontSize: 16,
+        lineHeight: 1.8,
+        fontFamily: 'sans',
+        width: 'wide',
+        palette: 'default',
+        justify: true
+    },
+    readerWidths: { narrow: '560px', medium: '680px', wide: '800px' },
+    readerPalettes: ['default', 'sepia', 'contrast'],
+
+    // URLs of the cards currently in the grid
+    renderedIds: new Set(),
+    loadMoreObserver: null,
 
     // Search history management
     searchHistory: [],
     maxSearchHistory: 5,
 
+    // Region and language preferences
+    locale: { country: 'us', language: 'en' },
+    rtlLanguages: ['ar', 'he', 'ud'],
+
     /**
      * Initialize UI features
      */
     init() {
+        this.loadLocale();
+        this.initLocalePicker();
         this.loadSearchHistory();
         this.initSearchAutocomplete();
+        this.initAdvancedSearch();
+        this.loadReadingPositions();
+        this.initReadingProgress();
+        this.initReaderSettings();
     },
 
     /**
@@ -66,6 +119,91 @@ const UI = {
         }
     },
 
+    /**
+     * Load region and language from localStorage
+     */
+    loadLocale() {
+        try {
+            const saved = localStorage.getItem('newsHub_locale');
+            if (saved) {
+                this.locale = { ...this.locale, ...JSON.parse(saved) };
+            }
+        } catch (error) {
+            console.error('Error loading locale:', error);
+        }
+    },
+
+    /**
+     * Save region and language to localStorage
+     */
+    saveLocale() {
+        try {
+            localStorage.setItem('newsHub_locale', JSON.stringify(this.locale));
+        } catch (error) {
+            console.error('Error saving locale:', error);
+        }
+    },
+
+    /**
+     * Initialize region and language picker
+     */
+    initLocalePicker() {
+        this.countrySelect.value = this.locale.country;
+        this.languageSelect.value = this.locale.language;
+
+        // Fall back to defaults if a saved value is no longer offered
+        if (!this.countrySelect.value) this.countrySelect.value = this.locale.country = 'us';
+        if (!this.languageSelect.value) this.languageSelect.value = this.locale.language = 'en';
+
+        this.applyLocaleDirection();
+
+        const handleChange = () => {
+            this.locale = {
+                country: this.countrySelect.value,
+                language: this.languageSelect.value
+            };
+            this.saveLocale();
+            this.applyLocaleDirection();
+
+            // Reload news via custom event
+            document.dispatchEvent(new Event('localeChanged'));
+        };
+
+        this.countrySelect.addEventListener('change', handleChange);
+        this.languageSelect.addEventListener('change', handleChange);
+    },
+
+    /**
+     * Check if the selected language is written right-to-left
+     * @returns {boolean}
+     */
+    isRtl() {
+        return this.rtlLanguages.includes(this.locale.language);
+    },
+
+    /**
+     * Get BCP 47 locale for date formatting
+     * @returns {string} Locale such as en-US or de-AT
+     */
+    getDateLocale() {
+        // NewsAPI uses "ud" for Urdu
+        const language = this.locale.language === 'ud' ? 'ur' : this.locale.language;
+        return `${language}-${this.locale.country.toUpperCase()}`;
+    },
+
+    /**
+     * Apply text direction and language to the card grid and reader
+     */
+    applyLocaleDirection() {
+        const dir = this.isRtl() ? 'rtl' : 'ltr';
+        const lang = this.getDateLocale();
+
+        [this.newsGrid, this.modalHeader, this.readerContent].forEach(element => {
+            element.dir = dir;
+            element.lang = lang;
+        });
+    },
+
     /**
      * Add search term to history
      * @param {string} term - Search term
@@ -255,6 +393,139 @@ const UI = {
         this.hideSearchSuggestions();
     },
 
+    /**
+     * Initialize advanced search panel
+     */
+    initAdvancedSearch() {
+        const range = document.getElementById('advRange');
+
+        this.advancedSearchToggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleAdvancedSearch();
+        });
+
+        // Custom dates are only editable when "Custom dates" is selected
+        range.addEventListener('change', () => {
+            const custom = range.value === 'custom';
+            document.getElementById('advFrom').disabled = !custom;
+            document.getElementById('advTo').disabled = !custom;
+        });
+
+        this.advancedSearch.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.toggleAdvancedSearch(false);
+            this.updateAdvancedSearchIndicator();
+
+            // Trigger search via custom event
+            this.searchInput.dispatchEvent(new Event('advancedSearchApplied'));
+        });
+
+        document.getElementById('advReset').addEventListener('click', () => {
+            this.resetAdvancedSearch();
+        });
+
+        // Hide panel when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!this.advancedSearch.hidden && !this.advancedSearch.contains(e.target)) {
+                this.toggleAdvancedSearch(false);
+            }
+        });
+    },
+
+    /**
+     * Show or hide the advanced search panel
+     * @param {boolean} show - Force visibility, toggles when omitted
+     */
+    toggleAdvancedSearch(show = this.advancedSearch.hidden) {
+        this.advancedSearch.hidden = !show;
+        this.advancedSearchToggle.setAttribute('aria-expanded', String(show));
+
+        if (show) {
+            this.hideSearchSuggestions();
+        }
+    },
+
+    /**
+     * Split a comma separated input into a list
+     * @param {string} id - Input element id
+     * @returns {string[]} Non-empty items
+     */
+    readListInput(id) {
+        return document.getElementById(id).value
+            .split(',')
+            .map(item => item.trim())
+            .filter(Boolean);
+    },
+
+    /**
+     * Collect the advanced search options from the panel
+     * @returns {Object} Options for API.searchNews
+     */
+    getAdvancedSearchOptions() {
+        const range = document.getElementById('advRange').value;
+        const options = {
+            sortBy: document.getElementById('advSortBy').value,
+            domains: this.readListInput('advDomains'),
+            excludeDomains: this.readListInput('advExcludeDomains'),
+            sources: this.readListInput('advSources')
+        };
+
+        // Empty means "use the language picked in the header"
+        const language = document.getElementById('advLanguage').value;
+        if (language) {
+            options.language = language;
+        }
+
+        if (range === 'custom') {
+            options.from = document.getElementById('advFrom').value;
+            options.to = document.getElementById('advTo').value;
+        } else if (range) {
+            const hours = Number(range);
+            options.from = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString().slice(0, 19);
+        }
+
+        const searchIn = Array.from(document.querySelectorAll('input[name="advSearchIn"]:checked'))
+            .map(input => input.value);
+
+        // All fields checked is the API default
+        if (searchIn.length > 0 && searchIn.length < 3) {
+            options.searchIn = searchIn;
+        }
+
+        return options;
+    },
+
+    /**
+     * Check whether any advanced option differs from the defaults
+     * @returns {boolean}
+     */
+    hasAdvancedSearchFilters() {
+        const options = this.getAdvancedSearchOptions();
+        return Boolean(
+            options.from || options.to || options.searchIn ||
+            options.sortBy !== 'publishedAt' ||
+            options.language ||
+            options.domains.length || options.excludeDomains.length || options.sources.length
+        );
+    },
+
+    /**
+     * Mark the advanced search toggle when filters are active
+     */
+    updateAdvancedSearchIndicator() {
+        this.advancedSearchToggle.classList.toggle('has-filters', this.hasAdvancedSearchFilters());
+    },
+
+    /**
+     * Reset advanced search panel to defaults
+     */
+    resetAdvancedSearch() {
+        this.advancedSearch.reset();
+        document.getElementById('advFrom').disabled = true;
+        document.getElementById('advTo').disabled = true;
+        this.updateAdvancedSearchIndicator();
+    },
+
     /**
      * Escape HTML to prevent XSS
      * @param {string} text - Text to escape
@@ -266,6 +537,77 @@ const UI = {
         return div.innerHTML;
     },
 
+    /**
+     * User facing message for a failed API request
+     * @param {ApiError} error - Error thrown by API or Reader
+     * @returns {string} Message
+     */
+    describeError(error) {
+        switch (error.code) {
+            case 'MISSING_API_KEY':
+                return 'The news service is not configured. Set NEWS_API_KEY in the deployment environment. Get a free key at NewsAPI.org';
+            case 'CONFIGURATION_ERROR':
+                return `The news service is misconfigured: ${error.message}`;
+            case 'UPSTREAM_AUTH_FAILED':
+                return 'The news service rejected the server\'s API key. Please check NEWS_API_KEY.';
+            case 'UPSTREAM_RATE_LIMITED':
+                return error.retryAfter
+                    ? `Rate limit exceeded. Please try again in ${this.formatDuration(error.retryAfter)}.`
+                    : 'Rate limit exceeded. Please try again later.';
+            case 'RATE_LIMITED':
+                return `You're sending requests too quickly. Please wait ${this.formatDuration(error.retryAfter || 60)} and try again.`;
+            case 'UPSTREAM_PLAN_LIMIT':
+                return 'No more results are available on the current NewsAPI plan.';
+            case 'UPSTREAM_UNAVAILABLE':
+            case 'UPSTREAM_TIMEOUT':
+            case 'UPSTREAM_ERROR':
+                return 'The news service is temporarily unavailable. Please try again shortly.';
+            case 'NETWORK_ERROR':
+                return `${error.message}. Check your connection and try again.`;
+            case 'INVALID_PARAM':
+            case 'UPSTREAM_BAD_REQUEST':
+                return error.message;
+            default:
+                return `Error: ${error.message}`;
+        }
+    },
+
+    /**
+     * Format a wait in seconds as "45 seconds" or "2 minutes"
+     * @param {number} seconds
+     * @returns {string}
+     */
+    formatDuration(seconds) {
+        if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+        const minutes = Math.ceil(seconds / 60);
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    },
+
+    /**
+     * Keep a retry button disabled until Retry-After has passed
+     * @param {HTMLButtonElement} button - Retry button
+     * @param {number} seconds - Seconds to wait
+     */
+    startRetryCountdown(button, seconds) {
+        if (!seconds) return;
+
+        const label = button.textContent;
+        let remaining = seconds;
+        button.disabled = true;
+        button.textContent = `${label} (${remaining}s)`;
+
+        const timer = setInterval(() => {
+            remaining--;
+            if (remaining <= 0 || !button.isConnected) {
+                clearInterval(timer);
+                button.disabled = false;
+                button.textContent = label;
+                return;
+            }
+            button.textContent = `${label} (${remaining}s)`;
+        }, 1000);
+    },
+
     /**
      * Create skeleton card for loading state
      * @returns {HTMLElement} Skeleton card element
@@ -332,8 +674,11 @@ const UI = {
     /**
      * Show error message
      * @param {string} message - Error message to display
+     * @param {Object} options
+     * @param {Function} options.onRetry - Show a retry button calling this
+     * @param {number} options.retryAfter - Seconds to keep the retry button disabled
      */
-    showError(message) {
+    showError(message, { onRetry, retryAfter } = {}) {
         this.errorMessage.innerHTML = `
             <div class="error-content">
                 <svg class="error-icon" width="24" height="24" viewBox="0 0 24 24" fill="none">
@@ -342,10 +687,18 @@ const UI = {
                 </svg>
                 <div class="error-text">
                     <strong>Error</strong>
-                    <p>${message}</p>
+                    <p>${this.escapeHtml(message)}</p>
+                    ${onRetry ? '<button class="btn-secondary error-retry" type="button">Try again</button>' : ''}
                 </div>
             </div>
         `;
+
+        if (onRetry) {
+            const retryBtn = this.errorMessage.querySelector('.error-retry');
+            retryBtn.addEventListener('click', onRetry);
+            this.startRetryCountdown(retryBtn, retryAfter);
+        }
+
         this.errorMessage.style.display = 'flex';
         this.emptyState.style.display = 'none';
         this.newsGrid.innerHTML = '';
@@ -363,10 +716,113 @@ const UI = {
     },
 
     /**
-     * Hide API key banner
+     * Show a saved-data view (like My highlights) in place of the news grid
+     * @param {string} title - Section title
+     */
+    showLibraryView(title) {
+        this.updateSectionTitle(title);
+        this.resultsCount.textContent = '';
+        this.errorMessage.style.display = 'none';
+        this.emptyState.style.display = 'none';
+        this.hideLoading();
+        this.setLoadMoreState('hidden');
+        this.newsGrid.style.display = 'none';
+
+        this.libraryView.innerHTML = `
+            <div class="reader-loading">
+                <div class="spinner-small"></div>
+                <p>Loading...</p>
+            </div>
+        `;
+        this.libraryView.hidden = false;
+    },
+
+    /**
+     * Hide the saved-data view and bring back the news grid
+     */
+    hideLibraryView() {
+        this.libraryView.hidden = true;
+        this.libraryView.innerHTML = '';
+        this.newsGrid.style.display = '';
+    },
+
+    /**
+     * Show configuration problems and upstream trouble reported by /api/status
+     * @param {Object} status - Report from API.fetchStatus()
+     */
+    renderStatusBanner(status) {
+        const message = this.describeStatus(status);
+
+        if (!message) {
+            this.hideStatusBanner();
+            return;
+        }
+
+        this.apiKeyBanner.dataset.state = status.status;
+        this.apiKeyBanner.innerHTML = message;
+        this.apiKeyBanner.hidden = false;
+    },
+
+    /**
+     * Banner HTML for a status report, empty when everything is fine
+     * @param {Object} status - Report from API.fetchStatus()
+     * @returns {string} HTML
+     */
+    describeStatus(status) {
+        const provider = status.providers[status.provider];
+
+        if (status.status === 'unconfigured') {
+            if ((provider && provider.code) === 'MISSING_API_KEY') {
+                return `⚠️ This deployment has no NewsAPI key. Set <code>NEWS_API_KEY</code> in the server
+                    environment and redeploy. Get a free key at
+                    <a href="https://newsapi.org/register" target="_blank" rel="noopener noreferrer">NewsAPI.org</a>`;
+            }
+            const reason = provider ? provider.message : status.message;
+            return `⚠️ News is unavailable: ${this.escapeHtml(reason)}. Check <code>NEWS_PROVIDER</code> and its settings.`;
+        }
+
+        if (status.status !== 'degraded') return '';
+
+        const messages = [];
+        const newsUpstream = provider && provider.lastUpstream;
+        const jinaUpstream = status.reader.jina.lastUpstream;
+
+        if (newsUpstream && !newsUpstream.ok) {
+            messages.push(`The news service ${this.describeUpstreamProblem(newsUpstream)}, so some stories may not load.`);
+        }
+        if (jinaUpstream && !jinaUpstream.ok) {
+            messages.push(status.reader.fallback.enabled
+                ? `Jina AI Reader ${this.describeUpstreamProblem(jinaUpstream)}; reader mode is using the built-in extractor.`
+                : `Jina AI Reader ${this.describeUpstreamProblem(jinaUpstream)}; reader mode may fail.`);
+        }
+
+        return messages.length > 0 ? `ℹ️ ${messages.join(' ')}` : '';
+    },
+
+    /**
+     * Short phrase for a failed upstream call
+     * @param {Object} upstream - lastUpstream entry from /api/status
+     * @returns {string}
+     */
+    describeUpstreamProblem(upstream) {
+        switch (upstream.code) {
+            case 'UPSTREAM_RATE_LIMITED':
+                return 'is rate limiting requests';
+            case 'UPSTREAM_AUTH_FAILED':
+                return 'rejected the configured API key';
+            case 'UPSTREAM_PLAN_LIMIT':
+                return 'refused a request on the current plan';
+            default:
+                return 'is not responding normally';
+        }
+    },
+
+    /**
+     * Hide the status banner
      */
-    hideApiKeyBanner() {
-        this.apiKeyBanner.style.display = 'none';
+    hideStatusBanner() {
+        this.apiKeyBanner.hidden = true;
+        delete this.apiKeyBanner.dataset.state;
     },
 
     /**
@@ -381,15 +837,21 @@ const UI = {
         const diffMinutes = Math.floor(diffMs / (1000 * 60));
         const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
         const diffDays = Math.floor(diffHours / 24);
+        const locale = this.getDateLocale();
+
+        // Compact English labels, Intl for every other language
+        const relative = (value, unit, suffix) => this.locale.language === 'en'
+            ? `${value}${suffix} ago`
+            : new Intl.RelativeTimeFormat(locale, { style: 'narrow' }).format(-value, unit);
 
         if (diffMinutes < 60) {
-            return `${diffMinutes}m ago`;
+            return relative(diffMinutes, 'minute', 'm');
         } else if (diffHours < 24) {
-            return `${diffHours}h ago`;
+            return relative(diffHours, 'hour', 'h');
         } else if (diffDays < 7) {
-            return `${diffDays}d ago`;
+            return relative(diffDays, 'day', 'd');
         } else {
-            return date.toLocaleDateString('en-US', {
+            return date.toLocaleDateString(locale, {
                 month: 'short',
                 day: 'numeric',
                 year: date.getFullYear() !== now.getFullYear() ? 'numeric' : undefined
@@ -397,6 +859,18 @@ const UI = {
         }
     },
 
+    /**
+     * Format date as an exact, human readable timestamp
+     * @param {string} dateString - ISO date string
+     * @returns {string} Formatted date and time
+     */
+    formatFullDate(dateString) {
+        return new Date(dateString).toLocaleString(this.getDateLocale(), {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+    },
+
     /**
      * Truncate text to specified length
      * @param {string} text - Text to truncate
@@ -417,11 +891,12 @@ const UI = {
     createNewsCard(article) {
         const card = document.createElement('div');
         card.className = 'news-card';
+        card.dataset.articleId = article.id;
 
         // Fallback image with proper SVG encoding
         const fallbackImage = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="400" height="300"%3E%3Crect fill="%23cbd5e1" width="400" height="300"/%3E%3Ctext x="50%25" y="50%25" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="24" fill="%2364748b"%3ENo Image%3C/text%3E%3C/svg%3E';
 
-        const imageUrl = article.urlToImage || fallbackImage;
+        const imageUrl = article.image ? this.escapeHtml(article.image) : fallbackImage;
         const title = this.truncateText(article.title, 100);
         const description = this.truncateText(article.description || 'No description available', 150);
 
@@ -434,14 +909,31 @@ const UI = {
             <div class="news-content">
                 <div class="news-meta">
                     <span class="news-source">${this.escapeHtml(article.source.name)}</span>
-                    <span class="news-date">${this.formatDate(article.publishedAt)}</span>
+                    ${article.publishedAt ? `<span class="news-date">${this.formatDate(article.publishedAt)}</span>` : ''}
                 </div>
-                <h3 class="news-title">${this.escapeHtml(title)}</h3>
-                <p class="news-description">${this.escapeHtml(description)}</p>
+                <h3 class="news-title" dir="auto">${this.escapeHtml(title)}</h3>
+                <p class="news-description" dir="auto">${this.escapeHtml(description)}</p>
                 <span class="read-more">Read more →</span>
             </div>
         `;
 
+        // Save for later, handled by the app through a bubbling event
+        if (ReadingList.isSupported()) {
+            const saved = ReadingList.isSaved(article.url);
+            const saveBtn = document.createElement('button');
+            saveBtn.type = 'button';
+            saveBtn.className = 'news-save-btn';
+            saveBtn.dataset.url = article.url;
+            saveBtn.textContent = saved ? '✓' : '🔖';
+            saveBtn.setAttribute('aria-pressed', String(saved));
+            saveBtn.setAttribute('aria-label', saved ? 'Remove from reading list' : 'Save for later');
+            saveBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                card.dispatchEvent(new CustomEvent('readingListToggle', { bubbles: true, detail: { article } }));
+            });
+            card.appendChild(saveBtn);
+        }
+
         // Add click event to open modal
         card.addEventListener('click', () => {
             this.openArticleModal(article);
@@ -450,29 +942,49 @@ const UI = {
         return card;
     },
 
+    /**
+     * Plain copy of the article fields the modal needs, for storing on this device
+     * @param {Object} article - Article object
+     * @returns {Object}
+     */
+    snapshotArticle(article) {
+        return {
+            url: article.url,
+            title: article.title,
+            description: article.description || '',
+            author: article.author || '',
+            image: article.image || '',
+            publishedAt: article.publishedAt || '',
+            source: { name: article.source.name }
+        };
+    },
+
     /**
      * Render articles to the grid
      * @param {Array} articles - Array of article objects
+     * @param {number} totalResults - Total matches reported by the API
      */
-    renderArticles(articles) {
+    renderArticles(articles, totalResults = 0) {
         this.newsGrid.innerHTML = '';
+        this.renderedIds.clear();
 
-        if (!articles || articles.length === 0) {
+        if (this.appendArticles(articles) === 0) {
             this.showEmpty();
             this.resultsCount.textContent = '';
             return;
         }
 
-        // Filter out articles without titles
-        const validArticles = articles.filter(article => article.title && article.title !== '[Removed]');
-
-        if (validArticles.length === 0) {
-            this.showEmpty();
-            this.resultsCount.textContent = '';
-            return;
-        }
+        this.updateResultsCount(totalResults);
+    },
 
-        this.resultsCount.textContent = `${validArticles.length} article${validArticles.length !== 1 ? 's' : ''}`;
+    /**
+     * Append articles to the grid without re-rendering existing cards
+     * @param {Array} articles - Array of article objects
+     * @returns {number} Number of cards added
+     */
+    appendArticles(articles) {
+        // Pages can overlap when new stories arrive between requests
+        const validArticles = (articles || []).filter(article => !this.renderedIds.has(article.id));
 
         // Create and append cards with animation
         validArticles.forEach((article, index) => {
@@ -480,6 +992,7 @@ const UI = {
             card.style.opacity = '0';
             card.style.transform = 'translateY(20px)';
             this.newsGrid.appendChild(card);
+            this.renderedIds.add(article.id);
 
             // Stagger animation
             setTimeout(() => {
@@ -488,6 +1001,61 @@ const UI = {
                 card.style.transform = 'translateY(0)';
             }, index * 50);
         });
+
+        return validArticles.length;
+    },
+
+    /**
+     * Update results count
+     * @param {number} totalResults - Total matches reported by the API
+     */
+    updateResultsCount(totalResults = 0) {
+        const shown = this.renderedIds.size;
+
+        if (totalResults > shown) {
+            this.resultsCount.textContent = `${shown} of ${totalResults.toLocaleString()} articles`;
+        } else {
+            this.resultsCount.textContent = `${shown} article${shown !== 1 ? 's' : ''}`;
+        }
+    },
+
+    /**
+     * Initialize "Load more" button and infinite scroll
+     * @param {Function} onLoadMore - Called when the next page should load
+     */
+    initLoadMore(onLoadMore) {
+        this.loadMoreBtn.addEventListener('click', () => onLoadMore());
+
+        if ('IntersectionObserver' in window) {
+            this.loadMoreObserver = new IntersectionObserver((entries) => {
+                const visible = entries.some(entry => entry.isIntersecting);
+                if (visible && this.loadMore.dataset.state === 'idle') {
+                    onLoadMore();
+                }
+            }, { rootMargin: '600px 0px' });
+
+            this.loadMoreObserver.observe(this.loadMore);
+        }
+    },
+
+    /**
+     * Update "Load more" state
+     * @param {string} state - hidden, idle, loading or error
+     */
+    setLoadMoreState(state) {
+        this.loadMore.dataset.state = state;
+        this.loadMore.hidden = state === 'hidden';
+        this.loadMoreBtn.disabled = state === 'loading';
+        this.loadMoreBtn.textContent = {
+            loading: 'Loading...',
+            error: 'Retry loading more'
+        }[state] || 'Load more';
+
+        // Re-observe so a sentinel that is still on screen triggers the next page
+        if (state === 'idle' && this.loadMoreObserver) {
+            this.loadMoreObserver.unobserve(this.loadMore);
+            this.loadMoreObserver.observe(this.loadMore);
+        }
     },
 
     /**
@@ -504,23 +1072,34 @@ const UI = {
      */
     async openArticleModal(article) {
         this.currentArticle = article;
+        this.currentContent = null;
 
         // Populate modal header
         const fallbackImage = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="400" height="300"%3E%3Crect fill="%23cbd5e1" width="400" height="300"/%3E%3Ctext x="50%25" y="50%25" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="24" fill="%2364748b"%3ENo Image%3C/text%3E%3C/svg%3E';
 
-        this.modalImage.src = article.urlToImage || fallbackImage;
+        this.modalImage.src = article.image || fallbackImage;
         this.modalImage.onerror = () => {
             this.modalImage.src = fallbackImage;
         };
         this.modalSource.textContent = article.source.name;
-        this.modalDate.textContent = this.formatDate(article.publishedAt);
+        this.modalAuthor.textContent = article.author ? `By ${article.author}` : '';
+        this.modalCanonical.textContent = '';
+        this.modalCanonical.href = article.url;
+        // Feed items without a date show none rather than the epoch
+        this.modalDate.textContent = article.publishedAt ? this.formatDate(article.publishedAt) : '';
+        this.modalDate.dateTime = article.publishedAt || '';
+        this.modalDate.title = article.publishedAt ? this.formatFullDate(article.publishedAt) : '';
         this.modalTitle.textContent = article.title;
         this.modalDescription.textContent = article.description || 'No description available';
         this.openOriginalBtn.href = article.url;
+        this.modalReadingTime.textContent = '';
+        this.modalContainer.scrollTop = 0;
+        this.setReadingProgress(0);
 
         // Show modal
         this.modalOverlay.classList.add('active');
         document.body.style.overflow = 'hidden';
+        this.modalOverlay.dispatchEvent(new CustomEvent('articleOpened', { detail: { article } }));
 
         // Load article content in reader mode
         this.showReaderMode();
@@ -531,9 +1110,13 @@ const UI = {
      * Close article modal
      */
     closeArticleModal() {
+        this.rememberReadingPosition();
+        this.toggleReaderSettings(false);
+
         this.modalOverlay.classList.remove('active');
         document.body.style.overflow = '';
         this.currentArticle = null;
+        this.currentContent = null;
 
         // Clear iframe
         this.articleFrame.src = 'about:blank';
@@ -553,26 +1136,380 @@ const UI = {
         `;
 
         try {
-            // Extract content using Reader module
-            const content = await Reader.extractContent(url);
-            this.readerContent.innerHTML = content;
+            // Saved articles open from the reading list, without the network
+            const contentData = await ReadingList.getContent(url) || await Reader.fetchArticleContent(url);
+
+            // Ignore responses for an article that is no longer open
+            if (!this.currentArticle || this.currentArticle.url !== url) return;
+
+            this.currentContent = contentData;
+            this.updateModalMetadata(contentData);
+            this.readerContent.innerHTML = Reader.formatContent(contentData);
+            this.updateReadingStats();
+            this.restoreReadingPosition(url);
+            this.readerContent.dispatchEvent(new CustomEvent('readerContentLoaded', { detail: { url } }));
         } catch (error) {
-            console.error('Error loading article content:', error);
-            this.readerContent.innerHTML = `
-                <div class="reader-error">
-                    <h3>Failed to load content</h3>
-                    <p>Unable to extract article content. Please try the embedded view or open the original article.</p>
-                </div>
-            `;
+            if (!this.currentArticle || this.currentArticle.url !== url) return;
+
+            this.readerContent.innerHTML = Reader.formatError(error);
+
+            const retryBtn = this.readerContent.querySelector('[data-action="retry"]');
+            if (retryBtn) {
+                retryBtn.addEventListener('click', () => this.loadArticleContent(url));
+                this.startRetryCountdown(retryBtn, error.retryAfter);
+            }
+        }
+    },
+
+    /**
+     * Update modal header with metadata extracted by the reader
+     * @param {Object} contentData - Content data from API
+     */
+    updateModalMetadata(contentData) {
+        if (contentData.author) {
+            this.modalAuthor.textContent = `By ${contentData.author}`;
+        }
+
+        if (contentData.publishedTime && !isNaN(new Date(contentData.publishedTime))) {
+            this.modalDate.textContent = this.formatFullDate(contentData.publishedTime);
+            this.modalDate.dateTime = contentData.publishedTime;
+            this.modalDate.title = this.formatDate(contentData.publishedTime);
+        }
+
+        if (contentData.url) {
+            this.modalCanonical.href = contentData.url;
+            this.modalCanonical.textContent = contentData.url.replace(/^https?:\/\/(www\.)?/, '');
+            this.openOriginalBtn.href = contentData.url;
+        }
+
+        if (contentData.image && !this.currentArticle.image) {
+            this.modalImage.src = contentData.image;
+        }
+    },
+
+    /**
+     * Initialize the reader settings popover
+     */
+    initReaderSettings() {
+        this.loadReaderSettings();
+        this.applyReaderSettings();
+
+        this.readerSettingsToggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleReaderSettings();
+        });
+
+        // Apply every change right away so the article previews it
+        this.readerSettingsForm.addEventListener('input', () => {
+            this.readReaderSettingsForm();
+        });
+
+        this.readerSettingsForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+        });
+
+        document.getElementById('readerSettingsReset').addEventListener('click', () => {
+            this.resetReaderSettings();
+        });
+
+        // Hide popover when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!this.readerSettingsForm.hidden && !this.readerSettingsForm.contains(e.target)) {
+                this.toggleReaderSettings(false);
+            }
+        });
+    },
+
+    /**
+     * Show or hide the reader settings popover
+     * @param {boolean} show - Force visibility, toggles when omitted
+     */
+    toggleReaderSettings(show = this.readerSettingsForm.hidden) {
+        if (show) {
+            this.syncReaderSettingsForm();
+        }
+
+        this.readerSettingsForm.hidden = !show;
+        this.readerSettingsToggle.setAttribute('aria-expanded', String(show));
+    },
+
+    /**
+     * Load reader settings from localStorage
+     */
+    loadReaderSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('newsHub_readerSettings')) || {};
+        } catch (error) {
+            console.error('Error loading reader settings:', error);
+        }
+        this.readerPreferences = this.normalizeReaderSettings(saved);
+    },
+
+    /**
+     * Save reader settings to localStorage
+     */
+    saveReaderSettings() {
+        try {
+            localStorage.setItem('newsHub_readerSettings', JSON.stringify(this.readerPreferences));
+        } catch (error) {
+            console.error('Error saving reader settings:', error);
+        }
+    },
+
+    /**
+     * Fill in defaults and drop out of range values
+     * @param {Object} settings - Saved or submitted settings
+     * @returns {Object} Complete, valid settings
+     */
+    normalizeReaderSettings(settings) {
+        const defaults = this.readerPreferenceDefaults;
+        const number = (value, min, max, fallback) => {
+            const parsed = Number(value);
+            return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+        };
+
+        return {
+            fontSize: number(settings.fontSize, 14, 26, defaults.fontSize),
+            lineHeight: number(settings.lineHeight, 1.4, 2.2, defaults.lineHeight),
+            fontFamily: settings.fontFamily === 'serif' ? 'serif' : defaults.fontFamily,
+            width: settings.width in this.readerWidths ? settings.width : defaults.width,
+            palette: this.readerPalettes.includes(settings.palette) ? settings.palette : defaults.palette,
+            justify: typeof settings.justify === 'boolean' ? settings.justify : defaults.justify
+        };
+    },
+
+    /**
+     * Show the current settings in the popover
+     */
+    syncReaderSettingsForm() {
+        const form = this.readerSettingsForm.elements;
+        const settings = this.readerPreferences;
+
+        form.fontSize.value = settings.fontSize;
+        form.lineHeight.value = settings.lineHeight;
+        form.fontFamily.value = settings.fontFamily;
+        form.width.value = settings.width;
+        form.palette.value = settings.palette;
+        form.justify.checked = settings.justify;
+        form.fontSizeValue.value = `${settings.fontSize}px`;
+        form.lineHeightValue.value = settings.lineHeight.toFixed(1);
+    },
+
+    /**
+     * Take the settings from the popover, then apply and save them
+     */
+    readReaderSettingsForm() {
+        const form = this.readerSettingsForm.elements;
+
+        this.readerPreferences = this.normalizeReaderSettings({
+            fontSize: form.fontSize.value,
+            lineHeight: form.lineHeight.value,
+            fontFamily: form.fontFamily.value,
+            width: form.width.value,
+            palette: form.palette.value,
+            justify: form.justify.checked
+        });
+
+        form.fontSizeValue.value = `${this.readerPreferences.fontSize}px`;
+        form.lineHeightValue.value = this.readerPreferences.lineHeight.toFixed(1);
+
+        this.applyReaderSettings();
+        this.saveReaderSettings();
+    },
+
+    /**
+     * Restore the default reader settings
+     */
+    resetReaderSettings() {
+        this.readerPreferences = { ...this.readerPreferenceDefaults };
+        this.syncReaderSettingsForm();
+        this.applyReaderSettings();
+        this.saveReaderSettings();
+    },
+
+    /**
+     * Set the CSS variables read by .reader-article on the reader container,
+     * so they survive the article being re-rendered
+     */
+    applyReaderSettings() {
+        const settings = this.readerPreferences;
+        const style = this.readerContent.style;
+
+        style.setProperty('--reader-font-size', `${settings.fontSize}px`);
+        style.setProperty('--reader-line-height', String(settings.lineHeight));
+        style.setProperty('--reader-font-family', settings.fontFamily === 'serif' ? 'var(--font-serif)' : 'var(--font-sans)');
+        style.setProperty('--reader-max-width', this.readerWidths[settings.width]);
+        style.setProperty('--reader-text-align', settings.justify ? 'justify' : 'start');
+
+        if (settings.palette === 'default') {
+            delete this.readerContent.dataset.palette;
+        } else {
+            this.readerContent.dataset.palette = settings.palette;
+        }
+    },
+
+    /**
+     * Show word count and reading time for the article in the reader
+     */
+    updateReadingStats() {
+        const article = this.readerContent.querySelector('.reader-article');
+        const words = article ? this.countWords(article.textContent) : 0;
+
+        if (!words) {
+            this.modalReadingTime.textContent = '';
+            return;
+        }
+
+        const minutes = Math.max(1, Math.round(words / this.wordsPerMinute));
+        this.modalReadingTime.textContent = `${words.toLocaleString(this.getDateLocale())} words · ${minutes} min read`;
+        this.modalReadingTime.title = `About ${minutes} minute${minutes === 1 ? '' : 's'} at ${this.wordsPerMinute} words per minute`;
+    },
+
+    /**
+     * Count words; Chinese and Japanese characters count as one word each
+     * since those scripts do not separate words with spaces
+     * @param {string} text - Plain text
+     * @returns {number}
+     */
+    countWords(text) {
+        const cjk = text.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g) || [];
+        const words = text
+            .replace(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g, ' ')
+            .match(/[\p{L}\p{N}]+(?:['\u2019.-][\p{L}\p{N}]+)*/gu) || [];
+
+        return words.length + cjk.length;
+    },
+
+    /**
+     * Track how far through the reader body the modal is scrolled
+     */
+    initReadingProgress() {
+        this.modalContainer.addEventListener('scroll', () => {
+            if (this.readingProgressFrame) return;
+
+            this.readingProgressFrame = requestAnimationFrame(() => {
+                this.readingProgressFrame = null;
+                this.updateReadingProgress();
+            });
+
+            clearTimeout(this.readingPositionTimer);
+            this.readingPositionTimer = setTimeout(() => this.rememberReadingPosition(), 500);
+        }, { passive: true });
+    },
+
+    /**
+     * Fraction of #modalBody scrolled past, from 0 at its top to 1 when its end is in view
+     * @returns {number|null} null when the reader body is hidden
+     */
+    getReadingProgress() {
+        if (this.modalBody.style.display === 'none') return null;
+
+        const body = this.modalBody.getBoundingClientRect();
+        const viewport = this.modalContainer.getBoundingClientRect();
+        const scrollable = body.height - viewport.height;
+
+        if (scrollable <= 0) return body.top < viewport.bottom ? 1 : 0;
+        return Math.min(1, Math.max(0, (viewport.top - body.top) / scrollable));
+    },
+
+    /**
+     * Update the progress bar from the current scroll position
+     */
+    updateReadingProgress() {
+        const progress = this.getReadingProgress();
+        if (progress !== null) this.setReadingProgress(progress);
+    },
+
+    /**
+     * @param {number} progress - 0 to 1
+     */
+    setReadingProgress(progress) {
+        this.readerProgressBar.style.transform = `scaleX(${progress})`;
+        this.readerProgress.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+    },
+
+    /**
+     * Load saved reading positions from localStorage
+     */
+    loadReadingPositions() {
+        try {
+            const saved = localStorage.getItem('newsHub_readingPositions');
+            if (saved) {
+                this.readingPositions = JSON.parse(saved) || {};
+            }
+        } catch (error) {
+            console.error('Error loading reading positions:', error);
+            this.readingPositions = {};
         }
     },
 
+    /**
+     * Save reading positions to localStorage, keeping the most recent ones
+     */
+    saveReadingPositions() {
+        const entries = Object.entries(this.readingPositions)
+            .sort((a, b) => b[1].savedAt - a[1].savedAt)
+            .slice(0, this.maxReadingPositions);
+        this.readingPositions = Object.fromEntries(entries);
+
+        try {
+            localStorage.setItem('newsHub_readingPositions', JSON.stringify(this.readingPositions));
+        } catch (error) {
+            console.error('Error saving reading positions:', error);
+        }
+    },
+
+    /**
+     * Remember how far the open article has been read. Articles read to the
+     * end (or barely started) are forgotten so they open at the top.
+     */
+    rememberReadingPosition() {
+        clearTimeout(this.readingPositionTimer);
+
+        const url = this.currentArticle && this.currentArticle.url;
+        const progress = this.getReadingProgress();
+        if (!url || progress === null || !this.readerContent.querySelector('.reader-article')) return;
+
+        const previous = this.readingPositions[url];
+        if (progress < 0.02 || progress > 0.98) {
+            if (!previous) return;
+            delete this.readingPositions[url];
+        } else {
+            if (previous && Math.abs(previous.progress - progress) < 0.005) return;
+            this.readingPositions[url] = { progress: Math.round(progress * 1000) / 1000, savedAt: Date.now() };
+        }
+
+        this.saveReadingPositions();
+    },
+
+    /**
+     * Scroll the reader back to where the article was left
+     * @param {string} url - Article URL
+     */
+    restoreReadingPosition(url) {
+        const saved = this.readingPositions[url];
+
+        if (saved) {
+            const body = this.modalBody.getBoundingClientRect();
+            const viewport = this.modalContainer.getBoundingClientRect();
+            const bodyTop = body.top - viewport.top + this.modalContainer.scrollTop;
+            const scrollable = Math.max(0, body.height - viewport.height);
+
+            this.modalContainer.scrollTop = bodyTop + saved.progress * scrollable;
+        }
+
+        this.updateReadingProgress();
+    },
+
     /**
      * Show reader mode
      */
     showReaderMode() {
         this.modalBody.style.display = 'block';
         this.modalEmbed.style.display = 'none';
+        this.readerProgress.hidden = false;
+        this.updateReadingProgress();
 
         document.getElementById('readerModeBtn').classList.add('active');
         document.getElementById('embedModeBtn').classList.remove('active');
@@ -582,8 +1519,12 @@ const UI = {
      * Show embed mode
      */
     showEmbedMode() {
+        this.rememberReadingPosition();
+        this.toggleReaderSettings(false);
+
         this.modalBody.style.display = 'none';
         this.modalEmbed.style.display = 'block';
+        this.readerProgress.hidden = true;
 
         document.getElementById('readerModeBtn').classList.remove('active');
         document.getElementById('embedModeBtn').classList.add('active');
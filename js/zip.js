@@ -0,0 +1,110 @@
+// Zip Module - minimal ZIP writer for exports. Entries are stored without compression,
+// which is all EPUB needs (its mimetype entry must be stored anyway).
+const Zip = {
+    // CRC-32 lookup table, built on first use
+    crcTable: null,
+
+    /**
+     * CRC-32 (IEEE 802.3) checksum, as ZIP headers require
+     * @param {Uint8Array} bytes
+     * @returns {number} Unsigned 32-bit checksum
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    /**
+     * Date and time in MS-DOS format, local time with two-second precision
+     * @param {Date} date
+     * @returns {Object} {time, date}
+     */
+    dosDateTime(date) {
+        // DOS dates start in 1980
+        const year = Math.max(date.getFullYear(), 1980);
+
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+
+    /**
+     * Build a ZIP archive
+     * @param {Array<Object>} files - {name, data} in archive order; string data is written as UTF-8
+     * @param {string} type - MIME type of the archive
+     * @returns {Blob}
+     */
+    create(files, type = 'application/zip') {
+        const encoder = new TextEncoder();
+        const { time, date } = this.dosDateTime(new Date());
+
+        // Names are UTF-8 (general purpose flag bit 11)
+        const flags = 0x0800;
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, flags, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, flags, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+
+            parts.push(local, name, data);
+            directory.push(entry, name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...directory, end], { type });
+    }
+};
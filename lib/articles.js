@@ -0,0 +1,166 @@
+// Article schema shared by every provider.
+// Bump SCHEMA_VERSION whenever a field is renamed, removed or changes meaning.
+const crypto = require('crypto');
+const { normalizeUrl } = require('./url');
+
+const SCHEMA_VERSION = 1;
+
+const MAX_IMAGE_URL_LENGTH = 2048;
+
+// NewsAPI keeps deleted stories in results with placeholder fields
+const REMOVED_MARKER = '[Removed]';
+const REMOVED_HOST = 'removed.com';
+
+/**
+ * Stable article ID: the first 16 hex characters of the SHA-256 of the
+ * normalized URL, so tracking parameters or a trailing slash don't matter
+ * @param {string} canonicalUrl - Normalized article URL
+ * @returns {string}
+ */
+function articleId(canonicalUrl) {
+  return crypto.createHash('sha256').update(canonicalUrl).digest('hex').slice(0, 16);
+}
+
+/**
+ * Resolve a URL against a base and only accept http(s)
+ * @param {string} value - Absolute or relative URL
+ * @param {string} baseUrl - Base for relative URLs
+ * @returns {URL|null}
+ */
+function parseHttpUrl(value, baseUrl) {
+  if (!value || typeof value !== 'string') return null;
+
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+function collapseWhitespace(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Drop the " - Source Name" suffix NewsAPI appends to titles.
+ * Only strips when the suffix matches the source name or domain, so titles
+ * that merely contain a dash are left alone.
+ * @param {string} title - Raw title
+ * @param {Object} source - Normalized source
+ * @returns {string}
+ */
+function cleanTitle(title, source) {
+  const text = collapseWhitespace(title);
+  const match = text.match(/^(.+?)\s+[-–—|]\s+([^-–—|]+)$/);
+  if (!match) return text;
+
+  const suffix = match[2].toLowerCase();
+  const names = [source.name, source.domain].filter(Boolean).map(name => name.toLowerCase());
+  return names.includes(suffix) ? match[1] : text;
+}
+
+/**
+ * Fill in missing source fields from the article URL
+ * @param {Object} source - Raw {id, name}
+ * @param {URL} url - Parsed article URL
+ * @returns {Object} {id, name, domain}
+ */
+function normalizeSource(source, url) {
+  const domain = url.hostname.toLowerCase().replace(/^www\./, '');
+  const name = collapseWhitespace(source && source.name) || domain;
+
+  return {
+    id: (source && source.id) || null,
+    name,
+    domain
+  };
+}
+
+/**
+ * @param {string} value - Any date string
+ * @returns {string|null} ISO 8601 date
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Keep only absolute http(s) image URLs of a sane length.
+ * The scheme is kept: some hosts serve images over plain http only, and
+ * browsers upgrade or block mixed content themselves (the card falls back
+ * to a placeholder when an image fails).
+ * @param {string} value - Raw image URL
+ * @param {string} baseUrl - Article URL for relative images
+ * @returns {string|null}
+ */
+function normalizeImage(value, baseUrl) {
+  const url = parseHttpUrl(value, baseUrl);
+  if (!url) return null;
+
+  const href = url.toString();
+  return href.length <= MAX_IMAGE_URL_LENGTH ? href : null;
+}
+
+/**
+ * Author bylines sometimes contain profile URLs or only whitespace
+ * @param {string} value - Raw author
+ * @returns {string|null}
+ */
+function normalizeAuthor(value) {
+  const author = collapseWhitespace(value);
+  return author && !/^https?:\/\//i.test(author) ? author : null;
+}
+
+/**
+ * Map a provider article onto the shared schema
+ * @param {Object} raw - {source, title, description, author, url, image, publishedAt}
+ * @param {Object} options
+ * @param {string} options.baseUrl - Base for relative article links (e.g. the feed URL)
+ * @returns {Object|null} Article, or null for removed or unusable entries
+ */
+function normalizeArticle(raw, { baseUrl } = {}) {
+  const url = parseHttpUrl(raw.url, baseUrl);
+  if (!url || url.hostname === REMOVED_HOST) return null;
+
+  const source = normalizeSource(raw.source, url);
+  const title = cleanTitle(raw.title, source);
+  if (!title || title === REMOVED_MARKER) return null;
+
+  const canonicalUrl = normalizeUrl(url.toString());
+  const description = collapseWhitespace(raw.description);
+
+  return {
+    id: articleId(canonicalUrl),
+    url: url.toString(),
+    canonicalUrl,
+    title,
+    description: description === REMOVED_MARKER ? '' : description,
+    author: normalizeAuthor(raw.author),
+    source,
+    image: normalizeImage(raw.image, url),
+    publishedAt: toIsoDate(raw.publishedAt)
+  };
+}
+
+/**
+ * Normalize a list, dropping removed entries and duplicate IDs
+ * @param {Array} rawArticles - Provider articles
+ * @param {Object} options - See normalizeArticle
+ * @returns {Array}
+ */
+function normalizeArticles(rawArticles, options) {
+  const seen = new Set();
+
+  return rawArticles
+    .map(raw => normalizeArticle(raw, options))
+    .filter(article => {
+      if (!article || seen.has(article.id)) return false;
+      seen.add(article.id);
+      return true;
+    });
+}
+
+module.exports = { SCHEMA_VERSION, articleId, cleanTitle, normalizeArticle, normalizeArticles, toIsoDate };
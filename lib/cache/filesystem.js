@@ -0,0 +1,62 @@
+// Filesystem cache store - one JSON file per key, survives cold starts on the same instance
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Create a store that keeps records as JSON files in a directory
+ * @param {Object} options
+ * @param {string} options.dir - Cache directory
+ * @param {number} options.maxEntries - Files kept before the oldest are pruned
+ * @returns {Object} Store
+ */
+function createFilesystemStore({ dir = path.join(os.tmpdir(), 'newshub-cache'), maxEntries = 500 } = {}) {
+  const fileFor = key => path.join(dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+
+  async function prune() {
+    const names = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+    if (names.length <= maxEntries) return;
+
+    const files = await Promise.all(names.map(async name => {
+      const file = path.join(dir, name);
+      const stat = await fs.stat(file).catch(() => null);
+      return { file, mtime: stat ? stat.mtimeMs : 0 };
+    }));
+
+    files.sort((a, b) => a.mtime - b.mtime);
+    await Promise.all(files.slice(0, files.length - maxEntries).map(({ file }) => fs.rm(file, { force: true })));
+  }
+
+  return {
+    name: 'filesystem',
+
+    async get(key) {
+      try {
+        const { record, deleteAt } = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+        if (deleteAt <= Date.now()) {
+          await fs.rm(fileFor(key), { force: true });
+          return null;
+        }
+        return record;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error reading cache file:', error);
+        }
+        return null;
+      }
+    },
+
+    async set(key, record, ttlSeconds) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify({ key, record, deleteAt: Date.now() + ttlSeconds * 1000 }));
+      await prune();
+    },
+
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+module.exports = { createFilesystemStore };
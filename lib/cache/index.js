@@ -0,0 +1,126 @@
+// Cache with TTL and stale-while-revalidate on top of a pluggable store
+const { createMemoryStore } = require('./memory');
+const { createFilesystemStore } = require('./filesystem');
+const { createKvStore } = require('./kv');
+
+/**
+ * Store factories by name. A store implements:
+ *   get(key) -> Promise<record|null>
+ *   set(key, record, ttlSeconds) -> Promise
+ *   delete(key) -> Promise
+ * and is responsible for dropping records once ttlSeconds have passed.
+ */
+const stores = {
+  memory: createMemoryStore,
+  filesystem: createFilesystemStore,
+  kv: createKvStore
+};
+
+/**
+ * Create a cache
+ * @param {Object} options
+ * @param {Object} options.store - Store instance
+ * @param {number} options.ttl - Seconds a record is fresh
+ * @param {number} options.staleTtl - Extra seconds an expired record may be served while refreshing
+ * @param {number} options.maxEntryBytes - Larger values are not cached
+ * @returns {Object} Cache
+ */
+function createCache({ store, ttl = 3600, staleTtl = 86400, maxEntryBytes = 1024 * 1024 }) {
+  const refreshing = new Map();
+
+  async function save(key, value) {
+    const record = { value, storedAt: Date.now(), expiresAt: Date.now() + ttl * 1000 };
+    if (Buffer.byteLength(JSON.stringify(record)) > maxEntryBytes) return;
+
+    try {
+      await store.set(key, record, ttl + staleTtl);
+    } catch (error) {
+      console.error('Error writing cache:', error);
+    }
+  }
+
+  function refresh(key, fetcher) {
+    if (!refreshing.has(key)) {
+      const pending = fetcher()
+        .then(value => save(key, value))
+        .catch(error => console.error('Error refreshing cache:', error))
+        .finally(() => refreshing.delete(key));
+      refreshing.set(key, pending);
+    }
+    return refreshing.get(key);
+  }
+
+  return {
+    store,
+
+    /**
+     * Return the cached value for key, calling fetcher on a miss.
+     * Stale records are returned immediately and refreshed in the background.
+     * @param {string} key - Cache key
+     * @param {Function} fetcher - Async function producing the value
+     * @returns {Promise<{value: *, cache: 'hit'|'miss'|'stale'}>}
+     */
+    async getOrFetch(key, fetcher) {
+      let record = null;
+      try {
+        record = await store.get(key);
+      } catch (error) {
+        console.error('Error reading cache:', error);
+      }
+
+      if (record && record.expiresAt > Date.now()) {
+        return { value: record.value, cache: 'hit' };
+      }
+
+      if (record) {
+        refresh(key, fetcher);
+        return { value: record.value, cache: 'stale' };
+      }
+
+      const value = await fetcher();
+      await save(key, value);
+      return { value, cache: 'miss' };
+    },
+
+    async delete(key) {
+      await store.delete(key);
+    }
+  };
+}
+
+/**
+ * Create a cache configured from env vars with the given prefix,
+ * e.g. READER_CACHE=filesystem, READER_CACHE_TTL=3600
+ * @param {string} prefix - Env var prefix
+ * @returns {Object|null} Cache, or null when disabled
+ */
+function createCacheFromEnv(prefix) {
+  const env = name => process.env[`${prefix}_${name}`];
+  const storeName = (process.env[prefix] || 'memory').toLowerCase();
+
+  if (storeName === 'off' || storeName === 'none') {
+    return null;
+  }
+
+  const createStore = stores[storeName];
+  if (!createStore) {
+    throw new Error(`Unknown cache store: ${storeName}`);
+  }
+
+  const number = (name, fallback) => {
+    const value = Number(env(name));
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+  };
+
+  return createCache({
+    store: createStore({
+      maxEntries: number('MAX_ENTRIES', undefined),
+      dir: env('DIR') || undefined
+    }),
+    ttl: number('TTL', 3600),
+    staleTtl: number('STALE_TTL', 86400),
+    maxEntryBytes: number('MAX_ENTRY_BYTES', 1024 * 1024)
+  });
+}
+
+module.exports = { createCache, createCacheFromEnv, stores };
@@ -0,0 +1,73 @@
+// Key-value cache store - shares cached records across serverless instances
+
+/**
+ * Minimal client for Redis-compatible REST APIs (Vercel KV, Upstash)
+ * @param {Object} options
+ * @param {string} options.url - REST endpoint (KV_REST_API_URL)
+ * @param {string} options.token - Bearer token (KV_REST_API_TOKEN)
+ * @returns {Object} Client with get/set/del/eval
+ */
+function createRestClient({ url, token }) {
+  async function command(args) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(args)
+    });
+
+    if (!response.ok) {
+      throw new Error(`KV request failed: ${response.status}`);
+    }
+
+    const { result } = await response.json();
+    return result;
+  }
+
+  return {
+    get: key => command(['GET', key]),
+    set: (key, value, { ex }) => command(['SET', key, value, 'EX', String(ex)]),
+    del: key => command(['DEL', key]),
+    eval: (script, keys, args) => command(['EVAL', script, String(keys.length), ...keys, ...args.map(String)])
+  };
+}
+
+/**
+ * Create a store on top of any KV client.
+ * The client must implement get(key) -> string|null, set(key, value, {ex}) and del(key);
+ * swap in another client to use a different KV service.
+ * @param {Object} options
+ * @param {Object} options.client - KV client, defaults to the REST client configured from env
+ * @param {string} options.prefix - Key prefix
+ * @returns {Object} Store
+ */
+function createKvStore({ client, prefix = 'newshub:' } = {}) {
+  if (!client) {
+    const { KV_REST_API_URL, KV_REST_API_TOKEN } = process.env;
+    if (!KV_REST_API_URL || !KV_REST_API_TOKEN) {
+      throw new Error('KV store requires KV_REST_API_URL and KV_REST_API_TOKEN');
+    }
+    client = createRestClient({ url: KV_REST_API_URL, token: KV_REST_API_TOKEN });
+  }
+
+  return {
+    name: 'kv',
+
+    async get(key) {
+      const value = await client.get(prefix + key);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(key, record, ttlSeconds) {
+      await client.set(prefix + key, JSON.stringify(record), { ex: Math.ceil(ttlSeconds) });
+    },
+
+    async delete(key) {
+      await client.del(prefix + key);
+    }
+  };
+}
+
+module.exports = { createKvStore, createRestClient };
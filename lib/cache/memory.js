@@ -0,0 +1,45 @@
+// In-memory cache store - lives as long as the warm serverless instance
+
+/**
+ * Create an LRU store backed by a Map
+ * @param {Object} options
+ * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+ * @returns {Object} Store
+ */
+function createMemoryStore({ maxEntries = 200 } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (entry.deleteAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+
+      // Re-insert to mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.record;
+    },
+
+    async set(key, record, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { record, deleteAt: Date.now() + ttlSeconds * 1000 });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,146 @@
+// Shared error contract for the API routes.
+// Every error response is {success: false, error: <message>, code: <CODE>, ...details}
+// with the matching HTTP status and, for rate limits, a Retry-After header.
+
+const ERROR_STATUS = {
+  INVALID_PARAM: 400,
+  URL_REQUIRED: 400,
+  URL_TOO_LONG: 400,
+  URL_INVALID: 400,
+  URL_SCHEME_NOT_ALLOWED: 400,
+  URL_CREDENTIALS_NOT_ALLOWED: 400,
+  URL_PORT_NOT_ALLOWED: 400,
+  URL_HOST_NOT_ALLOWED: 400,
+  URL_HOST_UNRESOLVABLE: 400,
+  URL_DOMAIN_DENIED: 400,
+  URL_DOMAIN_NOT_ALLOWED: 400,
+  METHOD_NOT_ALLOWED: 405,
+  RATE_LIMITED: 429,
+  MISSING_API_KEY: 500,
+  CONFIGURATION_ERROR: 500,
+  INTERNAL_ERROR: 500,
+  UPSTREAM_AUTH_FAILED: 401,
+  UPSTREAM_BAD_REQUEST: 400,
+  UPSTREAM_PLAN_LIMIT: 426,
+  UPSTREAM_RATE_LIMITED: 429,
+  CONTENT_UNAVAILABLE: 451,
+  UPSTREAM_ERROR: 502,
+  UPSTREAM_EMPTY_RESPONSE: 502,
+  CONTENT_TOO_LARGE: 502,
+  UPSTREAM_UNAVAILABLE: 503,
+  UPSTREAM_TIMEOUT: 504
+};
+
+// Seconds to suggest when an upstream rate limit doesn't say
+const DEFAULT_RETRY_AFTER = 60;
+
+class ApiError extends Error {
+  /**
+   * @param {string} code - Machine readable code from ERROR_STATUS
+   * @param {string} message - Human readable message
+   * @param {Object} options
+   * @param {number} options.status - HTTP status, defaults to the code's status
+   * @param {number} options.retryAfter - Seconds before retrying makes sense
+   * @param {Object} options.details - Extra fields for the response body (e.g. param)
+   */
+  constructor(code, message, { status, retryAfter, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status || ERROR_STATUS[code] || 500;
+    this.retryAfter = retryAfter;
+    this.details = details;
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into seconds
+ * @param {string|null} value - Header value
+ * @returns {number|undefined}
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  if (/^\d+$/.test(value.trim())) return Number(value);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Map a failed upstream response to an ApiError
+ * @param {Response} response - fetch response with !ok
+ * @param {Object} options
+ * @param {string} options.service - Upstream name used in messages, e.g. "NewsAPI"
+ * @param {string} options.message - Upstream error message, if the body had one
+ * @param {Object} options.messages - Overrides keyed by HTTP status
+ * @returns {ApiError}
+ */
+function upstreamError(response, { service, message, messages = {} } = {}) {
+  const status = response.status;
+  const text = messages[status] || message;
+
+  if (status === 401 || status === 403) {
+    return new ApiError('UPSTREAM_AUTH_FAILED', text || `${service} rejected the API key`, { status });
+  }
+  if (status === 426) {
+    return new ApiError('UPSTREAM_PLAN_LIMIT', text || `This request is not available on the current ${service} plan`);
+  }
+  if (status === 429) {
+    return new ApiError('UPSTREAM_RATE_LIMITED', text || `${service} rate limit exceeded. Please try again later.`, {
+      retryAfter: parseRetryAfter(response.headers.get('retry-after')) ?? DEFAULT_RETRY_AFTER
+    });
+  }
+  if (status === 451) {
+    return new ApiError('CONTENT_UNAVAILABLE', text || 'Content unavailable due to legal restrictions');
+  }
+  if (status >= 400 && status < 500) {
+    return new ApiError('UPSTREAM_BAD_REQUEST', text || `${service} rejected the request (HTTP ${status})`);
+  }
+  return new ApiError('UPSTREAM_ERROR', text || `${service} returned HTTP ${status}`, {
+    retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+  });
+}
+
+/**
+ * Send an error in the shared envelope. Unknown errors are logged and
+ * reported as INTERNAL_ERROR without leaking their message.
+ * @param {Object} res - Response
+ * @param {Error} error - Error to report
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendError(res, error, fallbackMessage = 'Internal server error') {
+  const apiError = error instanceof ApiError
+    ? error
+    : new ApiError('INTERNAL_ERROR', fallbackMessage);
+
+  if (!(error instanceof ApiError) || apiError.status >= 500) {
+    console.error(fallbackMessage, error);
+  }
+
+  if (apiError.retryAfter !== undefined) {
+    res.setHeader('Retry-After', String(apiError.retryAfter));
+  }
+  res.setHeader('Cache-Control', 'no-store');
+
+  return res.status(apiError.status).json({
+    success: false,
+    error: apiError.message,
+    code: apiError.code,
+    ...(apiError.retryAfter !== undefined && { retryAfter: apiError.retryAfter }),
+    ...apiError.details
+  });
+}
+
+/**
+ * Reject anything but the allowed methods
+ * @returns {boolean} true when the request was rejected
+ */
+function rejectMethod(req, res, allowed = ['GET']) {
+  if (allowed.includes(req.method)) return false;
+
+  res.setHeader('Allow', allowed.join(', '));
+  sendError(res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed'));
+  return true;
+}
+
+module.exports = { ApiError, ERROR_STATUS, upstreamError, parseRetryAfter, sendError, rejectMethod };
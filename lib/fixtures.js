@@ -0,0 +1,113 @@
+// Upstream fixtures for offline development.
+// UPSTREAM_MODE=record saves every upstream response under UPSTREAM_FIXTURES_DIR,
+// UPSTREAM_MODE=replay answers from those files and never touches the network.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'fixtures', 'upstream');
+
+// Only these response headers are stored; request headers (API keys) never are
+const RECORDED_HEADERS = ['content-type', 'retry-after', 'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset'];
+
+/**
+ * @returns {string} live, record or replay
+ */
+function getMode() {
+  const mode = (process.env.UPSTREAM_MODE || 'live').toLowerCase();
+  return ['record', 'replay'].includes(mode) ? mode : 'live';
+}
+
+function fixturesDir() {
+  return process.env.UPSTREAM_FIXTURES_DIR || DEFAULT_DIR;
+}
+
+/**
+ * Candidate fixture files for a URL, most specific first:
+ *   <host>/<hash>.json            the exact URL
+ *   <host>/<path>.default.json    any query on that path (e.g. every top-headlines page)
+ *   <host>/default.json           anything on that host (e.g. any Jina article)
+ * @param {string} url - Upstream URL
+ * @returns {string[]} File paths
+ */
+function fixturePaths(url) {
+  const parsed = new URL(url);
+  const dir = path.join(fixturesDir(), parsed.hostname.replace(/[^a-z0-9.-]/gi, '_'));
+  const pathName = parsed.pathname.replace(/^\/+|\/+$/g, '').replace(/[^a-z0-9-]+/gi, '_') || 'root';
+
+  return [
+    path.join(dir, `${fixtureId(url)}.json`),
+    path.join(dir, `${pathName}.default.json`),
+    path.join(dir, 'default.json')
+  ];
+}
+
+/**
+ * @param {string} url - Upstream URL
+ * @returns {string} Short stable hash
+ */
+function fixtureId(url) {
+  return crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+}
+
+/**
+ * Load the best matching fixture
+ * @param {string} url - Upstream URL
+ * @param {string} service - Upstream name for the error message
+ * @returns {Promise<Object>} {status, statusText, headers, body}
+ */
+async function replayFixture(url, service) {
+  for (const file of fixturePaths(url)) {
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw new Error(`Invalid fixture ${file}: ${error.message}`);
+    }
+
+    const { status = 200, headers = {}, body = '', json } = fixture.response || {};
+    return {
+      status,
+      statusText: '',
+      headers: new Headers(headers),
+      body: Buffer.from(json !== undefined ? JSON.stringify(json) : body)
+    };
+  }
+
+  throw new ApiError('UPSTREAM_UNAVAILABLE', `No ${service} fixture recorded for this request`);
+}
+
+/**
+ * Save a response as the exact-URL fixture. JSON bodies are stored parsed so
+ * the files stay readable and easy to edit.
+ * @param {string} url - Upstream URL
+ * @param {Object} result - {status, headers, body}
+ */
+async function recordFixture(url, result) {
+  const [file] = fixturePaths(url);
+  const headers = {};
+  for (const name of RECORDED_HEADERS) {
+    const value = result.headers.get(name);
+    if (value !== null) headers[name] = value;
+  }
+
+  const text = result.body.toString('utf8');
+  const response = { status: result.status, headers };
+  try {
+    if (/json/i.test(headers['content-type'] || '')) response.json = JSON.parse(text);
+  } catch {
+    // Fall through and keep the raw body
+  }
+  if (response.json === undefined) response.body = text;
+
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, `${JSON.stringify({ request: { url }, response }, null, 2)}\n`);
+  } catch (error) {
+    console.error('Failed to record fixture:', error.message);
+  }
+}
+
+module.exports = { getMode, replayFixture, recordFixture, fixturePaths };
@@ -0,0 +1,173 @@
+// Minimal, forgiving HTML parser for server-side extraction (no DOM available)
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  laquo: '«', raquo: '»', copy: '©', reg: '®', trade: '™', deg: '°',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', times: '×', divide: '÷',
+  eacute: 'é', egrave: 'è', aacute: 'á', agrave: 'à', oacute: 'ó',
+  iacute: 'í', uacute: 'ú', ntilde: 'ñ', ccedil: 'ç', uuml: 'ü',
+  ouml: 'ö', auml: 'ä', szlig: 'ß', thinsp: ' ', ensp: ' ', emsp: ' ',
+  zwj: '‍', zwnj: '‌', shy: '­'
+};
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript', 'template']);
+
+// Opening one of these closes an open <p>
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) || code > 0x10ffff ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity] ?? NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const name = match[1].toLowerCase();
+    if (!(name in attrs)) {
+      attrs[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+  }
+  return attrs;
+}
+
+function createElement(tag, attrs, parent) {
+  return { type: 'element', tag, attrs, children: [], parent };
+}
+
+/**
+ * Parse an HTML document into a tree of
+ * {type: 'element', tag, attrs, children, parent} and {type: 'text', text, parent} nodes.
+ * Unknown end tags are ignored and unclosed elements are closed at the end,
+ * which is enough for content extraction; this is not a spec-compliant parser.
+ * @param {string} html - HTML source
+ * @returns {Object} Root node
+ */
+function parseHtml(html) {
+  const root = createElement('#root', {}, null);
+  const lowerHtml = html.toLowerCase();
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const tagPattern = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s=/>"']+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+  let lastIndex = 0;
+  let match;
+
+  const addText = text => {
+    if (text) current().children.push({ type: 'text', text: decodeEntities(text), parent: current() });
+  };
+
+  const closeTag = tag => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === tag) {
+        stack.length = i;
+        return;
+      }
+    }
+  };
+
+  while ((match = tagPattern.exec(html))) {
+    addText(html.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    const [, endTag, startTag, attrSource, selfClosing] = match;
+
+    if (endTag) {
+      closeTag(endTag.toLowerCase());
+      continue;
+    }
+
+    if (!startTag) continue; // comment, doctype, processing instruction
+
+    const tag = startTag.toLowerCase();
+
+    if (CLOSES_P.has(tag) && stack.some(node => node.tag === 'p')) closeTag('p');
+    if (tag === 'li' && current().tag === 'li') stack.pop();
+    if ((tag === 'dt' || tag === 'dd') && (current().tag === 'dt' || current().tag === 'dd')) stack.pop();
+    if ((tag === 'tr' || tag === 'td' || tag === 'th') && current().tag === tag) stack.pop();
+    if ((tag === 'td' || tag === 'th') && (current().tag === 'td' || current().tag === 'th')) stack.pop();
+
+    const element = createElement(tag, parseAttributes(attrSource), current());
+    current().children.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const end = lowerHtml.indexOf(`</${tag}`, lastIndex);
+      const stop = end === -1 ? html.length : end;
+      const raw = html.slice(lastIndex, stop);
+      if (raw) element.children.push({ type: 'text', text: tag === 'title' || tag === 'textarea' ? decodeEntities(raw) : raw, parent: element });
+      const close = html.indexOf('>', stop);
+      lastIndex = close === -1 ? html.length : close + 1;
+      tagPattern.lastIndex = lastIndex;
+    } else if (!VOID_ELEMENTS.has(tag) && !selfClosing) {
+      stack.push(element);
+    }
+  }
+
+  addText(html.slice(lastIndex));
+  return root;
+}
+
+/**
+ * Depth-first list of elements matching a predicate
+ * @param {Object} node - Root node
+ * @param {Function} predicate - (element) => boolean
+ * @returns {Array} Matching elements
+ */
+function findAll(node, predicate) {
+  const results = [];
+  const walk = current => {
+    for (const child of current.children || []) {
+      if (child.type !== 'element') continue;
+      if (predicate(child)) results.push(child);
+      walk(child);
+    }
+  };
+  walk(node);
+  return results;
+}
+
+/**
+ * Concatenated text of a node and its descendants
+ * @param {Object} node
+ * @returns {string}
+ */
+function textContent(node) {
+  if (node.type === 'text') return node.text;
+  if (node.tag === 'script' || node.tag === 'style') return '';
+  return (node.children || []).map(textContent).join('');
+}
+
+/**
+ * Remove a node from its parent
+ * @param {Object} node
+ */
+function removeNode(node) {
+  if (!node.parent) return;
+  const index = node.parent.children.indexOf(node);
+  if (index !== -1) node.parent.children.splice(index, 1);
+  node.parent = null;
+}
+
+module.exports = { parseHtml, decodeEntities, findAll, textContent, removeNode };
@@ -0,0 +1,17 @@
+// Countries, languages and categories accepted by the news providers (NewsAPI codes)
+
+const COUNTRIES = [
+  'ae', 'ar', 'at', 'au', 'be', 'bg', 'br', 'ca', 'ch', 'cn', 'co', 'cu', 'cz', 'de',
+  'eg', 'fr', 'gb', 'gr', 'hk', 'hu', 'id', 'ie', 'il', 'in', 'it', 'jp', 'kr', 'lt',
+  'lv', 'ma', 'mx', 'my', 'ng', 'nl', 'no', 'nz', 'ph', 'pl', 'pt', 'ro', 'rs', 'ru',
+  'sa', 'se', 'sg', 'si', 'sk', 'th', 'tr', 'tw', 'ua', 'us', 've', 'za'
+];
+
+const LANGUAGES = ['ar', 'de', 'en', 'es', 'fr', 'he', 'it', 'nl', 'no', 'pt', 'ru', 'sv', 'ud', 'zh'];
+
+const CATEGORIES = ['business', 'entertainment', 'general', 'health', 'science', 'sports', 'technology'];
+
+const DEFAULT_COUNTRY = 'us';
+const DEFAULT_LANGUAGE = 'en';
+
+module.exports = { COUNTRIES, LANGUAGES, CATEGORIES, DEFAULT_COUNTRY, DEFAULT_LANGUAGE };
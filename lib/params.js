@@ -0,0 +1,120 @@
+// Query parameter validation shared by the API routes
+const { ApiError } = require('./errors');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const HOSTNAME = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+/**
+ * Create a 400 error for an invalid query parameter
+ * @param {string} param - Parameter name
+ * @param {string} message - Error message
+ * @returns {ApiError}
+ */
+function invalidParam(param, message) {
+  return new ApiError('INVALID_PARAM', message, { details: { param } });
+}
+
+function getString(query, name) {
+  const value = query[name];
+  if (Array.isArray(value)) {
+    throw invalidParam(name, `${name} must only be given once`);
+  }
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Read a parameter that must be one of a fixed set of values
+ * @returns {string|undefined} The value, or fallback when absent
+ */
+function parseEnum(query, name, values, fallback) {
+  const value = getString(query, name);
+  if (!value) return fallback;
+
+  if (!values.includes(value)) {
+    throw invalidParam(name, `${name} must be one of: ${values.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Read a whole number within [min, max]
+ * @returns {number|undefined} The number, or fallback when absent
+ */
+function parseInteger(query, name, { min = 1, max = Number.MAX_SAFE_INTEGER, fallback } = {}) {
+  const value = getString(query, name);
+  if (!value) return fallback;
+
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < min || number > max) {
+    throw invalidParam(name, `${name} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Read page and pageSize
+ * @returns {{page: number, pageSize: number}}
+ */
+function parsePagination(query, { defaultPageSize = 30, maxPageSize = 100 } = {}) {
+  return {
+    page: parseInteger(query, 'page', { min: 1, max: 1000, fallback: 1 }),
+    pageSize: parseInteger(query, 'pageSize', { min: 1, max: maxPageSize, fallback: defaultPageSize })
+  };
+}
+
+/**
+ * Read an ISO 8601 date (2026-10-19) or date-time (2026-10-19T08:00:00Z)
+ * @returns {string|undefined}
+ */
+function parseDate(query, name) {
+  const value = getString(query, name);
+  if (!value) return undefined;
+
+  if (!ISO_DATE.test(value) || Number.isNaN(new Date(value).getTime())) {
+    throw invalidParam(name, `${name} must be an ISO 8601 date, e.g. 2026-10-19 or 2026-10-19T08:00:00Z`);
+  }
+  return value;
+}
+
+/**
+ * Read a comma separated list
+ * @param {Object} options
+ * @param {RegExp} options.pattern - Every item must match
+ * @param {string[]} options.values - Every item must be one of these
+ * @param {number} options.max - Maximum number of items
+ * @returns {string[]|undefined}
+ */
+function parseList(query, name, { pattern, values, max = 20 } = {}) {
+  const value = getString(query, name);
+  if (!value) return undefined;
+
+  const items = [...new Set(value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean))];
+
+  if (items.length > max) {
+    throw invalidParam(name, `${name} accepts at most ${max} items`);
+  }
+
+  const bad = items.find(item => (pattern && !pattern.test(item)) || (values && !values.includes(item)));
+  if (bad) {
+    throw invalidParam(name, `${name} contains an invalid value: ${bad}`);
+  }
+  return items;
+}
+
+/**
+ * Read a comma separated list of hostnames (bbc.co.uk, techcrunch.com)
+ * @returns {string[]|undefined}
+ */
+function parseDomains(query, name, max) {
+  return parseList(query, name, { pattern: HOSTNAME, max });
+}
+
+module.exports = {
+  invalidParam,
+  parseEnum,
+  parseInteger,
+  parsePagination,
+  parseDate,
+  parseList,
+  parseDomains
+};
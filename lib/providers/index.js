@@ -0,0 +1,31 @@
+// News provider registry - selects the upstream used by /api/headlines and /api/search
+const { ApiError } = require('../errors');
+const newsapi = require('./newsapi');
+const rss = require('./rss');
+
+const providers = {
+  [newsapi.name]: newsapi,
+  [rss.name]: rss
+};
+
+/**
+ * Get the configured news provider.
+ * Every provider exposes fetchTopHeadlines({category}) and search({q}), both
+ * resolving to {status, schemaVersion, totalResults, articles} (articles in the
+ * lib/articles.js schema) and rejecting with an ApiError, plus configurationError()
+ * returning an ApiError or null, categories() listing the categories
+ * fetchTopHeadlines accepts, and describe() returning non-secret details for /api/status.
+ * @param {string} name - Provider name, defaults to the NEWS_PROVIDER env var
+ * @returns {Object} Provider
+ */
+function getProvider(name = process.env.NEWS_PROVIDER || newsapi.name) {
+  const provider = providers[name.toLowerCase()];
+
+  if (!provider) {
+    throw new ApiError('CONFIGURATION_ERROR', `Unknown news provider: ${name}`);
+  }
+
+  return provider;
+}
+
+module.exports = { getProvider, providers };
@@ -0,0 +1,115 @@
+// NewsAPI provider - https://newsapi.org/v2
+const { ApiError, upstreamError } = require('../errors');
+const { getMode } = require('../fixtures');
+const { recordUpstream } = require('../status');
+const { upstreamFetch } = require('../upstream');
+const { SCHEMA_VERSION, normalizeArticles } = require('../articles');
+const { CATEGORIES } = require('../locales');
+
+const BASE_URL = 'https://newsapi.org/v2';
+
+// Failures caused by the request (bad parameters, plan limits), not the health of the service
+const REQUEST_ERRORS = new Set(['UPSTREAM_BAD_REQUEST', 'UPSTREAM_PLAN_LIMIT']);
+
+/**
+ * Pick the NewsAPI fields that normalizeArticle understands
+ * @param {Object} article - NewsAPI article
+ * @returns {Object} Raw article
+ */
+function mapArticle(article) {
+  return {
+    source: article.source,
+    title: article.title,
+    description: article.description,
+    author: article.author,
+    url: article.url,
+    image: article.urlToImage,
+    publishedAt: article.publishedAt
+  };
+}
+
+async function request(path, params, { page, pageSize }) {
+  const query = new URLSearchParams({
+    ...params,
+    page: String(page),
+    pageSize: String(pageSize)
+  });
+  let response;
+  try {
+    // The key goes in a header so it never shows up in URLs or logs
+    response = await upstreamFetch(`${BASE_URL}${path}?${query}`, {
+      service: 'NewsAPI',
+      headers: { 'X-Api-Key': process.env.NEWS_API_KEY }
+    });
+  } catch (error) {
+    recordUpstream('newsapi', { error });
+    throw error;
+  }
+
+  // NewsAPI explains failures in the body: {status: 'error', code, message}
+  const data = await response.json().catch(() => ({}));
+
+  let error = null;
+  if (!response.ok) {
+    error = upstreamError(response, { service: 'NewsAPI', message: data.message });
+  } else if (data.status !== 'ok') {
+    error = new ApiError('UPSTREAM_ERROR', data.message || 'NewsAPI request failed');
+  }
+
+  if (!error || !REQUEST_ERRORS.has(error.code)) recordUpstream('newsapi', { response, error });
+  if (error) throw error;
+
+  return {
+    status: 'ok',
+    schemaVersion: SCHEMA_VERSION,
+    totalResults: data.totalResults || 0,
+    page,
+    pageSize,
+    articles: normalizeArticles((data.articles || []).map(mapArticle))
+  };
+}
+
+module.exports = {
+  name: 'newsapi',
+
+  configurationError() {
+    // Replay answers from fixtures, so there is nothing to authenticate
+    if (getMode() === 'replay' || process.env.NEWS_API_KEY) return null;
+    return new ApiError('MISSING_API_KEY', 'NewsAPI key not configured');
+  },
+
+  categories() {
+    return CATEGORIES;
+  },
+
+  /**
+   * Non-secret configuration details for /api/status
+   */
+  describe() {
+    return {
+      quotaHint: 'The free Developer plan allows 100 requests per day and 100 results per query'
+    };
+  },
+
+  async fetchTopHeadlines({ category = '', country = 'us', page = 1, pageSize = 30 } = {}) {
+    const params = { country };
+    if (category) params.category = category;
+    return request('/top-headlines', params, { page, pageSize });
+  },
+
+  /**
+   * Search /everything
+   * @param {Object} options - q, from, to, sortBy, sources, domains, excludeDomains, searchIn, language, page, pageSize
+   */
+  async search({ q, from, to, sortBy = 'publishedAt', sources, domains, excludeDomains, searchIn, language = 'en', page = 1, pageSize = 30 }) {
+    const params = { sortBy, language };
+    if (q) params.q = q;
+    if (from) params.from = from;
+    if (to) params.to = to;
+    if (sources) params.sources = sources.join(',');
+    if (domains) params.domains = domains.join(',');
+    if (excludeDomains) params.excludeDomains = excludeDomains.join(',');
+    if (searchIn) params.searchIn = searchIn.join(',');
+    return request('/everything', params, { page, pageSize });
+  }
+};
@@ -0,0 +1,241 @@
+// RSS 2.0 / Atom provider - reads feed URLs per category from RSS_FEEDS
+const { decodeEntities } = require('../html');
+const { ApiError } = require('../errors');
+const { recordUpstream } = require('../status');
+const { upstreamFetch } = require('../upstream');
+const { SCHEMA_VERSION, normalizeArticles } = require('../articles');
+const { CATEGORIES } = require('../locales');
+
+/**
+ * Parse the RSS_FEEDS env var.
+ * Expected shape: {"top": ["https://..."], "technology": ["https://..."]}
+ * @returns {Object<string, string[]>} Feed URLs keyed by category
+ */
+function getFeedConfig() {
+  const raw = process.env.RSS_FEEDS;
+  if (!raw) return {};
+
+  try {
+    const parsed = JSON.parse(raw);
+    const feeds = {};
+    for (const [category, urls] of Object.entries(parsed)) {
+      feeds[category] = (Array.isArray(urls) ? urls : [urls]).filter(Boolean);
+    }
+    return feeds;
+  } catch (error) {
+    console.error('Invalid RSS_FEEDS configuration:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Get the text content of an element, unwrapping CDATA and entities
+ */
+function unwrap(text) {
+  if (!text) return '';
+  const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return cdata ? cdata[1].trim() : decodeEntities(text).trim();
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function getTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? unwrap(match[1]) : '';
+}
+
+function getAttr(tagSource, attr) {
+  const match = tagSource.match(new RegExp(`\\s${attr}\\s*=\\s*(["'])(.*?)\\1`, 'i'));
+  return match ? decodeEntities(match[2]) : '';
+}
+
+function getBlocks(xml, tag) {
+  return xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>[\\s\\S]*?</${tag}>`, 'gi')) || [];
+}
+
+function findImage(block, html) {
+  const mediaTags = block.match(/<(media:content|media:thumbnail|enclosure)\b[^>]*>/gi) || [];
+  for (const tag of mediaTags) {
+    const url = getAttr(tag, 'url');
+    const type = getAttr(tag, 'type');
+    const medium = getAttr(tag, 'medium');
+    if (url && (!type || type.startsWith('image/') || medium === 'image' || /^<media:thumbnail/i.test(tag))) {
+      return url;
+    }
+  }
+
+  const img = html.match(/<img\b[^>]*>/i);
+  return img ? getAttr(img[0], 'src') || null : null;
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document into articles
+ * @param {string} xml - Feed XML
+ * @param {string} feedUrl - Feed URL (used as a fallback source name)
+ * @returns {Array} Articles in the shared shape
+ */
+function parseFeed(xml, feedUrl) {
+  const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+  const header = xml.split(/<(?:item|entry)[\s>]/i)[0];
+  const sourceName = getTag(header, 'title') || new URL(feedUrl).hostname;
+  const source = { id: null, name: stripTags(sourceName) };
+
+  const articles = getBlocks(xml, isAtom ? 'entry' : 'item').map(block => {
+    let url;
+    let html;
+
+    if (isAtom) {
+      const links = block.match(/<link\b[^>]*>/gi) || [];
+      const alternate = links.find(link => !getAttr(link, 'rel') || getAttr(link, 'rel') === 'alternate');
+      url = alternate ? getAttr(alternate, 'href') : '';
+      html = getTag(block, 'summary') || getTag(block, 'content');
+    } else {
+      url = getTag(block, 'link') || getTag(block, 'guid');
+      html = getTag(block, 'description') || getTag(block, 'content:encoded');
+    }
+
+    return {
+      source,
+      title: stripTags(getTag(block, 'title')),
+      description: stripTags(html),
+      url,
+      image: findImage(block, html),
+      author: stripTags(getTag(block, 'dc:creator') || getTag(block, 'name')),
+      publishedAt: getTag(block, 'pubDate') || getTag(block, 'published') || getTag(block, 'updated') || getTag(block, 'dc:date')
+    };
+  });
+
+  return normalizeArticles(articles, { baseUrl: feedUrl });
+}
+
+async function fetchFeed(url) {
+  const response = await upstreamFetch(url, {
+    service: 'RSS feed',
+    headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8' }
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  return parseFeed(await response.text(), url);
+}
+
+/**
+ * Fetch several feeds, merge them newest first and drop duplicate links.
+ * Individual feed failures are logged; only all feeds failing is an error.
+ */
+async function fetchFeeds(urls) {
+  const results = await Promise.allSettled(urls.map(fetchFeed));
+  const fulfilled = results.filter(result => result.status === 'fulfilled');
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Error fetching feed ${urls[index]}:`, result.reason);
+    }
+  });
+
+  const details = { feeds: urls.length, failedFeeds: urls.length - fulfilled.length };
+
+  if (urls.length > 0 && fulfilled.length === 0) {
+    const error = new ApiError('UPSTREAM_UNAVAILABLE', 'All configured feeds failed');
+    recordUpstream('rss', { error, details });
+    throw error;
+  }
+
+  if (urls.length > 0) recordUpstream('rss', { details });
+
+  const seen = new Set();
+  return fulfilled
+    .flatMap(result => result.value)
+    .filter(article => {
+      if (seen.has(article.id)) return false;
+      seen.add(article.id);
+      return true;
+    })
+    .sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''));
+}
+
+function toResponse(articles, { page = 1, pageSize = 30 }) {
+  const start = (page - 1) * pageSize;
+  return {
+    status: 'ok',
+    schemaVersion: SCHEMA_VERSION,
+    totalResults: articles.length,
+    page,
+    pageSize,
+    articles: articles.slice(start, start + pageSize)
+  };
+}
+
+module.exports = {
+  name: 'rss',
+
+  configurationError() {
+    return Object.keys(getFeedConfig()).length > 0
+      ? null
+      : new ApiError('CONFIGURATION_ERROR', 'No RSS feeds configured');
+  },
+
+  /**
+   * The shared categories, which are empty unless configured, plus any other RSS_FEEDS key
+   */
+  categories() {
+    return [...new Set([...CATEGORIES, ...Object.keys(getFeedConfig())])];
+  },
+
+  /**
+   * Non-secret configuration details for /api/status
+   */
+  describe() {
+    const feeds = getFeedConfig();
+    return {
+      categories: Object.keys(feeds),
+      feeds: new Set([].concat(...Object.values(feeds))).size
+    };
+  },
+
+  /**
+   * Feeds are configured per category only, so country is ignored
+   */
+  async fetchTopHeadlines({ category = '', page, pageSize } = {}) {
+    const feeds = getFeedConfig();
+    const configured = name => (Object.hasOwn(feeds, name) ? feeds[name] : null);
+    const urls = category ? configured(category) || [] : configured('top') || [].concat(...Object.values(feeds));
+    return toResponse(await fetchFeeds([...new Set(urls)]), { page, pageSize });
+  },
+
+  /**
+   * Search the configured feeds. Supports q, from, to, domains, excludeDomains
+   * and searchIn; feeds carry no source ids, popularity or language, so the
+   * remaining NewsAPI options are ignored.
+   */
+  async search({ q = '', from, to, domains, excludeDomains, searchIn = ['title', 'description'], page, pageSize }) {
+    const urls = [...new Set([].concat(...Object.values(getFeedConfig())))];
+    const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const inDomains = (hostname, list) => list.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+
+    const articles = (await fetchFeeds(urls)).filter(article => {
+      const haystack = searchIn
+        .map(field => (field === 'content' ? article.description : article[field]) || '')
+        .join(' ')
+        .toLowerCase();
+      if (!terms.every(term => haystack.includes(term))) return false;
+
+      const published = article.publishedAt ? new Date(article.publishedAt).getTime() : NaN;
+      if ((from || to) && !(published >= fromTime && published <= toTime)) return false;
+
+      if (domains && !inDomains(article.source.domain, domains)) return false;
+      if (excludeDomains && inDomains(article.source.domain, excludeDomains)) return false;
+
+      return true;
+    });
+    return toResponse(articles, { page, pageSize });
+  },
+
+  parseFeed
+};
@@ -0,0 +1,20 @@
+// Token bucket arithmetic shared by the rate limit stores
+
+/**
+ * Bring a bucket up to date. Missing buckets start full.
+ * @param {Object|undefined} bucket - {tokens, updatedAt}
+ * @param {Object} limit - {capacity, refillRate} with refillRate in tokens per second
+ * @param {number} now - Current time in ms
+ * @returns {Object} New {tokens, updatedAt}
+ */
+function refillBucket(bucket, { capacity, refillRate }, now) {
+  if (!bucket) return { tokens: capacity, updatedAt: now };
+
+  const elapsedSeconds = Math.max(0, now - bucket.updatedAt) / 1000;
+  return {
+    tokens: Math.min(capacity, bucket.tokens + elapsedSeconds * refillRate),
+    updatedAt: now
+  };
+}
+
+module.exports = { refillBucket };
@@ -0,0 +1,143 @@
+// Per-client rate limiting for the API routes: one token bucket per IP and route
+// on top of a pluggable store, reported with the IETF RateLimit-* headers
+const { ApiError, sendError } = require('../errors');
+const { expandIPv6 } = require('../url');
+const { createMemoryStore } = require('./memory');
+const { createKvStore } = require('./kv');
+
+/**
+ * Store factories by name. A store implements:
+ *   take(key, {capacity, refillRate}, now) -> Promise<{allowed, tokens}>
+ * which refills the bucket for the time passed, then takes one token if it can.
+ */
+const stores = {
+  memory: createMemoryStore,
+  kv: createKvStore
+};
+
+// "<requests>/<seconds>", overridable with RATE_LIMIT_<ROUTE>, e.g. RATE_LIMIT_READER=10/60
+const DEFAULT_LIMITS = {
+  headlines: '60/60',
+  search: '30/60',
+  reader: '20/60',
+  status: '30/60'
+};
+
+let store = null;
+
+/**
+ * Parse "<requests>/<seconds>" into a bucket size and refill rate
+ * @param {string} value
+ * @returns {Object|null} {capacity, window, refillRate}
+ */
+function parseLimit(value) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) return null;
+
+  const capacity = Number(match[1]);
+  const window = Number(match[2]);
+  return { capacity, window, refillRate: capacity / window };
+}
+
+/**
+ * @param {string} route - Route name, e.g. "search"
+ * @returns {Object} Limit for the route
+ */
+function getLimit(route) {
+  return parseLimit(process.env[`RATE_LIMIT_${route.toUpperCase()}`])
+    || parseLimit(DEFAULT_LIMITS[route])
+    || parseLimit(process.env.RATE_LIMIT_DEFAULT)
+    || parseLimit('60/60');
+}
+
+function getStore() {
+  if (!store) {
+    const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+    const createStore = stores[name];
+    if (!createStore) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    store = createStore();
+  }
+  return store;
+}
+
+/**
+ * Client address as seen by the platform: X-Real-IP, or the last
+ * X-Forwarded-For entry, which the nearest proxy appends. Earlier entries
+ * come from the client and could be rotated to dodge the limit.
+ * @param {Object} req - Request
+ * @returns {string}
+ */
+function clientAddress(req) {
+  const realIp = String(req.headers['x-real-ip'] || '').trim();
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').pop().trim();
+
+  return realIp || forwarded || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Identify the client. IPv6 clients are grouped by /64 since one host usually
+ * controls the whole prefix; IPv4-mapped IPv6 addresses count as IPv4.
+ * @param {Object} req - Request
+ * @returns {string}
+ */
+function clientKey(req) {
+  const ip = clientAddress(req);
+  const groups = expandIPv6(ip);
+  if (!groups) return ip;
+
+  if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+    return `${groups[6] >> 8}.${groups[6] & 255}.${groups[7] >> 8}.${groups[7] & 255}`;
+  }
+  return `${groups.slice(0, 4).map(group => group.toString(16)).join(':')}::/64`;
+}
+
+/**
+ * Take a token for this client and route, setting RateLimit-* headers.
+ * Store failures let the request through rather than taking the API down.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} route - Route name
+ * @returns {Promise<boolean>} true when the request was rejected with a 429
+ */
+async function rejectRateLimited(req, res, route) {
+  if ((process.env.RATE_LIMIT || 'on').toLowerCase() === 'off') return false;
+
+  const limit = getLimit(route);
+  let result;
+  try {
+    result = await getStore().take(`${route}:${clientKey(req)}`, limit, Date.now());
+  } catch (error) {
+    console.error('Rate limit store failed:', error.message);
+    return false;
+  }
+
+  const reset = Math.ceil((limit.capacity - result.tokens) / limit.refillRate);
+  res.setHeader('RateLimit-Policy', `${limit.capacity};w=${limit.window}`);
+  res.setHeader('RateLimit-Limit', String(limit.capacity));
+  res.setHeader('RateLimit-Remaining', String(Math.floor(result.tokens)));
+  res.setHeader('RateLimit-Reset', String(reset));
+
+  if (result.allowed) return false;
+
+  sendError(res, new ApiError('RATE_LIMITED', 'Too many requests. Please slow down and try again shortly.', {
+    retryAfter: Math.ceil((1 - result.tokens) / limit.refillRate)
+  }));
+  return true;
+}
+
+/**
+ * Wrap an API handler with the rate limit for its route
+ * @param {string} route - Route name, used for the bucket and RATE_LIMIT_<ROUTE>
+ * @param {Function} handler - async (req, res) handler
+ * @returns {Function} Handler
+ */
+function withRateLimit(route, handler) {
+  return async function rateLimitedHandler(req, res) {
+    if (await rejectRateLimited(req, res, route)) return;
+    return handler(req, res);
+  };
+}
+
+module.exports = { withRateLimit, rejectRateLimited, clientKey, parseLimit, stores };
@@ -0,0 +1,51 @@
+// Key-value rate limit store - shares buckets across serverless instances
+const { createRestClient } = require('../cache/kv');
+
+// Refill and take atomically on the server; tokens is returned as a string
+// because Redis truncates Lua numbers to integers
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(bucket[1]) or capacity
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) / 1000 * rate)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / rate * 1000))
+return {allowed, tostring(tokens)}
+`;
+
+/**
+ * Create a store on top of any KV client with Lua scripting.
+ * The client must implement eval(script, keys, args) -> result.
+ * @param {Object} options
+ * @param {Object} options.client - KV client, defaults to the REST client configured from env
+ * @param {string} options.prefix - Key prefix
+ * @returns {Object} Store
+ */
+function createKvStore({ client, prefix = 'newshub:ratelimit:' } = {}) {
+  if (!client) {
+    const { KV_REST_API_URL, KV_REST_API_TOKEN } = process.env;
+    if (!KV_REST_API_URL || !KV_REST_API_TOKEN) {
+      throw new Error('KV rate limit store requires KV_REST_API_URL and KV_REST_API_TOKEN');
+    }
+    client = createRestClient({ url: KV_REST_API_URL, token: KV_REST_API_TOKEN });
+  }
+
+  return {
+    name: 'kv',
+
+    async take(key, { capacity, refillRate }, now = Date.now()) {
+      const [allowed, tokens] = await client.eval(TAKE_SCRIPT, [prefix + key], [capacity, refillRate, now]);
+      return { allowed: Number(allowed) === 1, tokens: Number(tokens) };
+    }
+  };
+}
+
+module.exports = { createKvStore };
@@ -0,0 +1,34 @@
+// In-memory rate limit store - buckets live as long as the warm serverless instance
+const { refillBucket } = require('./bucket');
+
+/**
+ * Create a token bucket store backed by a Map
+ * @param {Object} options
+ * @param {number} options.maxEntries - Buckets kept before the least recently used is evicted
+ * @returns {Object} Store
+ */
+function createMemoryStore({ maxEntries = 10000 } = {}) {
+  const buckets = new Map();
+
+  return {
+    name: 'memory',
+
+    async take(key, limit, now = Date.now()) {
+      const bucket = refillBucket(buckets.get(key), limit, now);
+      const allowed = bucket.tokens >= 1;
+      if (allowed) bucket.tokens -= 1;
+
+      // Re-insert to mark as most recently used
+      buckets.delete(key);
+      buckets.set(key, bucket);
+
+      while (buckets.size > maxEntries) {
+        buckets.delete(buckets.keys().next().value);
+      }
+
+      return { allowed, tokens: bucket.tokens };
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
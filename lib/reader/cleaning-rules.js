@@ -0,0 +1,425 @@
+// Reader cleaning rules - drops page chrome from extracted markdown before /api/reader
+// formats it, with per-site rule packs.
+//
+// A rule pack has:
+//   name      - shown in the debug view
+//   domains   - hostnames it applies to, subdomains included
+//   start     - the article starts at the first line matching one of these;
+//               without it a generic "looks like a heading or prose" heuristic is used
+//   end       - stop before the first line matching one of these
+//   endAfter  - keep the matching line, then stop (e.g. "Reporting by ...")
+//   skip      - lines to drop, checked before the generic skip patterns
+//   byline    - 'none' drops "By ..." lines, 'first' keeps the first one, 'all' keeps them
+const CleaningRules = {
+  /**
+   * Regex matching a line that is only one of the labels: plain, bold,
+   * a list item or a link, as navigation menus come out of Jina
+   * @param {string[]} labels
+   * @returns {RegExp}
+   */
+  menuLine(labels) {
+    const words = labels.map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    return new RegExp(`^(?:[*+-]\\s+)?(?:\\*\\*|\\[)?(?:${words})(?:\\*\\*|\\]\\([^)]*\\))?\\s*$`, 'i');
+  },
+
+  /**
+   * Rules used for every site, and on their own for sites without a pack
+   */
+  get generic() {
+    const menu = this.menuLine([
+      'Skip to content', 'Skip to main content', 'Advertisement', 'Watch Live', 'Subscribe',
+      'Sign In', 'Log In', 'Menu', 'Search', 'Home', 'News', 'Sport', 'Sports', 'Business',
+      'Technology', 'Tech', 'Health', 'Culture', 'Arts', 'Travel', 'Science', 'World',
+      'Politics', 'Opinion', 'Audio', 'Video', 'Live', 'Weather', 'Newsletters', 'Share',
+      'Save', 'Print', 'Email', 'Copy link', 'Share this article', 'Share this story', 'Facebook', 'Twitter', 'X', 'Instagram',
+      'LinkedIn', 'Pinterest', 'Reddit', 'Tumblr', 'WhatsApp', 'Threads', 'Bluesky', 'Flipboard'
+    ]);
+
+    return {
+      name: 'generic',
+      start: null,
+      byline: 'none',
+      skip: [
+        // Navigation & UI
+        menu,
+        /^(Add as preferred|Plus Icon|Click to (share|email|print))/i,
+
+        // Social & Sharing
+        /^\[.*\]\(https?:\/\/(www\.)?(facebook|twitter|x|linkedin|pinterest|reddit|tumblr|whatsapp)\.com/i,
+        /^!\[((Share|Follow us)( on \w+)?|Email|Print|Facebook|Twitter|X|LinkedIn|Pinterest|Reddit|WhatsApp|Instagram)( icon| logo)?\]\(.*\)$/i,
+        /^!\[[^\]]*\]\([^)]*\/(share|social|icons?)\/[^)]*\)$/i,
+
+        // Tracking pixels; other images are kept, with their captions
+        /^!\[[^\]]*\]\([^)]*\b(pixel|beacon|spacer|tracker|1x1|blank)\.(gif|png)\b[^)]*\)$/i,
+        /^!\[[^\]]*\]\([^)]*[?&](w|width)=1&(h|height)=1\b[^)]*\)$/i,
+        /^!\[[^\]]*\]\([^)]*\b(facebook\.com\/tr|doubleclick\.net|google-analytics\.com|scorecardresearch\.com|quantserve\.com)\b[^)]*\)$/i,
+
+        // Metadata & Timestamps
+        /^Image \d+/i,
+        /^\d+ (mins?|hrs?|hours?|days?|seconds?) ago$/i,
+        /^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]* \d+, \d{4}(,? \d{1,2}:\d{2} ?(am|pm)?.*)?$/i,
+        /^\d{1,2}:\d{2} ?(am|pm)/i,
+        /^(Updated|Published|Last updated)( on)?:? .{0,40}\d{4}.{0,20}$/i,
+
+        // Related content & footers
+        /^(Related|More from|Latest|Popular|Must Read|Sponsored|Most Popular)( \w+){0,3}:?$/i,
+        /^(Terms of Use|Terms of Service|Privacy Policy|Cookie Policy|Cookies|Accessibility|About Us|Contact( Us)?|Advertise( with us)?)$/i,
+        /^##\s*(Read More|More from|Latest|Popular)/i,
+
+        // Article metadata
+        /^(Senior|Staff|Contributing) (Reporter|Editor|Writer|Correspondent)$/i,
+
+        // Ads & Promotions
+        /^(Loading comments|Leave a Reply|Your email address will not be published|Required fields are marked)/i,
+        /^(All Rights Reserved|Powered by)\b/i,
+        /^© ?\d{4}/,
+        /^\d+\/\d+ Skip Ad/i,
+        /^(Visit Advertiser|GO TO PAGE)/i,
+
+        // Empty links and broken formatting
+        /^[*-] \[\]\(/,  // Empty list items with links
+        /^Δ$/,  // Greek delta (form symbols)
+        /^\d+ Comments?$/i,
+
+        // Cookie/Privacy notices
+        /^(Cookie List|Consent|Privacy Preference|Allow All|Manage Consent|Accept( All)? Cookies|Reject All)/i,
+        /^(Performance Cookies|Targeting Cookies|Functional Cookies|Strictly Necessary)/i,
+        /checkbox label/i,
+
+        // Breadcrumbs
+        /^\d+\.\s+\[?(Home|News|Film|TV|Sport)\]?(\(.*\))?$/i
+      ],
+      end: [
+        /^(Related Stories|Related Articles|More from|Must Read|Popular on|Sponsored Stories|Most Popular|Recommended)( \w+){0,3}:?$/i,
+        /^(Sign Up for|Subscribe to) (our|the) .*newsletter/i,
+        /^(Leave a Reply|Comments|Loading comments|Join the conversation)$/i,
+        /^(Read More About:|Tags:|Categories:|Topics:)/i,
+        /^#{2,4} (Read More|More From|Related|Connect|Legal|Magazine)/i
+      ],
+      endAfter: []
+    };
+  },
+
+  /**
+   * Site-specific rule packs
+   */
+  sites: [
+    {
+      name: 'reuters',
+      domains: ['reuters.com'],
+      // Dateline lede: "WASHINGTON, Oct 1 (Reuters) - ..."
+      start: [/^#\s/, /\(Reuters\) -/],
+      byline: 'none',
+      skip: [
+        /^\d+ minute read$/i,
+        /^\[?Item \d+ of \d+\]?/i,
+        /^(Purchase Licensing Rights|Suggested Topics:?|Share X|Read Next)/i,
+        /^Get a look at tomorrow/i,
+        /^Sign up here\.?$/i,
+        /^\[.*\]\(https:\/\/www\.reuters\.com\/(world|business|markets|technology|legal)\/?\)$/i
+      ],
+      end: [
+        /^Our Standards: /i,
+        /^(Read Next|Sponsored Content|Related Coverage|More from Reuters)$/i,
+        /^Acquire Licensing Rights/i
+      ],
+      endAfter: [
+        /^(Reporting|Additional reporting) by .*(Editing by|Writing by)/i
+      ]
+    },
+    {
+      name: 'ap',
+      domains: ['apnews.com'],
+      // Dateline lede: "NEW YORK (AP) — ..."
+      start: [/^#\s/, /\(AP\) [—–-]/],
+      byline: 'first',
+      skip: [
+        /^(Share|Copy|Link copied|Print|Email|Read More)$/i,
+        /^\d+ of \d+ ?\|?/,
+        /^\(?AP Photo\//i,
+        /^Updated \[?\d{1,2}:\d{2}/i,
+        /^(Updated|Published) .{0,40} (AM|PM) (EDT|EST|GMT|UTC)/i,
+        /^Leer en español$/i
+      ],
+      end: [
+        /^(Related Stories|Most Read|Top Stories|More Stories)$/i,
+        /^The Associated Press receives (support|financial support)/i,
+        /^___$/
+      ],
+      endAfter: [
+        /^Associated Press writers? .* contributed/i
+      ]
+    },
+    {
+      name: 'the-verge',
+      domains: ['theverge.com'],
+      start: [/^#\s/],
+      byline: 'first',
+      skip: [
+        /^(Comments|Share|Gift|Follow|See All|Link|Copy Link)$/i,
+        /^\d+ Comments?$/i,
+        /^(Photo|Image|Illustration|Screenshot|Video) (by|:) /i,
+        /^(Posts from this (author|topic) will be added)/i,
+        /^is an? (senior |deputy |staff |news |features |managing )*(reporter|editor|writer|producer)\b/i,
+        /^\[(\w+ ?){1,3}\]\(https:\/\/www\.theverge\.com\/[a-z-]+\)$/i
+      ],
+      end: [
+        /^(Most Popular|Top Stories|More from The Verge|More in this stream|Installer|Verge Deals)$/i,
+        /^(The Verge Daily|Get the day's best)/i
+      ],
+      endAfter: []
+    },
+    {
+      name: 'bbc',
+      domains: ['bbc.com', 'bbc.co.uk'],
+      start: null,
+      byline: 'none',
+      skip: [
+        /^(Earth|Documentaries|Innovation|Future Planet)$/i,
+        /^(BBC in other languages|Read the BBC|Follow BBC)/i,
+        /^(Getty Images|Reuters|EPA|PA Media|BBC)$/i
+      ],
+      end: [
+        /^(More on this story|Related topics|Related internet links|Top stories|Elsewhere on the BBC)$/i,
+        /^(BBC in other languages|Read the BBC|Our Sites)/i,
+        /^#### (Connect|Legal|Magazine)/i
+      ],
+      endAfter: []
+    },
+    {
+      name: 'penske',
+      // Variety and other Penske Media sites share one template
+      domains: ['variety.com', 'deadline.com', 'hollywoodreporter.com', 'rollingstone.com', 'indiewire.com', 'billboard.com'],
+      start: null,
+      byline: 'first',
+      skip: [
+        /^(Got a Tip\?|Plus Icon|Alerts and Newsletters|Sign Up)$/i,
+        /^(U\.S\.|Asia|Global|Film|TV|What To Watch|Music|Docs|Digital|Gaming|Awards Circuit|Video|Events|VIP\+)$/i,
+        /^(Variety is a part of|Penske Media|Powered by WordPress\.com VIP)/i
+      ],
+      end: [
+        /^(Popular on|Must Read|Sponsored Stories|More From Our Brands)( \w+)?$/i,
+        /^(Read More About:|Most Popular)/i,
+        /^#### (Read More|More From|Connect|Legal|Magazine)/i
+      ],
+      endAfter: []
+    }
+  ],
+
+  /**
+   * Rules for a URL: the site pack layered over the generic rules
+   * @param {string} url - Article URL
+   * @returns {Object} {name, start, skip, end, endAfter, byline}
+   */
+  forUrl(url) {
+    const generic = this.generic;
+    const site = this.findSite(url);
+    if (!site) return generic;
+
+    return {
+      name: site.name,
+      start: site.start || generic.start,
+      byline: site.byline || generic.byline,
+      skip: [...(site.skip || []), ...generic.skip],
+      end: [...(site.end || []), ...generic.end],
+      endAfter: [...(site.endAfter || []), ...generic.endAfter]
+    };
+  },
+
+  /**
+   * @param {string} url - Article URL
+   * @returns {Object|null} Matching site pack
+   */
+  findSite(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+      return null;
+    }
+
+    return this.sites.find(site => site.domains.some(domain =>
+      hostname === domain || hostname.endsWith(`.${domain}`)
+    )) || null;
+  },
+
+  /**
+   * Clean markdown with the rule pack for the article's site, recording every dropped line
+   * @param {string} markdown - Raw markdown content
+   * @param {string} url - Article URL
+   * @returns {Object} {content, rules, dropped: [{line, text, reason}]}
+   */
+  clean(markdown, url) {
+    const rules = this.forUrl(url);
+    if (!markdown) return { content: '', rules: rules.name, dropped: [] };
+
+    const lines = markdown.split('\n');
+    const report = this.run(lines, rules);
+
+    // The site's start markers never matched; the page layout probably changed
+    if (!report.content && rules.start) {
+      const fallback = this.run(lines, { ...rules, start: null });
+      return { ...fallback, rules: `${rules.name} (start markers not found)` };
+    }
+
+    return report;
+  },
+
+  /**
+   * Single cleaning pass over the lines
+   * @param {string[]} lines - Markdown lines
+   * @param {Object} rules - Rules from forUrl()
+   * @returns {Object} {content, rules, dropped}
+   */
+  run(lines, rules) {
+    const cleanedLines = [];
+    const dropped = [];
+    let articleStarted = false;
+    let inFence = false;
+    let bylineKept = false;
+
+    const drop = (index, reason) => dropped.push({ line: index + 1, text: lines[index], reason });
+    const dropRest = (from, reason) => {
+      for (let j = from; j < lines.length; j++) {
+        if (lines[j].trim()) drop(j, reason);
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+
+      // Code blocks are kept verbatim
+      if (articleStarted && (inFence || /^(```|~~~)/.test(line))) {
+        if (/^(```|~~~)/.test(line)) inFence = !inFence;
+        cleanedLines.push(lines[i]);
+        continue;
+      }
+
+      // Skip empty lines at the start
+      if (!articleStarted && !line) continue;
+
+      // Skip metadata headers
+      if (/^(Title:|URL Source:|Published Time:|Markdown Content:)/.test(line)) {
+        drop(i, 'Jina metadata');
+        continue;
+      }
+
+      // Check if we've hit the end of article
+      const end = articleStarted && rules.end.find(pattern => pattern.test(line));
+      if (end) {
+        dropRest(i, this.describeRule('end marker', end));
+        break;
+      }
+
+      const skip = rules.skip.find(pattern => pattern.test(line));
+      if (skip) {
+        drop(i, this.describeRule('skip', skip));
+        continue;
+      }
+
+      if (/^By\s+\[?[A-Z]/.test(line)) {
+        if (rules.byline === 'none' || (rules.byline === 'first' && bylineKept)) {
+          drop(i, `byline (${rules.byline === 'none' ? 'dropped' : 'repeat'})`);
+          continue;
+        }
+        bylineKept = articleStarted;
+      }
+
+      // Detect article start
+      if (!articleStarted) {
+        articleStarted = rules.start
+          ? rules.start.some(pattern => pattern.test(line))
+          : this.looksLikeArticleStart(line);
+
+        if (!articleStarted) {
+          drop(i, rules.start ? 'before start marker' : 'before article start');
+          continue;
+        }
+      }
+
+      // Skip very short lines that are likely navigation, keeping paragraph breaks
+      if (line && line.length < 3 && !line.startsWith('#')) {
+        drop(i, 'short line');
+        continue;
+      }
+
+      cleanedLines.push(lines[i]);
+
+      const endAfter = rules.endAfter.find(pattern => pattern.test(line));
+      if (endAfter) {
+        dropRest(i + 1, this.describeRule('after end marker', endAfter));
+        break;
+      }
+
+      // Pull an image's caption into its paragraph so the block tree pairs them
+      const caption = this.captionAfter(lines, i, rules);
+      if (caption !== -1) {
+        cleanedLines.push(lines[caption]);
+        i = caption;
+      }
+    }
+
+    // Post-processing: remove consecutive empty lines
+    const content = cleanedLines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+
+    return { content, rules: rules.name, dropped };
+  },
+
+  /**
+   * The caption line of a standalone image: the next non-blank line, when it
+   * is italic, repeats the alt text, gives a photo credit or is a short
+   * label rather than a sentence
+   * @param {string[]} lines - Markdown lines
+   * @param {number} index - Index of the kept line
+   * @param {Object} rules - Rules from forUrl(); skipped or end lines are never captions
+   * @returns {number} Index of the caption line, or -1
+   */
+  captionAfter(lines, index, rules) {
+    const image = /^\[?!\[([^\]]*)\]\([^)]*\)(?:\]\([^)]*\))?$/.exec(lines[index].trim());
+    if (!image) return -1;
+
+    let next = index + 1;
+    while (next < lines.length && !lines[next].trim()) next++;
+    if (next === lines.length) return -1;
+
+    const line = lines[next].trim();
+    if (/^(#|[*+-]\s|\d+[.)]\s|>|\||```|~~~|!\[|\[!\[)/.test(line)) return -1;
+    if (rules.skip.some(pattern => pattern.test(line)) || rules.end.some(pattern => pattern.test(line))) return -1;
+
+    const text = line.replace(/\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/[*_]/g, '').trim();
+    const caption = /^([*_]).+\1$/.test(line)
+      || (image[1].trim() && text === image[1].trim())
+      || /(^|[\s(])(Photo(graph)?|Image|Picture|Illustration|Credit)s?( by)?:|\u00a9|Getty Images|\b(AP|AFP) Photo\b|\/ ?(Reuters|AP|AFP|Getty)\b/i.test(text)
+      || (text.length <= 120 && !/[.!?]["\u201d\u2019)]?$/.test(text));
+
+    return caption ? next : -1;
+  },
+
+  /**
+   * Reason shown in the debug view, with long patterns shortened
+   * @param {string} kind - e.g. "skip"
+   * @param {RegExp} pattern - Matching rule
+   * @returns {string}
+   */
+  describeRule(kind, pattern) {
+    const source = String(pattern);
+    return `${kind} ${source.length > 80 ? `${source.slice(0, 77)}...` : source}`;
+  },
+
+  /**
+   * Generic article start: a heading, or a line of prose rather than a row of menu links
+   * @param {string} line - Trimmed markdown line
+   * @returns {boolean}
+   */
+  looksLikeArticleStart(line) {
+    if (/^#{1,3}\s/.test(line)) return true;
+
+    // Judge links and images by their text, not their URLs
+    const text = line.replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1').trim();
+    if (text.length > 80) return true;
+
+    return text.length >= 40 && /^[^*+\-|>\[!]/.test(line) && /[.!?:]["\u201d\u2019)]?$/.test(text);
+  }
+};
+
+module.exports = CleaningRules;
@@ -0,0 +1,393 @@
+// Fallback article extractor - fetches the page directly and finds the main
+// content by text density, in the spirit of Mozilla's Readability
+const { parseHtml, findAll, textContent, removeNode } = require('../html');
+const { resolveArticleUrl } = require('../url');
+const { upstreamFetch } = require('../upstream');
+
+const MAX_REDIRECTS = 5;
+const MIN_ARTICLE_LENGTH = 250;
+
+// Never part of the article body
+const REMOVE_TAGS = new Set([
+  'script', 'style', 'noscript', 'iframe', 'form', 'nav', 'aside', 'footer', 'header', 'svg',
+  'button', 'input', 'select', 'textarea', 'template', 'object', 'embed', 'canvas', 'dialog', 'menu'
+]);
+
+const UNLIKELY = /banner|breadcrumb|combx|comment|community|cookie|disqus|extra|footer|gdpr|header|menu|newsletter|outbrain|pager|pagination|popup|promo|related|remark|replies|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|taboola/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'h1', 'h2', 'h3',
+  'h4', 'h5', 'h6', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'thead', 'tr', 'ul'
+]);
+
+const collapse = text => text.replace(/\s+/g, ' ').trim();
+const classAndId = node => `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+
+function absoluteUrl(value, baseUrl) {
+  if (!value || /^(data|javascript|vbscript):/i.test(value.trim())) return '';
+  try {
+    return new URL(value.trim(), baseUrl).toString();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Read title, author, date, canonical URL and image from meta tags and JSON-LD
+ */
+function extractMetadata(root, pageUrl) {
+  const meta = {};
+  for (const node of findAll(root, n => n.tag === 'meta')) {
+    const key = (node.attrs.property || node.attrs.name || node.attrs.itemprop || '').toLowerCase();
+    if (key && node.attrs.content && !(key in meta)) meta[key] = collapse(node.attrs.content);
+  }
+
+  let jsonLd = {};
+  for (const node of findAll(root, n => n.tag === 'script' && /ld\+json/i.test(n.attrs.type || ''))) {
+    try {
+      // textContent skips scripts, so read the raw text
+      const data = JSON.parse(node.children.map(child => child.text).join(''));
+      const items = [].concat(data['@graph'] || data);
+      const article = items.find(item => /Article|Posting/.test([].concat(item['@type']).join(' ')));
+      if (article) {
+        jsonLd = article;
+        break;
+      }
+    } catch {
+      // Ignore malformed structured data
+    }
+  }
+
+  const ldAuthor = [].concat(jsonLd.author || []).map(author => (typeof author === 'string' ? author : author.name)).filter(Boolean);
+  const canonical = findAll(root, n => n.tag === 'link' && /\bcanonical\b/i.test(n.attrs.rel || ''))[0];
+  const titleNode = findAll(root, n => n.tag === 'title')[0];
+  const ldImage = [].concat(jsonLd.image || [])[0];
+
+  return {
+    title: meta['og:title'] || jsonLd.headline || (titleNode ? collapse(textContent(titleNode)) : ''),
+    description: meta['og:description'] || meta.description || jsonLd.description || '',
+    author: ldAuthor.join(', ') || meta.author || meta['article:author'] || '',
+    publishedTime: meta['article:published_time'] || jsonLd.datePublished || meta.datepublished || meta['date'] || '',
+    url: absoluteUrl(canonical ? canonical.attrs.href : meta['og:url'], pageUrl) || pageUrl,
+    image: absoluteUrl(meta['og:image'] || meta['twitter:image'] || (ldImage && (ldImage.url || ldImage)), pageUrl)
+  };
+}
+
+function isHidden(node) {
+  return 'hidden' in node.attrs ||
+    node.attrs['aria-hidden'] === 'true' ||
+    /display\s*:\s*none|visibility\s*:\s*hidden/i.test(node.attrs.style || '');
+}
+
+/**
+ * Drop elements that are never article content
+ */
+function stripClutter(root) {
+  for (const node of findAll(root, () => true)) {
+    if (!node.parent) continue; // already removed with an ancestor
+
+    if (REMOVE_TAGS.has(node.tag) || isHidden(node)) {
+      removeNode(node);
+      continue;
+    }
+
+    const signature = classAndId(node);
+    if (!['html', 'body', 'article', 'main'].includes(node.tag) &&
+        UNLIKELY.test(signature) && !MAYBE_CANDIDATE.test(signature)) {
+      removeNode(node);
+    }
+  }
+}
+
+function linkDensity(node) {
+  const length = collapse(textContent(node)).length;
+  if (!length) return 0;
+  const linkLength = findAll(node, n => n.tag === 'a')
+    .reduce((total, link) => total + collapse(textContent(link)).length, 0);
+  return linkLength / length;
+}
+
+function classWeight(node) {
+  const signature = classAndId(node);
+  let weight = 0;
+  if (NEGATIVE.test(signature)) weight -= 25;
+  if (POSITIVE.test(signature)) weight += 25;
+  return weight;
+}
+
+function initialScore(node) {
+  let score = classWeight(node);
+  if (node.tag === 'div' || node.tag === 'article') score += 5;
+  else if (['pre', 'td', 'blockquote'].includes(node.tag)) score += 3;
+  else if (['address', 'ol', 'ul', 'dl', 'dd', 'dt', 'li', 'form'].includes(node.tag)) score -= 3;
+  else if (/^h[1-6]$/.test(node.tag) || node.tag === 'th') score -= 5;
+  return score;
+}
+
+/**
+ * Score paragraphs and propagate their scores to ancestors; return the
+ * element that best wraps the article body
+ */
+function findTopCandidate(root) {
+  const scores = new Map();
+  const paragraphs = findAll(root, node =>
+    ['p', 'pre', 'td', 'blockquote'].includes(node.tag) ||
+    (node.tag === 'div' && !node.children.some(child => child.type === 'element' && BLOCK_TAGS.has(child.tag)))
+  );
+
+  for (const paragraph of paragraphs) {
+    const text = collapse(textContent(paragraph));
+    if (text.length < 25) continue;
+
+    // One point per paragraph and comma, up to three more for length
+    const score = text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+
+    let ancestor = paragraph.parent;
+    for (let level = 0; ancestor && ancestor.tag !== '#root' && level < 3; level++) {
+      if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + score / divider);
+      ancestor = ancestor.parent;
+    }
+  }
+
+  let top = null;
+  let topScore = 0;
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity(node));
+    scores.set(node, adjusted);
+    if (adjusted > topScore) {
+      top = node;
+      topScore = adjusted;
+    }
+  }
+
+  return { top, topScore, scores };
+}
+
+/**
+ * Gather the top candidate plus siblings that look like part of the same article
+ */
+function collectContent(top, topScore, scores) {
+  if (!top.parent) return [top];
+
+  const threshold = Math.max(10, topScore * 0.2);
+  return top.parent.children.filter(sibling => {
+    if (sibling === top) return true;
+    if (sibling.type !== 'element') return false;
+    if ((scores.get(sibling) || 0) >= threshold) return true;
+
+    if (sibling.tag === 'p') {
+      const text = collapse(textContent(sibling));
+      const density = linkDensity(sibling);
+      return (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+    }
+    return false;
+  });
+}
+
+function inlineMarkdown(node, baseUrl) {
+  if (node.type === 'text') return node.text.replace(/\s+/g, ' ');
+
+  const inner = () => node.children.map(child => inlineMarkdown(child, baseUrl)).join('');
+
+  switch (node.tag) {
+    case 'br':
+      return '\n';
+    case 'strong':
+    case 'b': {
+      const text = inner().trim();
+      return text ? `**${text}**` : '';
+    }
+    case 'em':
+    case 'i': {
+      const text = inner().trim();
+      return text ? `*${text}*` : '';
+    }
+    case 'code':
+      return `\`${textContent(node)}\``;
+    case 'a': {
+      const text = inner().trim();
+      const href = absoluteUrl(node.attrs.href, baseUrl);
+      return text && href ? `[${text}](${href})` : text;
+    }
+    case 'img': {
+      const src = absoluteUrl(node.attrs['data-src'] || node.attrs['data-lazy-src'] || node.attrs.src, baseUrl);
+      return src ? `![${collapse(node.attrs.alt || '')}](${src})` : '';
+    }
+    default:
+      return inner();
+  }
+}
+
+/**
+ * Convert an element tree to markdown blocks
+ * @returns {string[]} Markdown blocks
+ */
+function blockMarkdown(node, baseUrl) {
+  const blocks = [];
+  let inline = '';
+
+  const flush = () => {
+    const text = inline.replace(/[ \t]*\n[ \t]*/g, '\n').replace(/ {2,}/g, ' ').trim();
+    if (text) blocks.push(text);
+    inline = '';
+  };
+
+  for (const child of node.children) {
+    if (child.type === 'text' || !BLOCK_TAGS.has(child.tag)) {
+      inline += inlineMarkdown(child, baseUrl);
+      continue;
+    }
+
+    flush();
+    const tag = child.tag;
+
+    if (/^h[1-6]$/.test(tag)) {
+      const text = collapse(inlineMarkdown(child, baseUrl));
+      if (text) blocks.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+    } else if (tag === 'p') {
+      blocks.push(...blockMarkdown(child, baseUrl));
+    } else if (tag === 'ul' || tag === 'ol') {
+      const items = child.children
+        .filter(item => item.type === 'element' && item.tag === 'li')
+        .map((item, index) => {
+          const text = blockMarkdown(item, baseUrl).join('\n').replace(/\n/g, '\n   ');
+          return text ? `${tag === 'ol' ? `${index + 1}.` : '-'} ${text}` : '';
+        })
+        .filter(Boolean);
+      if (items.length) blocks.push(items.join('\n'));
+    } else if (tag === 'blockquote') {
+      const text = blockMarkdown(child, baseUrl).join('\n\n');
+      if (text) blocks.push(text.split('\n').map(line => `> ${line}`).join('\n'));
+    } else if (tag === 'pre') {
+      blocks.push(`\`\`\`\n${textContent(child).replace(/\n$/, '')}\n\`\`\``);
+    } else if (tag === 'hr') {
+      blocks.push('---');
+    } else if (tag === 'figcaption') {
+      const text = collapse(inlineMarkdown(child, baseUrl));
+      if (text) blocks.push(`*${text}*`);
+    } else if (tag === 'table') {
+      const rows = findAll(child, n => n.tag === 'tr').map(row =>
+        row.children
+          .filter(cell => cell.type === 'element' && (cell.tag === 'td' || cell.tag === 'th'))
+          .map(cell => collapse(inlineMarkdown(cell, baseUrl)).replace(/\|/g, '\\|'))
+      ).filter(cells => cells.length);
+      if (rows.length) {
+        const width = Math.max(...rows.map(cells => cells.length));
+        const line = cells => `| ${[...cells, ...Array(width - cells.length).fill('')].join(' | ')} |`;
+        blocks.push([line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n'));
+      }
+    } else {
+      blocks.push(...blockMarkdown(child, baseUrl));
+    }
+  }
+
+  flush();
+  return blocks;
+}
+
+/**
+ * Extract the main article from an HTML page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL, used to resolve relative links
+ * @returns {Object|null} {content, title, description, author, publishedTime, url, image}, or null if no article was found
+ */
+function extractArticle(html, pageUrl) {
+  const root = parseHtml(html);
+  const metadata = extractMetadata(root, pageUrl);
+
+  stripClutter(root);
+
+  const { top, topScore, scores } = findTopCandidate(root);
+  if (!top) return null;
+
+  const container = { type: 'element', tag: 'div', attrs: {}, children: collectContent(top, topScore, scores) };
+  const content = blockMarkdown(container, pageUrl).join('\n\n');
+
+  if (collapse(content).length < MIN_ARTICLE_LENGTH) return null;
+
+  let publishedTime = metadata.publishedTime;
+  if (publishedTime && !Number.isNaN(new Date(publishedTime).getTime())) {
+    publishedTime = new Date(publishedTime).toISOString();
+  }
+
+  return { ...metadata, publishedTime, content };
+}
+
+/**
+ * Fetch a page ourselves, re-validating every redirect hop so a public URL
+ * can't bounce the request to an internal address. Each hop connects to the
+ * addresses it was validated with, so DNS rebinding can't either.
+ * @param {string} url - Validated article URL
+ * @param {Object} options
+ * @param {number} options.maxBytes - Largest accepted HTML document
+ * @param {number} options.deadline - Shared with Jina (see createDeadline); every hop stops there
+ * @returns {Promise<{html: string, url: string}>}
+ */
+async function fetchHtml(url, { maxBytes, deadline }) {
+  let { url: currentUrl, addresses } = await resolveArticleUrl(url);
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    // Only what Jina left of the deadline is available, so no retries here
+    const response = await upstreamFetch(currentUrl, {
+      service: 'Publisher page',
+      redirect: 'manual',
+      retries: 0,
+      maxBytes,
+      addresses,
+      deadline,
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5',
+        'User-Agent': 'Mozilla/5.0 (compatible; NewsHubReader/1.0)'
+      }
+    });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      ({ url: currentUrl, addresses } = await resolveArticleUrl(new URL(response.headers.get('location'), currentUrl).toString()));
+      continue;
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    if (!/html/i.test(response.headers.get('content-type') || '')) {
+      throw new Error('Page is not an HTML document');
+    }
+
+    return { html: await response.text(), url: currentUrl };
+  }
+
+  throw new Error('Too many redirects');
+}
+
+/**
+ * Fetch and extract an article without Jina
+ * @param {string} url - Validated article URL
+ * @param {Object} options - See fetchHtml
+ * @returns {Promise<Object>} Article in the same shape as the Jina path
+ */
+async function fetchFallbackArticle(url, options) {
+  const page = await fetchHtml(url, options);
+  const article = extractArticle(page.html, page.url);
+
+  if (!article) {
+    throw new Error('Could not find article content on the page');
+  }
+
+  return article;
+}
+
+/**
+ * Whether /api/reader may use the fallback; set READER_FALLBACK=off to only ever use Jina
+ * @returns {boolean}
+ */
+function isFallbackEnabled() {
+  return (process.env.READER_FALLBACK || 'on').toLowerCase() !== 'off';
+}
+
+module.exports = { extractArticle, fetchFallbackArticle, isFallbackEnabled };
@@ -0,0 +1,75 @@
+// Reader output formats - cleans the extracted markdown and renders it for /api/reader
+const CleaningRules = require('./cleaning-rules');
+const Markdown = require('./markdown');
+
+const FORMATS = ['markdown', 'html', 'text', 'json'];
+
+/**
+ * Plain text for a block tree: blocks separated by blank lines, list items
+ * prefixed with "-" or their number, quotes with "> "
+ * @param {Array} blocks - From Markdown.toBlocks()
+ * @returns {string}
+ */
+function blocksToText(blocks) {
+  return blocks.map(blockToText).filter(Boolean).join('\n\n');
+}
+
+function blockToText(block) {
+  switch (block.type) {
+    case 'heading':
+    case 'paragraph':
+    case 'code':
+      return block.text.replace(/\n+$/, '');
+    case 'image':
+      return block.caption || block.alt ? `[Image: ${block.caption || block.alt}]` : '';
+    case 'list':
+      return block.items.map((item, index) => {
+        const marker = block.ordered ? `${block.start + index}.` : '-';
+        const text = blocksToText(item).replace(/\n/g, `\n${' '.repeat(marker.length + 1)}`);
+        return `${marker} ${text}`;
+      }).join('\n');
+    case 'quote':
+      return blocksToText(block.blocks).split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+    case 'table':
+      return [block.header, ...block.rows].map(row => row.join(' | ')).join('\n');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Clean an extracted article and render its content in the requested format
+ * @param {Object} article - From the Jina or fallback extractor, content is raw markdown
+ * @param {string} format - One of FORMATS
+ * @param {Object} options
+ * @param {boolean} options.debug - Include the lines the cleaning rules dropped
+ * @returns {Object} The article with content replaced, plus format (and cleaning when debugging)
+ */
+function formatArticle(article, format, { debug = false } = {}) {
+  const cleaned = CleaningRules.clean(article.content, article.url);
+  const options = { baseUrl: article.url };
+
+  let content;
+  switch (format) {
+    case 'html':
+      content = cleaned.content ? Markdown.render(cleaned.content, options) : '';
+      break;
+    case 'text':
+      content = blocksToText(Markdown.toBlocks(cleaned.content, options));
+      break;
+    case 'json':
+      content = Markdown.toBlocks(cleaned.content, options);
+      break;
+    default:
+      content = cleaned.content;
+  }
+
+  return {
+    ...article,
+    format,
+    content,
+    ...(debug && { cleaning: { rules: cleaned.rules, dropped: cleaned.dropped } })
+  };
+}
+
+module.exports = { FORMATS, formatArticle, blocksToText };
@@ -0,0 +1,1136 @@
+// Reader Markdown rendering - CommonMark with GFM tables, strikethrough and autolinks,
+// for the html and json formats of /api/reader. Raw HTML in the source is escaped
+// rather than passed through.
+const Markdown = {
+  // Image data URIs that are safe to render
+  safeDataUrl: /^data:image\/(gif|png|jpeg|webp);/i,
+  unsafeProtocol: /^(javascript|vbscript|file|data):/i,
+
+  /**
+   * Render markdown to HTML
+   * @param {string} markdown - Markdown source
+   * @param {Object} options
+   * @param {string} options.baseUrl - Resolve relative links and images against this URL
+   * @returns {string} HTML
+   */
+  render(markdown, options = {}) {
+    const { blocks, context } = this.parse(markdown, options);
+    return this.renderBlocks(blocks, context, false);
+  },
+
+  /**
+   * Convert markdown to a JSON-friendly block tree:
+   *   {type: 'heading', level, text, html}
+   *   {type: 'paragraph', text, html}
+   *   {type: 'image', src, alt, title?, caption?, href?}
+   *   {type: 'list', ordered, start?, items: [[block, ...], ...]}
+   *   {type: 'quote', blocks}
+   *   {type: 'code', language?, text}
+   *   {type: 'table', align, header, rows}
+   *   {type: 'rule'}
+   * @param {string} markdown - Markdown source
+   * @param {Object} options - Same as render()
+   * @returns {Array} Blocks
+   */
+  toBlocks(markdown, options = {}) {
+    const { blocks, context } = this.parse(markdown, options);
+    return this.convertBlocks(blocks, context);
+  },
+
+  /**
+   * Parse markdown into internal block nodes
+   * @param {string} markdown - Markdown source
+   * @param {Object} options - {baseUrl}
+   * @returns {Object} {blocks, context}
+   */
+  parse(markdown, options = {}) {
+    const source = String(markdown || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\0/g, '�');
+
+    const context = { references: {}, baseUrl: options.baseUrl || '' };
+    const lines = source.split('\n').map(line => this.expandTabs(line));
+
+    return { blocks: this.parseBlocks(lines, context), context };
+  },
+
+  /* ---------- Block structure ---------- */
+
+  /**
+   * Replace tabs in leading whitespace with spaces up to the next multiple of 4
+   * @param {string} line
+   * @returns {string}
+   */
+  expandTabs(line) {
+    if (!line.includes('\t')) return line;
+
+    let column = 0;
+    let index = 0;
+    let result = '';
+    while (index < line.length && (line[index] === ' ' || line[index] === '\t')) {
+      const width = line[index] === '\t' ? 4 - (column % 4) : 1;
+      result += ' '.repeat(width);
+      column += width;
+      index++;
+    }
+    return result + line.slice(index);
+  },
+
+  isBlank(line) {
+    return /^[ \t]*$/.test(line);
+  },
+
+  indentOf(line) {
+    return line.length - line.trimStart().length;
+  },
+
+  /**
+   * Match a list item marker
+   * @param {string} line
+   * @returns {Object|null} {indent, bullet, ordered, start, delimiter, contentOffset, content, empty}
+   */
+  matchListItem(line) {
+    const match = /^( {0,3})([-+*]|(\d{1,9})([.)]))( *)(.*)$/.exec(line);
+    if (!match) return null;
+
+    const [, spaces, marker, number, delimiter, gap, rest] = match;
+    if (rest && !gap) return null;
+
+    const indent = spaces.length;
+    const empty = rest === '';
+    const markerEnd = indent + marker.length;
+
+    // Five or more spaces after the marker start an indented code block
+    const contentOffset = empty || gap.length > 4 ? markerEnd + 1 : markerEnd + gap.length;
+    const content = !empty && gap.length > 4 ? ' '.repeat(gap.length - 1) + rest : rest;
+
+    return {
+      indent,
+      ordered: Boolean(number),
+      bullet: number ? null : marker,
+      start: number ? parseInt(number, 10) : null,
+      delimiter: delimiter || null,
+      contentOffset,
+      content,
+      empty
+    };
+  },
+
+  matchFence(line) {
+    const match = /^( {0,3})(`{3,}|~{3,})(.*)$/.exec(line);
+    if (!match || (match[2][0] === '`' && match[3].includes('`'))) return null;
+    return { indent: match[1].length, fence: match[2], info: match[3].trim() };
+  },
+
+  matchAtxHeading(line) {
+    const match = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/.exec(line);
+    if (!match) return null;
+    return { level: match[1].length, text: (match[2] || '').replace(/^#+$/, '') };
+  },
+
+  isThematicBreak(line) {
+    return /^ {0,3}((\*[ \t]*){3,}|(-[ \t]*){3,}|(_[ \t]*){3,})$/.test(line);
+  },
+
+  isBlockquote(line) {
+    return /^ {0,3}>/.test(line);
+  },
+
+  /**
+   * Whether a line starts a block that can interrupt a paragraph
+   * @param {string} line
+   * @returns {boolean}
+   */
+  interruptsParagraph(line) {
+    if (this.isBlank(line)) return true;
+    if (this.matchAtxHeading(line) || this.matchFence(line)) return true;
+    if (this.isThematicBreak(line) || this.isBlockquote(line)) return true;
+
+    const item = this.matchListItem(line);
+    return Boolean(item && !item.empty && (!item.ordered || item.start === 1));
+  },
+
+  /**
+   * Split a GFM table row into raw cell sources
+   * @param {string} line
+   * @returns {string[]}
+   */
+  splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [];
+    let cell = '';
+    for (let i = 0; i < row.length; i++) {
+      if (row[i] === '\\' && row[i + 1] === '|') {
+        // Escaped pipes stay literal, even inside code spans
+        cell += '|';
+        i++;
+      } else if (row[i] === '|') {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += row[i];
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  },
+
+  /**
+   * Parse a GFM delimiter row into column alignments
+   * @param {string} line
+   * @returns {Array|null} 'left' | 'center' | 'right' | null per column
+   */
+  parseTableDelimiter(line) {
+    if (!line.includes('-') || this.indentOf(line) > 3) return null;
+    if (!/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line)) return null;
+
+    return this.splitTableRow(line).map(cell => {
+      const left = cell.startsWith(':');
+      const right = cell.endsWith(':');
+      if (left && right) return 'center';
+      if (right) return 'right';
+      if (left) return 'left';
+      return null;
+    });
+  },
+
+  /**
+   * Parse lines into block nodes. Container blocks (blockquotes, list
+   * items) collect their lines with markers stripped and recurse.
+   * @param {string[]} lines - Lines with leading tabs expanded
+   * @param {Object} context - {references, baseUrl}
+   * @returns {Array} Block nodes; each has blankBefore for looseness checks
+   */
+  parseBlocks(lines, context) {
+    const blocks = [];
+    let paragraph = null;
+    let blankBefore = false;
+    let i = 0;
+
+    const push = block => {
+      block.blankBefore = blankBefore;
+      blankBefore = false;
+      blocks.push(block);
+    };
+
+    const closeParagraph = () => {
+      if (!paragraph) return;
+      const text = this.extractReferences(paragraph.lines.join('\n'), context.references);
+      if (text) {
+        blocks.push({ type: 'paragraph', text: text.trimEnd(), blankBefore: paragraph.blankBefore });
+      }
+      paragraph = null;
+    };
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (this.isBlank(line)) {
+        closeParagraph();
+        blankBefore = blocks.length > 0;
+        i++;
+        continue;
+      }
+
+      const indent = this.indentOf(line);
+
+      // Indented code (cannot interrupt a paragraph)
+      if (indent >= 4 && !paragraph) {
+        const codeLines = [];
+        while (i < lines.length && (this.isBlank(lines[i]) || this.indentOf(lines[i]) >= 4)) {
+          codeLines.push(lines[i].slice(Math.min(4, this.indentOf(lines[i]))));
+          i++;
+        }
+        while (codeLines.length && this.isBlank(codeLines[codeLines.length - 1])) codeLines.pop();
+        push({ type: 'code', info: '', text: codeLines.join('\n') + '\n' });
+        continue;
+      }
+
+      // Setext heading underline
+      if (paragraph && indent < 4 && /^ {0,3}(=+|-+)[ \t]*$/.test(line)) {
+        const text = this.extractReferences(paragraph.lines.join('\n'), context.references);
+        if (text) {
+          blocks.push({
+            type: 'heading',
+            level: line.trim()[0] === '=' ? 1 : 2,
+            text: text.trim(),
+            blankBefore: paragraph.blankBefore
+          });
+          paragraph = null;
+          i++;
+          continue;
+        }
+        paragraph = null;
+      }
+
+      const fence = this.matchFence(line);
+      if (fence) {
+        closeParagraph();
+        const codeLines = [];
+        i++;
+        while (i < lines.length) {
+          const closing = new RegExp(`^ {0,3}${fence.fence[0]}{${fence.fence.length},}[ \\t]*$`);
+          if (closing.test(lines[i])) {
+            i++;
+            break;
+          }
+          const strip = Math.min(fence.indent, this.indentOf(lines[i]));
+          codeLines.push(lines[i].slice(strip));
+          i++;
+        }
+        push({
+          type: 'code',
+          info: this.unescape(fence.info.split(/\s+/)[0] || ''),
+          text: codeLines.length ? codeLines.join('\n') + '\n' : ''
+        });
+        continue;
+      }
+
+      const heading = this.matchAtxHeading(line);
+      if (heading) {
+        closeParagraph();
+        push({ type: 'heading', level: heading.level, text: heading.text.trim() });
+        i++;
+        continue;
+      }
+
+      if (this.isThematicBreak(line)) {
+        closeParagraph();
+        push({ type: 'hr' });
+        i++;
+        continue;
+      }
+
+      if (this.isBlockquote(line)) {
+        closeParagraph();
+        const quoteLines = [];
+        let lastBlank = false;
+        while (i < lines.length) {
+          const current = lines[i];
+          if (this.isBlockquote(current)) {
+            const stripped = current.replace(/^ {0,3}> ?/, '');
+            quoteLines.push(stripped);
+            lastBlank = this.isBlank(stripped);
+          } else if (!this.isBlank(current) && !lastBlank && !this.interruptsParagraph(current)) {
+            // Lazy continuation of a paragraph inside the quote
+            quoteLines.push(current);
+          } else {
+            break;
+          }
+          i++;
+        }
+        push({ type: 'blockquote', children: this.parseBlocks(quoteLines, context) });
+        continue;
+      }
+
+      const item = this.matchListItem(line);
+      if (item && (!paragraph || (!item.empty && (!item.ordered || item.start === 1)))) {
+        closeParagraph();
+        const list = this.parseList(lines, i, context);
+        push(list.block);
+        i = list.next;
+        continue;
+      }
+
+      // GFM table: a header row followed by a delimiter row with as many cells
+      if (line.includes('|') && i + 1 < lines.length) {
+        const alignments = this.parseTableDelimiter(lines[i + 1]);
+        const header = this.splitTableRow(line);
+        if (alignments && alignments.length === header.length) {
+          closeParagraph();
+          const rows = [];
+          i += 2;
+          while (i < lines.length && !this.isBlank(lines[i]) && !this.interruptsParagraph(lines[i])) {
+            const cells = this.splitTableRow(lines[i]);
+            rows.push(alignments.map((_, column) => cells[column] || ''));
+            i++;
+          }
+          push({ type: 'table', alignments, header, rows });
+          continue;
+        }
+      }
+
+      // Paragraph text, or a lazy continuation line
+      if (!paragraph) {
+        paragraph = { lines: [], blankBefore };
+        blankBefore = false;
+      }
+      paragraph.lines.push(line.trimStart());
+      i++;
+    }
+
+    closeParagraph();
+    return blocks;
+  },
+
+  /**
+   * Parse a list starting at lines[start]
+   * @returns {Object} {block, next}
+   */
+  parseList(lines, start, context) {
+    const first = this.matchListItem(lines[start]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    const sameList = item => item
+      && item.ordered === first.ordered
+      && (first.ordered ? item.delimiter === first.delimiter : item.bullet === first.bullet);
+
+    while (i < lines.length) {
+      const marker = this.matchListItem(lines[i]);
+      if (!sameList(marker) || this.isThematicBreak(lines[i])) break;
+
+      const itemLines = [marker.content];
+      let lastBlank = marker.empty;
+      i++;
+
+      while (i < lines.length) {
+        const line = lines[i];
+
+        if (this.isBlank(line)) {
+          // An item can begin with at most one blank line
+          if (marker.empty && itemLines.length === 1) break;
+          itemLines.push('');
+          lastBlank = true;
+        } else if (this.indentOf(line) >= marker.contentOffset) {
+          itemLines.push(line.slice(marker.contentOffset));
+          lastBlank = false;
+        } else if (!lastBlank && !this.interruptsParagraph(line) && !this.matchListItem(line)) {
+          itemLines.push(line);
+        } else {
+          break;
+        }
+        i++;
+      }
+
+      let trailingBlank = false;
+      while (itemLines.length > 1 && this.isBlank(itemLines[itemLines.length - 1])) {
+        itemLines.pop();
+        trailingBlank = true;
+      }
+
+      const children = this.parseBlocks(itemLines, context);
+      if (children.some((child, index) => index > 0 && child.blankBefore)) loose = true;
+
+      items.push({ children, trailingBlank });
+    }
+
+    // Blank lines between items make the whole list loose
+    if (items.slice(0, -1).some(item => item.trailingBlank)) loose = true;
+
+    return {
+      block: { type: 'list', ordered: first.ordered, start: first.start, loose, items },
+      next: i
+    };
+  },
+
+  /**
+   * Strip link reference definitions from the start of a paragraph
+   * @param {string} text - Paragraph source
+   * @param {Object} references - Map to fill, first definition wins
+   * @returns {string} Remaining paragraph text
+   */
+  extractReferences(text, references) {
+    const definition = /^ {0,3}\[((?:[^\\[\]]|\\.){1,999})\]:[ \t]*\n?[ \t]*(<[^<>\n]*>|[^\s<][^\s]*)(?:(?:[ \t]*\n?[ \t]*|[ \t]+)("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*(?:\n|$)/;
+    let rest = text;
+    let match;
+
+    while ((match = definition.exec(rest))) {
+      const label = this.normalizeLabel(match[1]);
+      if (!label) break;
+
+      if (!(label in references)) {
+        const destination = match[2].startsWith('<') ? match[2].slice(1, -1) : match[2];
+        references[label] = {
+          href: this.unescape(destination),
+          title: match[3] ? this.unescape(match[3].slice(1, -1)) : ''
+        };
+      }
+      rest = rest.slice(match[0].length);
+    }
+    return rest;
+  },
+
+  normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase().toUpperCase();
+  },
+
+  /* ---------- Block rendering ---------- */
+
+  renderBlocks(blocks, context, tight) {
+    return blocks.map(block => this.renderBlock(block, context, tight)).join('\n');
+  },
+
+  renderBlock(block, context, tight) {
+    switch (block.type) {
+      case 'paragraph': {
+        const html = this.renderInline(block.text, context);
+        return tight ? html : `<p>${html}</p>`;
+      }
+      case 'heading':
+        return `<h${block.level}>${this.renderInline(block.text, context)}</h${block.level}>`;
+      case 'code': {
+        const language = block.info ? ` class="language-${this.escapeHtml(block.info)}"` : '';
+        return `<pre><code${language}>${this.escapeHtml(block.text)}</code></pre>`;
+      }
+      case 'hr':
+        return '<hr>';
+      case 'blockquote':
+        return `<blockquote>\n${this.renderBlocks(block.children, context, false)}\n</blockquote>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+        const items = block.items.map(item => {
+          const content = this.renderBlocks(item.children, context, !block.loose);
+          const first = item.children[0];
+          const inlineStart = !block.loose && first && first.type === 'paragraph';
+          return `<li>${inlineStart ? '' : '\n'}${content}${item.children.length && (block.loose || !inlineStart || item.children.length > 1) ? '\n' : ''}</li>`;
+        });
+        return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+      }
+      case 'table':
+        return this.renderTable(block, context);
+      default:
+        return '';
+    }
+  },
+
+  renderTable(block, context) {
+    const cell = (tag, source, column) => {
+      const align = block.alignments[column] ? ` align="${block.alignments[column]}"` : '';
+      return `<${tag}${align}>${this.renderInline(source, context)}</${tag}>`;
+    };
+
+    const head = `<thead>\n<tr>${block.header.map((source, column) => cell('th', source, column)).join('')}</tr>\n</thead>`;
+    const body = block.rows.length
+      ? `\n<tbody>\n${block.rows.map(row => `<tr>${row.map((source, column) => cell('td', source, column)).join('')}</tr>`).join('\n')}\n</tbody>`
+      : '';
+
+    return `<div class="table-wrapper"><table>\n${head}${body}\n</table></div>`;
+  },
+
+  /* ---------- Block tree ---------- */
+
+  /**
+   * Internal block nodes to the public block tree of toBlocks()
+   * @param {Array} blocks - From parseBlocks()
+   * @param {Object} context - {references, baseUrl}
+   * @returns {Array}
+   */
+  convertBlocks(blocks, context) {
+    const result = [];
+
+    for (let i = 0; i < blocks.length; i++) {
+      const block = blocks[i];
+
+      switch (block.type) {
+        case 'paragraph': {
+          const nodes = this.parseInline(block.text, context);
+          const image = this.findImage(nodes);
+
+          if (!image) {
+            result.push({ type: 'paragraph', text: this.plainText(nodes), html: this.renderNodes(nodes) });
+            break;
+          }
+
+          // Caption: text beside the image, an italic line right after it, or the title
+          let caption = this.plainText(nodes.filter(node => node !== image.node));
+          const next = blocks[i + 1];
+          if (!caption && next && next.type === 'paragraph') {
+            const nextNodes = this.parseInline(next.text, context);
+            if (nextNodes.length === 1 && nextNodes[0].type === 'wrap' && nextNodes[0].tag === 'em') {
+              caption = this.plainText(nextNodes);
+              i++;
+            }
+          }
+          caption = caption || image.title;
+
+          result.push({
+            type: 'image',
+            src: image.src,
+            alt: this.plainText(image.children),
+            ...(image.title && { title: image.title }),
+            ...(caption && { caption }),
+            ...(image.node.type === 'link' && { href: image.node.href })
+          });
+          break;
+        }
+        case 'heading': {
+          const nodes = this.parseInline(block.text, context);
+          result.push({ type: 'heading', level: block.level, text: this.plainText(nodes), html: this.renderNodes(nodes) });
+          break;
+        }
+        case 'code':
+          result.push({ type: 'code', ...(block.info && { language: block.info }), text: block.text });
+          break;
+        case 'hr':
+          result.push({ type: 'rule' });
+          break;
+        case 'blockquote':
+          result.push({ type: 'quote', blocks: this.convertBlocks(block.children, context) });
+          break;
+        case 'list':
+          result.push({
+            type: 'list',
+            ordered: block.ordered,
+            ...(block.ordered && { start: block.start }),
+            items: block.items.map(item => this.convertBlocks(item.children, context))
+          });
+          break;
+        case 'table': {
+          const cells = row => row.map(source => this.plainText(this.parseInline(source, context)));
+          result.push({
+            type: 'table',
+            align: block.alignments,
+            header: cells(block.header),
+            rows: block.rows.map(cells)
+          });
+          break;
+        }
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * The image of a paragraph that is only an image (optionally linked),
+   * with any text beside it treated as its caption
+   * @param {Array} nodes - Inline nodes of the paragraph
+   * @returns {Object|null} Image node, with node set to the top-level node holding it
+   */
+  findImage(nodes) {
+    const first = nodes.find(node => node.type !== 'raw' && !(node.type === 'text' && !node.value.trim()));
+    if (!first) return null;
+
+    if (first.type === 'image') return { ...first, node: first };
+
+    const linked = first.type === 'link' && first.children.filter(child => child.type !== 'text' || child.value.trim());
+    if (linked && linked.length === 1 && linked[0].type === 'image') return { ...linked[0], node: first };
+
+    return null;
+  },
+
+  /* ---------- Inlines ---------- */
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  /**
+   * Remove backslash escapes from ASCII punctuation
+   * @param {string} text
+   * @returns {string}
+   */
+  unescape(text) {
+    return text.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1');
+  },
+
+  isPunctuation(char) {
+    return Boolean(char) && /[\p{P}\p{S}]/u.test(char);
+  },
+
+  isWhitespace(char) {
+    return !char || /\s/u.test(char);
+  },
+
+  /**
+   * Resolve and vet a link or image destination
+   * @param {string} url - Unescaped destination
+   * @param {Object} context - {baseUrl}
+   * @param {boolean} image - Allow safe image data URIs
+   * @returns {string|null} Percent-encoded URL, or null when unsafe
+   */
+  safeUrl(url, context, image = false) {
+    let href = url.trim();
+    const compact = href.replace(/[\s\u0000-\u001f]/g, '');
+
+    if (this.unsafeProtocol.test(compact) && !(image && this.safeDataUrl.test(compact))) {
+      return null;
+    }
+
+    if (context.baseUrl && href && !/^[a-z][a-z0-9+.-]*:/i.test(href) && !href.startsWith('#')) {
+      try {
+        href = new URL(href, context.baseUrl).toString();
+      } catch {
+        // Keep the destination as written
+      }
+    }
+
+    return href.replace(/[^A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=%]/gu, char => encodeURIComponent(char));
+  },
+
+  /**
+   * Parse inline content and render it to HTML
+   * @param {string} text - Inline source
+   * @param {Object} context - {references, baseUrl}
+   * @returns {string} HTML
+   */
+  renderInline(text, context) {
+    return this.renderNodes(this.parseInline(text, context));
+  },
+
+  /**
+   * Inline parser following the CommonMark delimiter-stack algorithm.
+   * Nodes: text, raw (pre-rendered HTML), code, wrap ({tag, children}),
+   * link ({href, title, children}) and image ({src, title, children}).
+   * @returns {Array} Nodes
+   */
+  parseInline(text, context) {
+    const nodes = [];
+    const delimiters = [];
+    const brackets = [];
+    let pos = 0;
+    let buffer = '';
+
+    const flush = () => {
+      if (buffer) {
+        nodes.push({ type: 'text', value: buffer });
+        buffer = '';
+      }
+    };
+
+    while (pos < text.length) {
+      const char = text[pos];
+
+      if (char === '\\') {
+        const next = text[pos + 1];
+        if (next === '\n') {
+          flush();
+          nodes.push({ type: 'raw', value: '<br>\n' });
+          pos += 2;
+          while (text[pos] === ' ') pos++;
+        } else if (next && /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/.test(next)) {
+          buffer += next;
+          pos += 2;
+        } else {
+          buffer += '\\';
+          pos++;
+        }
+        continue;
+      }
+
+      if (char === '`') {
+        const run = /^`+/.exec(text.slice(pos))[0];
+        const close = this.findClosingBackticks(text, pos + run.length, run.length);
+        if (close === -1) {
+          buffer += run;
+          pos += run.length;
+        } else {
+          flush();
+          let code = text.slice(pos + run.length, close).replace(/\n/g, ' ');
+          if (/^ .*[^ ].* $/.test(code) || /^ [^ ] $/.test(code)) code = code.slice(1, -1);
+          nodes.push({ type: 'code', value: code });
+          pos = close + run.length;
+        }
+        continue;
+      }
+
+      if (char === '*' || char === '_' || char === '~') {
+        const run = new RegExp(`^\\${char}+`).exec(text.slice(pos))[0];
+        if (char === '~' && run.length > 2) {
+          buffer += run;
+          pos += run.length;
+          continue;
+        }
+
+        const before = pos > 0 ? text[pos - 1] : '';
+        const after = text[pos + run.length] || '';
+        const leftFlanking = !this.isWhitespace(after)
+          && (!this.isPunctuation(after) || this.isWhitespace(before) || this.isPunctuation(before));
+        const rightFlanking = !this.isWhitespace(before)
+          && (!this.isPunctuation(before) || this.isWhitespace(after) || this.isPunctuation(after));
+
+        let canOpen = leftFlanking;
+        let canClose = rightFlanking;
+        if (char === '_') {
+          canOpen = leftFlanking && (!rightFlanking || this.isPunctuation(before));
+          canClose = rightFlanking && (!leftFlanking || this.isPunctuation(after));
+        }
+
+        flush();
+        const node = { type: 'text', value: run };
+        nodes.push(node);
+        delimiters.push({ char, node, count: run.length, originalCount: run.length, canOpen, canClose });
+        pos += run.length;
+        continue;
+      }
+
+      if (char === '[' || (char === '!' && text[pos + 1] === '[')) {
+        flush();
+        const image = char === '!';
+        const node = { type: 'text', value: image ? '![' : '[' };
+        nodes.push(node);
+        brackets.push({ node, image, active: true, start: pos + (image ? 2 : 1), delimiterIndex: delimiters.length });
+        pos += image ? 2 : 1;
+        continue;
+      }
+
+      if (char === ']') {
+        flush();
+        const opener = brackets.pop();
+        if (!opener || !opener.active) {
+          buffer += ']';
+          pos++;
+          continue;
+        }
+
+        const label = text.slice(opener.start, pos);
+        const target = this.parseLinkTarget(text, pos + 1, label, context);
+        const url = target && this.safeUrl(target.href, context, opener.image);
+
+        if (!target || url === null) {
+          buffer += ']';
+          pos++;
+          continue;
+        }
+
+        // Emphasis inside the brackets is resolved before wrapping
+        this.processEmphasis(nodes, delimiters, opener.delimiterIndex);
+
+        const start = nodes.indexOf(opener.node);
+        const children = nodes.splice(start + 1);
+        nodes.pop();
+        nodes.push(opener.image
+          ? { type: 'image', src: url, title: target.title, children }
+          : { type: 'link', href: url, title: target.title, children });
+
+        // No links inside links
+        if (!opener.image) brackets.forEach(bracket => { if (!bracket.image) bracket.active = false; });
+
+        pos = target.end;
+        continue;
+      }
+
+      if (char === '<') {
+        const autolink = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^<>\u0000- ]*)>/.exec(text.slice(pos));
+        const email = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/.exec(text.slice(pos));
+        const match = autolink || email;
+        const href = match && this.safeUrl(autolink ? match[1] : `mailto:${match[1]}`, context);
+
+        if (match && href !== null) {
+          flush();
+          nodes.push({ type: 'link', href, title: '', children: [{ type: 'text', value: match[1] }] });
+          pos += match[0].length;
+          continue;
+        }
+      }
+
+      if (char === '&') {
+        const entity = /^&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/.exec(text.slice(pos));
+        if (entity) {
+          flush();
+          nodes.push({ type: 'raw', value: entity[0] });
+          pos += entity[0].length;
+          continue;
+        }
+      }
+
+      if (char === '\n') {
+        const hard = / {2,}$/.test(buffer);
+        buffer = buffer.replace(/ +$/, '');
+        flush();
+        nodes.push({ type: 'raw', value: hard ? '<br>\n' : '\n' });
+        pos++;
+        while (text[pos] === ' ') pos++;
+        continue;
+      }
+
+      // GFM extended autolinks: www.example.com and http(s)://
+      if ((char === 'h' || char === 'w') && /^[\s*_~(]?$/.test(pos > 0 ? text[pos - 1] : '')
+        && !brackets.some(bracket => bracket.active && !bracket.image)) {
+        const match = /^(?:https?:\/\/|www\.)[^\s<]*[^\s<?!.,:*_~]/.exec(text.slice(pos));
+        if (match) {
+          let value = match[0];
+          // Drop unbalanced closing parentheses
+          while (value.endsWith(')') && (value.match(/\)/g) || []).length > (value.match(/\(/g) || []).length) {
+            value = value.slice(0, -1);
+          }
+          const href = this.safeUrl(value.startsWith('www.') ? `http://${value}` : value, context);
+          if (href !== null && /^(https?:\/\/)?[^/]*\.[^/]/.test(value.replace(/^https?:\/\//, '') + '/')) {
+            flush();
+            nodes.push({ type: 'link', href, title: '', children: [{ type: 'text', value }] });
+            pos += value.length;
+            continue;
+          }
+        }
+      }
+
+      buffer += char;
+      pos++;
+    }
+
+    flush();
+    this.processEmphasis(nodes, delimiters, 0);
+    return nodes;
+  },
+
+  findClosingBackticks(text, from, length) {
+    const pattern = /`+/g;
+    pattern.lastIndex = from;
+    let match;
+    while ((match = pattern.exec(text))) {
+      if (match[0].length === length) return match.index;
+    }
+    return -1;
+  },
+
+  /**
+   * Parse what follows "]": an inline destination or a reference
+   * @param {string} text - Inline source
+   * @param {number} pos - Index after "]"
+   * @param {string} label - Raw bracket content, for shortcut references
+   * @param {Object} context - {references}
+   * @returns {Object|null} {href, title, end}
+   */
+  parseLinkTarget(text, pos, label, context) {
+    if (text[pos] === '(') {
+      const inline = this.parseInlineDestination(text, pos + 1);
+      if (inline) return inline;
+    }
+
+    const reference = /^\[((?:[^\\[\]]|\\.){0,999})\]/.exec(text.slice(pos));
+    if (reference && reference[1].trim()) {
+      const definition = context.references[this.normalizeLabel(reference[1])];
+      return definition ? { ...definition, end: pos + reference[0].length } : null;
+    }
+
+    // Collapsed [label][] or shortcut [label]
+    const definition = label.length <= 999 && context.references[this.normalizeLabel(label)];
+    if (!definition) return null;
+    return { ...definition, end: pos + (reference ? reference[0].length : 0) };
+  },
+
+  parseInlineDestination(text, pos) {
+    let i = pos;
+    const skipSpace = () => {
+      const start = i;
+      while (i < text.length && /[ \t]/.test(text[i])) i++;
+      if (text[i] === '\n') i++;
+      while (i < text.length && /[ \t]/.test(text[i])) i++;
+      return i > start;
+    };
+
+    skipSpace();
+    let href = '';
+
+    if (text[i] === '<') {
+      const match = /^<((?:[^<>\n\\]|\\.)*)>/.exec(text.slice(i));
+      if (!match) return null;
+      href = match[1];
+      i += match[0].length;
+    } else {
+      let depth = 0;
+      const start = i;
+      while (i < text.length) {
+        const char = text[i];
+        if (char === '\\' && i + 1 < text.length && /[!-/:-@[-`{-~]/.test(text[i + 1])) {
+          i += 2;
+          continue;
+        }
+        if (/[\s\u0000-\u001f]/.test(char)) break;
+        if (char === '(') depth++;
+        if (char === ')') {
+          if (depth === 0) break;
+          depth--;
+        }
+        i++;
+      }
+      if (depth !== 0) return null;
+      href = text.slice(start, i);
+    }
+
+    let title = '';
+    const spaced = skipSpace();
+    if (spaced && /["'(]/.test(text[i])) {
+      const closing = text[i] === '(' ? ')' : text[i];
+      const pattern = closing === ')'
+        ? /^\(((?:[^()\\]|\\.)*)\)/
+        : new RegExp(`^${closing}((?:[^${closing}\\\\]|\\\\.)*)${closing}`);
+      const match = pattern.exec(text.slice(i));
+      if (!match) return null;
+      title = this.unescape(match[1]);
+      i += match[0].length;
+      skipSpace();
+    }
+
+    if (text[i] !== ')') return null;
+    return { href: this.unescape(href), title, end: i + 1 };
+  },
+
+  /**
+   * Turn matched delimiter runs above stackBottom into em/strong/del nodes
+   * @param {Array} nodes - Inline nodes (modified in place)
+   * @param {Array} delimiters - Delimiter stack (modified in place)
+   * @param {number} stackBottom - Only process delimiters at or above this index
+   */
+  processEmphasis(nodes, delimiters, stackBottom) {
+    const openersBottom = {};
+    let current = stackBottom;
+
+    while (current < delimiters.length) {
+      const closer = delimiters[current];
+      if (!closer.canClose) {
+        current++;
+        continue;
+      }
+
+      const bottomKey = `${closer.char}${closer.canOpen}${closer.originalCount % 3}`;
+      const bottom = Math.max(stackBottom, openersBottom[bottomKey] ?? stackBottom);
+      let openerIndex = -1;
+
+      for (let index = current - 1; index >= bottom; index--) {
+        const opener = delimiters[index];
+        if (opener.char !== closer.char || !opener.canOpen) continue;
+
+        if (closer.char === '~') {
+          if (opener.count !== closer.count) continue;
+        } else if ((opener.canClose || closer.canOpen)
+          && (opener.originalCount + closer.originalCount) % 3 === 0
+          && !(opener.originalCount % 3 === 0 && closer.originalCount % 3 === 0)) {
+          continue;
+        }
+
+        openerIndex = index;
+        break;
+      }
+
+      if (openerIndex === -1) {
+        openersBottom[bottomKey] = current;
+        if (!closer.canOpen) {
+          delimiters.splice(current, 1);
+        } else {
+          current++;
+        }
+        continue;
+      }
+
+      const opener = delimiters[openerIndex];
+      let tag;
+      let used;
+      if (closer.char === '~') {
+        tag = 'del';
+        used = closer.count;
+      } else {
+        used = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+        tag = used === 2 ? 'strong' : 'em';
+      }
+
+      opener.count -= used;
+      closer.count -= used;
+      opener.node.value = opener.node.value.slice(used);
+      closer.node.value = closer.node.value.slice(used);
+
+      const openerPosition = nodes.indexOf(opener.node);
+      const closerPosition = nodes.indexOf(closer.node);
+      const children = nodes.splice(openerPosition + 1, closerPosition - openerPosition - 1);
+      nodes.splice(openerPosition + 1, 0, { type: 'wrap', tag, children });
+
+      // Delimiters between the pair can no longer match
+      delimiters.splice(openerIndex + 1, current - openerIndex - 1);
+      current = openerIndex + 1;
+
+      if (opener.count === 0) {
+        nodes.splice(nodes.indexOf(opener.node), 1);
+        delimiters.splice(openerIndex, 1);
+        current--;
+      }
+      if (closer.count === 0) {
+        nodes.splice(nodes.indexOf(closer.node), 1);
+        delimiters.splice(current, 1);
+      }
+    }
+
+    delimiters.length = stackBottom;
+  },
+
+  renderNodes(nodes) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return this.escapeHtml(node.value);
+        case 'raw':
+          return node.value;
+        case 'code':
+          return `<code>${this.escapeHtml(node.value)}</code>`;
+        case 'wrap':
+          return `<${node.tag}>${this.renderNodes(node.children)}</${node.tag}>`;
+        case 'link': {
+          const title = node.title ? ` title="${this.escapeHtml(node.title)}"` : '';
+          return `<a href="${this.escapeHtml(node.href)}"${title} target="_blank" rel="noopener noreferrer">${this.renderNodes(node.children)}</a>`;
+        }
+        case 'image': {
+          const title = node.title ? ` title="${this.escapeHtml(node.title)}"` : '';
+          return `<img src="${this.escapeHtml(node.src)}" alt="${this.renderPlain(node.children)}"${title} loading="lazy">`;
+        }
+        default:
+          return '';
+      }
+    }).join('');
+  },
+
+  /**
+   * Escaped plain text of nodes, used for image alt text
+   */
+  renderPlain(nodes) {
+    return this.escapeHtml(this.plainText(nodes));
+  },
+
+  /**
+   * Plain text of inline nodes: entities decoded, hard breaks kept as newlines
+   * @param {Array} nodes
+   * @returns {string}
+   */
+  plainText(nodes) {
+    const text = nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+        case 'code':
+          return node.value;
+        case 'raw':
+          if (node.value.startsWith('&')) return this.decodeEntity(node.value);
+          return node.value.startsWith('<br>') ? '\n' : ' ';
+        case 'image':
+        case 'wrap':
+        case 'link':
+          return this.plainText(node.children);
+        default:
+          return '';
+      }
+    }).join('');
+
+    return text.replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '\n').trim();
+  },
+
+  // Named entities common in articles; anything else is left as written
+  entities: {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', shy: '\u00ad',
+    ndash: '\u2013', mdash: '\u2014', hellip: '\u2026', bull: '\u2022', middot: '\u00b7',
+    lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201c', rdquo: '\u201d', laquo: '\u00ab', raquo: '\u00bb',
+    copy: '\u00a9', reg: '\u00ae', trade: '\u2122', deg: '\u00b0', euro: '\u20ac', pound: '\u00a3', times: '\u00d7'
+  },
+
+  /**
+   * Decode one character reference such as &amp; or &#8217;
+   * @param {string} entity
+   * @returns {string}
+   */
+  decodeEntity(entity) {
+    const name = entity.slice(1, -1);
+    if (name[0] === '#') {
+      const code = /^#x/i.test(name) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\uFFFD';
+    }
+    return this.entities[name] || entity;
+  }
+};
+
+module.exports = Markdown;
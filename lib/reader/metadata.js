@@ -0,0 +1,123 @@
+// Jina Reader response parsing - splits the metadata header from the markdown body
+const HEADER_FIELDS = {
+  'Title': 'title',
+  'URL Source': 'url',
+  'Published Time': 'publishedTime',
+  'Description': 'description'
+};
+
+// How far into the body we look for byline and lead image hints
+const HINT_SCAN_LINES = 40;
+
+const BYLINE_PATTERNS = [
+  /^By\s+([A-Z].+)$/,
+  /^(?:Author|Written by|Words by):?\s+(.+)$/i
+];
+
+const IMAGE_PATTERN = /!\[([^\]]*)\]\((\S+?)(?:\s+"[^"]*")?\)/;
+const NON_LEAD_IMAGE = /(logo|icon|avatar|sprite|placeholder|pixel|badge)/i;
+
+/**
+ * Strip markdown emphasis and links, keeping the visible text
+ */
+function plainText(markdown) {
+  return markdown
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function toIsoDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toISOString();
+}
+
+/**
+ * Look for a byline in the first lines of the body
+ * @param {string[]} lines - Body lines
+ * @returns {string} Author name(s) or ''
+ */
+function findByline(lines) {
+  for (const line of lines.slice(0, HINT_SCAN_LINES)) {
+    const text = plainText(line);
+    if (!text || text.length > 120) continue;
+
+    for (const pattern of BYLINE_PATTERNS) {
+      const match = text.match(pattern);
+      if (match) {
+        // Drop trailing dates, roles and outlet names: "Jane Doe | Reuters", "Jane Doe, Staff Writer"
+        const author = match[1].split(/\s+[|·•–—-]\s+|,\s+(?=[A-Z][a-z]+\s(?:Writer|Reporter|Editor|Correspondent))|\s+(?:Updated|Published)\b/)[0].trim();
+        if (author && author.length <= 80) return author;
+      }
+    }
+  }
+  return '';
+}
+
+/**
+ * Find the first image in the body that looks like a lead image
+ * @param {string[]} lines - Body lines
+ * @returns {string} Image URL or ''
+ */
+function findLeadImage(lines) {
+  for (const line of lines.slice(0, HINT_SCAN_LINES)) {
+    const match = line.match(IMAGE_PATTERN);
+    if (match && /^https?:\/\//i.test(match[2]) && !NON_LEAD_IMAGE.test(match[2])) {
+      return match[2];
+    }
+  }
+  return '';
+}
+
+/**
+ * Parse Jina Reader text output.
+ * Jina prefixes the markdown with "Title:", "URL Source:", "Published Time:"
+ * lines and a "Markdown Content:" marker before the article body.
+ * @param {string} text - Raw Jina response
+ * @returns {Object} {title, description, author, publishedTime, url, image, content}
+ */
+function parseJinaResponse(text) {
+  const metadata = {
+    title: '',
+    description: '',
+    author: '',
+    publishedTime: '',
+    url: '',
+    image: ''
+  };
+
+  const lines = text.split('\n');
+  let bodyStart = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+
+    if (line === 'Markdown Content:') {
+      bodyStart = i + 1;
+      break;
+    }
+
+    const match = line.match(/^([A-Za-z ]+):\s*(.*)$/);
+    if (match && HEADER_FIELDS[match[1]]) {
+      metadata[HEADER_FIELDS[match[1]]] = match[2].trim();
+      bodyStart = i + 1;
+    } else if (line && !match) {
+      // Header absent or already over; the rest is body
+      break;
+    }
+  }
+
+  const bodyLines = lines.slice(bodyStart);
+  const content = bodyLines.join('\n').trim();
+
+  metadata.publishedTime = toIsoDate(metadata.publishedTime);
+  metadata.author = findByline(bodyLines);
+  metadata.image = findLeadImage(bodyLines);
+
+  return { ...metadata, content };
+}
+
+module.exports = { parseJinaResponse };
@@ -0,0 +1,60 @@
+// Upstream health tracking for /api/status.
+// Keeps the outcome of the latest call to each upstream in module memory, so on
+// serverless platforms it describes the current warm instance only.
+
+const upstreams = new Map();
+
+const QUOTA_HEADERS = {
+  limit: 'x-ratelimit-limit',
+  remaining: 'x-ratelimit-remaining',
+  reset: 'x-ratelimit-reset'
+};
+
+/**
+ * Read rate limit headers, if the upstream sends any
+ * @param {Headers} headers - Response headers
+ * @returns {Object|null} {limit, remaining, reset}
+ */
+function quotaFromHeaders(headers) {
+  const quota = {};
+  for (const [key, header] of Object.entries(QUOTA_HEADERS)) {
+    const value = headers.get(header);
+    if (value !== null) quota[key] = Number.isNaN(Number(value)) ? value : Number(value);
+  }
+  return Object.keys(quota).length > 0 ? quota : null;
+}
+
+/**
+ * Record the result of an upstream call. Only status codes, error codes and
+ * quota headers are kept - never URLs, keys or upstream messages.
+ * @param {string} service - Upstream name, e.g. "newsapi" or "jina"
+ * @param {Object} result
+ * @param {Response} result.response - Upstream response, if one arrived
+ * @param {ApiError} result.error - Error the call was turned into
+ * @param {Object} result.details - Extra non-secret fields (e.g. feed counts)
+ */
+function recordUpstream(service, { response, error, details } = {}) {
+  const previous = upstreams.get(service);
+  const quota = response ? quotaFromHeaders(response.headers) : null;
+
+  upstreams.set(service, {
+    ok: !error && (!response || response.ok),
+    status: response ? response.status : null,
+    code: error ? error.code : null,
+    checkedAt: new Date().toISOString(),
+    ...(error && error.retryAfter !== undefined && { retryAfter: error.retryAfter }),
+    quota: quota || (previous ? previous.quota : null),
+    ...details
+  });
+}
+
+/**
+ * Latest recorded result for an upstream
+ * @param {string} service - Upstream name
+ * @returns {Object|null}
+ */
+function getUpstreamStatus(service) {
+  return upstreams.get(service) || null;
+}
+
+module.exports = { recordUpstream, getUpstreamStatus };
@@ -0,0 +1,250 @@
+// Shared client for upstream calls (NewsAPI, Jina, feeds, publisher pages).
+// Adds per-attempt timeouts, jittered exponential backoff on 5xx/429 that honors
+// Retry-After, and coalescing of identical in-flight GETs into one upstream call.
+const net = require('net');
+const { Agent } = require('undici');
+const { ApiError, parseRetryAfter } = require('./errors');
+const { getMode, replayFixture, recordFixture } = require('./fixtures');
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const DEFAULTS = {
+  // Per attempt
+  timeout: envNumber('UPSTREAM_TIMEOUT_MS', 8000),
+  // Extra attempts after the first
+  retries: envNumber('UPSTREAM_RETRIES', 2),
+  // Total time for all attempts and waits, kept below the platform's function limit
+  budget: envNumber('UPSTREAM_BUDGET_MS', 9000),
+  baseDelay: 250,
+  maxDelay: 4000
+};
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const NULL_BODY_STATUS = new Set([204, 205, 304]);
+
+const inFlight = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Full jitter: a random delay up to baseDelay * 2^attempt, capped at maxDelay
+ * @param {number} attempt - Zero-based retry number
+ * @param {Object} options - baseDelay, maxDelay
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+  return Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+}
+
+/**
+ * Read a body into a buffer, giving up once it exceeds maxBytes
+ * @param {Response} response
+ * @param {number} maxBytes - Limit, or Infinity
+ * @param {string} service - Upstream name for the error message
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(response, maxBytes, service) {
+  const tooLarge = () => new ApiError('CONTENT_TOO_LARGE', `${service} response is too large`);
+
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    response.body?.cancel().catch(() => {});
+    throw tooLarge();
+  }
+
+  if (!response.body) return Buffer.alloc(0);
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) throw tooLarge();
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks.map(chunk => Buffer.from(chunk)));
+}
+
+/**
+ * ApiError for a request or body read that failed before a full response arrived
+ * @param {Error} error - From fetch() or reading the body
+ * @param {string} service - Upstream name for the error message
+ * @returns {ApiError}
+ */
+function transportError(error, service) {
+  if (error instanceof ApiError) return error;
+
+  return error.name === 'TimeoutError' || error.name === 'AbortError'
+    ? new ApiError('UPSTREAM_TIMEOUT', `${service} did not respond in time`)
+    : new ApiError('UPSTREAM_UNAVAILABLE', `Could not reach ${service}`);
+}
+
+/**
+ * dns.lookup() stand-in that only answers with addresses checked earlier
+ * @param {string[]} addresses - IPv4 or IPv6 addresses
+ * @returns {Function} lookup(hostname, options, callback)
+ */
+function pinnedLookup(addresses) {
+  const entries = addresses.map(address => ({ address, family: net.isIPv6(address) ? 6 : 4 }));
+
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    const family = typeof options === 'number' ? options : options.family;
+    const matching = entries.filter(entry => !family || entry.family === family);
+
+    if (matching.length === 0) {
+      const error = new Error(`No validated ${family ? `IPv${family} ` : ''}address for ${hostname}`);
+      error.code = 'ENOTFOUND';
+      callback(error);
+    } else if (options.all) {
+      callback(null, matching);
+    } else {
+      callback(null, matching[0].address, matching[0].family);
+    }
+  };
+}
+
+/**
+ * Run the attempts for one upstream call
+ * @returns {Promise<Object>} {status, statusText, headers, body}
+ */
+async function fetchWithRetries(url, options) {
+  const { service, init, budget, addresses } = options;
+  const deadline = Math.min(Date.now() + budget, options.deadline ?? Infinity);
+
+  if (deadline <= Date.now()) {
+    throw new ApiError('UPSTREAM_TIMEOUT', `${service} did not respond in time`);
+  }
+
+  // Connect only to the addresses the caller validated, whatever DNS says now
+  const dispatcher = addresses.length > 0
+    ? new Agent({ connect: { lookup: pinnedLookup(addresses) } })
+    : undefined;
+
+  try {
+    return await attemptFetches(url, { ...options, init: { ...init, dispatcher }, deadline });
+  } finally {
+    dispatcher?.close().catch(() => {});
+  }
+}
+
+/**
+ * The retry loop of fetchWithRetries()
+ * @returns {Promise<Object>} {status, statusText, headers, body}
+ */
+async function attemptFetches(url, options) {
+  const { service, init, timeout, retries, deadline, maxBytes } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    const remaining = deadline - Date.now();
+    let response;
+
+    try {
+      response = await fetch(url, { ...init, signal: AbortSignal.timeout(Math.max(1, Math.min(timeout, remaining))) });
+    } catch (error) {
+      const delay = backoffDelay(attempt, options);
+
+      if (attempt < retries && Date.now() + delay < deadline) {
+        await sleep(delay);
+        continue;
+      }
+
+      throw transportError(error, service);
+    }
+
+    if (RETRYABLE_STATUS.has(response.status) && attempt < retries) {
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      const delay = Math.max(backoffDelay(attempt, options), (retryAfter || 0) * 1000);
+
+      // Waiting longer than maxDelay or past the budget is the caller's decision
+      if (delay <= options.maxDelay && Date.now() + delay < deadline) {
+        response.body?.cancel().catch(() => {});
+        await sleep(delay);
+        continue;
+      }
+    }
+
+    // The timeout also covers the body, which can stall after the headers
+    let body;
+    try {
+      body = await readBody(response, maxBytes, service);
+    } catch (error) {
+      throw transportError(error, service);
+    }
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      body
+    };
+  }
+}
+
+/**
+ * Honor UPSTREAM_MODE: replay from fixtures, or fetch and record
+ * @returns {Promise<Object>} {status, statusText, headers, body}
+ */
+async function fetchOrReplay(url, options) {
+  const mode = getMode();
+  if (mode === 'replay') return replayFixture(url, options.service);
+
+  const result = await fetchWithRetries(url, options);
+  if (mode === 'record') await recordFixture(url, result);
+  return result;
+}
+
+/**
+ * fetch() for upstream services. Resolves with a Response for any HTTP status
+ * (after retries), and rejects with an ApiError for timeouts (UPSTREAM_TIMEOUT),
+ * network failures (UPSTREAM_UNAVAILABLE) and bodies over maxBytes (CONTENT_TOO_LARGE).
+ * Concurrent GETs with the same URL and headers share a single upstream call.
+ * @param {string} url - Upstream URL
+ * @param {Object} options
+ * @param {string} options.service - Name used in error messages, e.g. "Jina AI Reader"
+ * @param {Object} options.headers - Request headers
+ * @param {string} options.redirect - fetch redirect mode
+ * @param {number} options.timeout - Per attempt, in ms
+ * @param {number} options.retries - Extra attempts on 5xx/429 and network errors
+ * @param {number} options.budget - Total ms for all attempts
+ * @param {number} options.deadline - Date.now() value shared with other calls (see createDeadline); the attempts stop there even if budget remains
+ * @param {number} options.maxBytes - Body size limit
+ * @param {string[]} options.addresses - Connect only to these IPs (from resolveArticleUrl)
+ * @returns {Promise<Response>}
+ */
+async function upstreamFetch(url, { service = 'Upstream', headers = {}, redirect = 'follow', maxBytes = Infinity, addresses = [], ...overrides } = {}) {
+  const options = { ...DEFAULTS, ...overrides, service, maxBytes, addresses, init: { headers, redirect } };
+  const key = JSON.stringify([url, headers, redirect, maxBytes, addresses]);
+
+  let pending = inFlight.get(key);
+  if (!pending) {
+    pending = fetchOrReplay(url, options).finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+  }
+
+  const result = await pending;
+
+  // Every caller gets its own Response over the shared body
+  return new Response(NULL_BODY_STATUS.has(result.status) ? null : result.body, {
+    status: result.status,
+    statusText: result.statusText,
+    headers: result.headers
+  });
+}
+
+/**
+ * Deadline for several upstream calls that must fit in one budget together,
+ * e.g. Jina and then the fallback extractor for the same request
+ * @param {number} budget - Total ms, defaults to the per-call budget
+ * @returns {number} Date.now() value for options.deadline
+ */
+function createDeadline(budget = DEFAULTS.budget) {
+  return Date.now() + budget;
+}
+
+module.exports = { upstreamFetch, createDeadline, backoffDelay };
@@ -0,0 +1,243 @@
+// URL helpers shared by the API routes
+const dns = require('dns').promises;
+const net = require('net');
+const { ApiError } = require('./errors');
+const { getMode } = require('./fixtures');
+
+const MAX_URL_LENGTH = 2048;
+
+// Hostnames that only resolve inside a private network
+const INTERNAL_HOSTNAME = /(^localhost$|\.localhost$|\.local$|\.internal$|\.intranet$|\.lan$|\.home\.arpa$)/i;
+
+// Query parameters that only track the click and never change the article
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|ocid|cmpid|smid|ref|ref_src|__twitter_impression)$/i
+];
+
+/**
+ * Normalize an article URL so different links to the same story compare equal:
+ * lowercase host, no default port, fragment or tracking params, sorted query
+ * and no trailing slash.
+ * @param {string} value - Article URL
+ * @returns {string} Normalized URL (the input unchanged if it can't be parsed)
+ */
+function normalizeUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    return value;
+  }
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  if ((parsed.protocol === 'http:' && parsed.port === '80') || (parsed.protocol === 'https:' && parsed.port === '443')) {
+    parsed.port = '';
+  }
+
+  const params = [...parsed.searchParams]
+    .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Expand an IPv6 address to its eight 16-bit groups, including the
+ * compressed (::) and embedded IPv4 (::ffff:1.2.3.4) forms
+ * @param {string} address - IPv6 address, optionally with a %zone
+ * @returns {number[]|null} Eight groups, or null if the address is not IPv6
+ */
+function expandIPv6(address) {
+  let value = String(address).toLowerCase().replace(/%.*$/, '');
+  if (!net.isIPv6(value)) return null;
+
+  // Trailing dotted IPv4 becomes the last two groups
+  const ipv4 = value.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4) {
+    const [a, b, c, d] = ipv4.slice(1).map(Number);
+    value = `${value.slice(0, ipv4.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = value.split('::');
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const start = parse(head);
+  const end = parse(tail);
+
+  return tail === undefined
+    ? start
+    : [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+/**
+ * Dotted IPv4 address from two 16-bit groups
+ * @param {number} high
+ * @param {number} low
+ * @returns {string}
+ */
+function groupsToIPv4(high, low) {
+  return `${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`;
+}
+
+/**
+ * IPv4 address carried inside an IPv6 address: IPv4-mapped (::ffff:0:0/96),
+ * IPv4-compatible (::/96), IPv4-translated (::ffff:0:0:0/96), NAT64
+ * (64:ff9b::/96), 6to4 (2002::/16) and Teredo clients (2001::/32)
+ * @param {number[]} groups - From expandIPv6()
+ * @returns {string|null} Dotted IPv4 address, or null for a native IPv6 address
+ */
+function embeddedIPv4(groups) {
+  const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+
+  if (zeros(0, 5) && (groups[5] === 0 || groups[5] === 0xffff)) return groupsToIPv4(groups[6], groups[7]);
+  if (zeros(0, 4) && groups[4] === 0xffff && groups[5] === 0) return groupsToIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) return groupsToIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x2002) return groupsToIPv4(groups[1], groups[2]);
+  if (groups[0] === 0x2001 && groups[1] === 0) return groupsToIPv4(groups[6] ^ 0xffff, groups[7] ^ 0xffff);
+
+  return null;
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise
+ * not publicly routable. IPv6 addresses that embed an IPv4 address are
+ * judged by that address.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19)) ||
+      a >= 224;
+  }
+
+  const groups = expandIPv6(address);
+  if (groups) {
+    // Unspecified (::) and loopback (::1) embed 0.0.0.0 and 0.0.0.1
+    const ipv4 = embeddedIPv4(groups);
+    if (ipv4) return isPrivateAddress(ipv4);
+
+    const [first, second] = groups;
+    return (first === 0x64 && second === 0xff9b) || // Local-use NAT64 (64:ff9b:1::/48)
+      (first === 0x2001 && second === 0xdb8) || // Documentation
+      (first & 0xfe00) === 0xfc00 || // Unique local
+      (first & 0xffc0) === 0xfe80 || // Link-local
+      (first & 0xffc0) === 0xfec0 || // Site-local
+      (first & 0xff00) === 0xff00; // Multicast
+  }
+
+  return false;
+}
+
+function parseDomainList(value) {
+  return (value || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase().replace(/^\*?\./, ''))
+    .filter(Boolean);
+}
+
+function matchesDomain(hostname, domains) {
+  return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * Validate a user supplied article URL and resolve its host.
+ * Only public http(s) URLs on default ports pass; READER_ALLOWED_DOMAINS and
+ * READER_DENIED_DOMAINS (comma separated) narrow that further.
+ * Throws an ApiError with status 400 and a URL_* code otherwise.
+ * Fetch with the returned addresses (upstreamFetch's `addresses` option) so a
+ * second DNS answer can't point the request at an internal host.
+ * @param {string} value - URL from the query string
+ * @returns {Promise<Object>} {url, addresses}: the parsed URL, serialized, and its
+ *   public addresses (empty when replaying fixtures)
+ */
+async function resolveArticleUrl(value) {
+  if (!value || typeof value !== 'string') {
+    throw new ApiError('URL_REQUIRED', 'URL parameter is required');
+  }
+
+  if (value.length > MAX_URL_LENGTH) {
+    throw new ApiError('URL_TOO_LONG', `URL must be at most ${MAX_URL_LENGTH} characters`);
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    throw new ApiError('URL_INVALID', 'URL is not valid');
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new ApiError('URL_SCHEME_NOT_ALLOWED', 'Only http and https URLs are supported');
+  }
+
+  if (parsed.username || parsed.password) {
+    throw new ApiError('URL_CREDENTIALS_NOT_ALLOWED', 'URLs with credentials are not allowed');
+  }
+
+  if (parsed.port) {
+    throw new ApiError('URL_PORT_NOT_ALLOWED', 'URLs with a custom port are not allowed');
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+  if (!net.isIP(hostname) && (INTERNAL_HOSTNAME.test(hostname) || !hostname.includes('.'))) {
+    throw new ApiError('URL_HOST_NOT_ALLOWED', 'URL points to an internal host');
+  }
+
+  const denied = parseDomainList(process.env.READER_DENIED_DOMAINS);
+  if (matchesDomain(hostname, denied)) {
+    throw new ApiError('URL_DOMAIN_DENIED', 'This site is blocked by the server configuration');
+  }
+
+  const allowed = parseDomainList(process.env.READER_ALLOWED_DOMAINS);
+  if (allowed.length > 0 && !matchesDomain(hostname, allowed)) {
+    throw new ApiError('URL_DOMAIN_NOT_ALLOWED', 'This site is not in the server allowlist');
+  }
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else if (getMode() === 'replay') {
+    // Nothing is fetched when replaying fixtures, and there may be no DNS
+    addresses = [];
+  } else {
+    try {
+      addresses = (await dns.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch {
+      throw new ApiError('URL_HOST_UNRESOLVABLE', 'URL host could not be resolved');
+    }
+  }
+
+  if (addresses.some(isPrivateAddress)) {
+    throw new ApiError('URL_HOST_NOT_ALLOWED', 'URL points to a private or loopback address');
+  }
+
+  return { url: parsed.toString(), addresses };
+}
+
+/**
+ * Validate a user supplied article URL before anything fetches it.
+ * See resolveArticleUrl() for the rules.
+ * @param {string} value - URL from the query string
+ * @returns {Promise<string>} The parsed URL, serialized
+ */
+async function validateArticleUrl(value) {
+  return (await resolveArticleUrl(value)).url;
+}
+
+module.exports = { normalizeUrl, validateArticleUrl, resolveArticleUrl, isPrivateAddress, expandIPv6 };
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+// Local development server - serves the static site and mounts the api/ handlers
+// with the small subset of Vercel's request/response helpers they use.
+//
+//   node scripts/dev-server.js                        (live upstreams, keys from .env)
+//   UPSTREAM_MODE=replay node scripts/dev-server.js   (bundled fixtures, no network)
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = Number(process.env.PORT) || 3000;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon'
+};
+
+// Never served as static files
+const PRIVATE_PATHS = /^\/(api|lib|scripts|fixtures|\.env|\.git)(\/|$)/;
+
+/**
+ * Load KEY=value lines from .env without overriding the real environment
+ */
+function loadEnvFile() {
+  let text;
+  try {
+    text = fs.readFileSync(path.join(ROOT, '.env'), 'utf8');
+  } catch {
+    return;
+  }
+
+  for (const line of text.split('\n')) {
+    const match = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*?)\s*$/);
+    if (match && !(match[1] in process.env)) {
+      process.env[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+    }
+  }
+}
+
+/**
+ * Vercel-style query object: repeated parameters become arrays
+ * @param {URLSearchParams} params
+ * @returns {Object}
+ */
+function toQuery(params) {
+  const query = {};
+  for (const [key, value] of params) {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
+    }
+  }
+  return query;
+}
+
+/**
+ * Add res.status(), res.json() and res.send()
+ * @param {http.ServerResponse} res
+ * @returns {http.ServerResponse}
+ */
+function withHelpers(res) {
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = body => {
+    res.end(body);
+    return res;
+  };
+  return res;
+}
+
+async function handleApi(req, res, url) {
+  const name = url.pathname.slice('/api/'.length).replace(/\/+$/, '');
+  const file = path.join(ROOT, 'api', `${name}.js`);
+
+  if (!/^[a-z0-9-]+$/i.test(name) || !fs.existsSync(file)) {
+    res.status(404).json({ success: false, error: 'Not found', code: 'NOT_FOUND' });
+    return;
+  }
+
+  req.query = toQuery(url.searchParams);
+  try {
+    await require(file)(req, withHelpers(res));
+  } catch (error) {
+    console.error(`Unhandled error in /api/${name}:`, error);
+    if (!res.headersSent) res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+}
+
+function handleStatic(req, res, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch {
+    res.writeHead(400).end('Bad request');
+    return;
+  }
+  const file = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+
+  if (!file.startsWith(ROOT + path.sep) || PRIVATE_PATHS.test(pathname)) {
+    res.writeHead(404).end('Not found');
+    return;
+  }
+
+  fs.readFile(file, (error, data) => {
+    if (error) {
+      res.writeHead(404).end('Not found');
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    res.end(data);
+  });
+}
+
+loadEnvFile();
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (url.pathname.startsWith('/api/')) {
+    handleApi(req, res, url);
+  } else {
+    handleStatic(req, res, url);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`NewsHub dev server on http://localhost:${PORT} (upstream mode: ${process.env.UPSTREAM_MODE || 'live'})`);
+});
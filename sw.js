@@ -0,0 +1,157 @@
+// Service worker - precaches the app shell and serves news feeds stale-while-revalidate.
+// Bump VERSION whenever a shell file changes; open tabs then offer to reload.
+const VERSION = 'v6';
+const SHELL_CACHE = `newshub-shell-${VERSION}`;
+const FEED_CACHE = 'newshub-feeds-v1';
+const MAX_FEED_ENTRIES = 40;
+
+// Keep in sync with the <script> and <link> tags in index.html
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'css/styles.css',
+  'js/errors.js',
+  'js/api.js',
+  'js/sanitizer.js',
+  'js/database.js',
+  'js/reader.js',
+  'js/ui.js',
+  'js/narrator.js',
+  'js/annotations.js',
+  'js/reading-list.js',
+  'js/offline.js',
+  'js/zip.js',
+  'js/export.js',
+  'js/app.js',
+  'assets/News-Icon.png'
+];
+
+// Feeds shown from cache at once and refreshed in the background
+const FEED_PATHS = ['/api/headlines', '/api/search'];
+
+/**
+ * Tell the page that made a request what happened to its background refresh
+ * @param {string} clientId - FetchEvent.clientId
+ * @param {Object} message
+ */
+async function notify(clientId, message) {
+  if (!clientId) return;
+  const client = await self.clients.get(clientId);
+  if (client) client.postMessage(message);
+}
+
+/**
+ * Article URLs of a feed response, to tell whether a refresh brought new stories
+ * @param {string} body - Response text
+ * @returns {string}
+ */
+function feedSignature(body) {
+  try {
+    return (JSON.parse(body).articles || []).map(article => article.url).join('\n');
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * Drop the oldest entries beyond a limit
+ * @param {Cache} cache
+ * @param {number} max
+ */
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(key => cache.delete(key)));
+}
+
+/**
+ * Answer from the cache when possible and refresh it from the network.
+ * Cached responses carry X-SW-Cached-At so the page can say how old they are.
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(FEED_CACHE);
+  const cached = await cache.match(event.request);
+  const cachedSignature = cached ? feedSignature(await cached.clone().text()) : null;
+
+  const network = fetch(event.request).then(async (response) => {
+    if (!response.ok) return response;
+
+    const body = await response.clone().text();
+    const headers = new Headers(response.headers);
+    headers.set('X-SW-Cached-At', new Date().toISOString());
+
+    await cache.put(event.request, new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    }));
+    await trimCache(cache, MAX_FEED_ENTRIES);
+
+    if (cached) {
+      notify(event.clientId, { type: 'feed-revalidated', changed: feedSignature(body) !== cachedSignature });
+    }
+    return response;
+  });
+
+  if (!cached) return network;
+
+  event.waitUntil(network.catch(() => notify(event.clientId, { type: 'feed-offline' })));
+  return cached;
+}
+
+/**
+ * Shell files from the precache, the network for anything else
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+
+  // Every page is the single-page app, whatever its query string
+  const cached = request.mode === 'navigate'
+    ? await cache.match('index.html')
+    : await cache.match(request);
+
+  return cached || fetch(request);
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key.startsWith('newshub-') && key !== SHELL_CACHE && key !== FEED_CACHE)
+      .map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+// The page asks a waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (FEED_PATHS.includes(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+
+  // The reader and status endpoints always go to the network
+  if (url.pathname.startsWith('/api/')) return;
+
+  event.respondWith(cacheFirst(request));
+});
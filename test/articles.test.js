@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { articleId, cleanTitle, normalizeArticle, normalizeArticles, toIsoDate } = require('../lib/articles');
+
+const raw = {
+  source: { id: 'sample-wire', name: 'NewsHub Sample Wire' },
+  title: 'City council approves riverside bike network - NewsHub Sample Wire',
+  description: '  The plan adds 14 km of\n protected lanes. ',
+  author: 'Dana Okafor',
+  url: 'https://www.example.com/news/bikes?utm_source=feed',
+  image: '/img/bikes.jpg',
+  publishedAt: '2026-10-19T10:15:00+02:00'
+};
+
+test('normalizeArticle maps provider articles onto the shared schema', () => {
+  assert.deepEqual(normalizeArticle(raw), {
+    id: articleId('https://example.com/news/bikes'),
+    url: 'https://www.example.com/news/bikes?utm_source=feed',
+    canonicalUrl: 'https://example.com/news/bikes',
+    title: 'City council approves riverside bike network',
+    description: 'The plan adds 14 km of protected lanes.',
+    author: 'Dana Okafor',
+    source: { id: 'sample-wire', name: 'NewsHub Sample Wire', domain: 'example.com' },
+    image: 'https://www.example.com/img/bikes.jpg',
+    publishedAt: '2026-10-19T08:15:00.000Z'
+  });
+});
+
+test('normalizeArticle fills in and cleans up missing or odd fields', () => {
+  const article = normalizeArticle({
+    title: 'Untitled - no source',
+    url: 'https://news.example.org/a',
+    author: 'https://news.example.org/staff/dana',
+    image: 'javascript:alert(1)',
+    publishedAt: 'yesterday'
+  });
+
+  assert.deepEqual(article.source, { id: null, name: 'news.example.org', domain: 'news.example.org' });
+  assert.equal(article.title, 'Untitled - no source');
+  assert.equal(article.description, '');
+  assert.equal(article.author, null);
+  assert.equal(article.image, null);
+  assert.equal(article.publishedAt, null);
+});
+
+test('normalizeArticle drops entries NewsAPI marks as removed', () => {
+  assert.equal(normalizeArticle({ ...raw, title: '[Removed]' }), null);
+  assert.equal(normalizeArticle({ ...raw, url: 'https://removed.com' }), null);
+  assert.equal(normalizeArticle({ ...raw, description: '[Removed]' }).description, '');
+});
+
+test('normalizeArticle drops entries without a usable link or title', () => {
+  assert.equal(normalizeArticle({ ...raw, url: '' }), null);
+  assert.equal(normalizeArticle({ ...raw, url: 'ftp://example.com/a' }), null);
+  assert.equal(normalizeArticle({ ...raw, url: '/news/a' }), null);
+  assert.equal(normalizeArticle({ ...raw, title: '   ' }), null);
+  assert.equal(normalizeArticle({ ...raw, url: '/news/a' }, { baseUrl: 'https://example.com/feed' }).url, 'https://example.com/news/a');
+});
+
+test('normalizeArticles drops removed entries and duplicate URLs', () => {
+  const articles = normalizeArticles([
+    raw,
+    { ...raw, title: '[Removed]', url: 'https://removed.com' },
+    { ...raw, url: 'https://www.example.com/news/bikes/', title: 'Same story, other link' },
+    { ...raw, url: 'https://www.example.com/news/trams', title: 'Trams next' }
+  ]);
+
+  assert.deepEqual(articles.map(article => article.title), ['City council approves riverside bike network', 'Trams next']);
+});
+
+test('cleanTitle only strips a suffix that names the source', () => {
+  const source = { name: 'Example News', domain: 'example.com' };
+
+  assert.equal(cleanTitle('Storm hits coast - Example News', source), 'Storm hits coast');
+  assert.equal(cleanTitle('Storm hits coast | example.com', source), 'Storm hits coast');
+  assert.equal(cleanTitle('Storm hits coast - live updates', source), 'Storm hits coast - live updates');
+  assert.equal(cleanTitle(undefined, source), '');
+});
+
+test('toIsoDate returns ISO dates or null', () => {
+  assert.equal(toIsoDate('Tue, 20 Oct 2026 08:15:00 GMT'), '2026-10-20T08:15:00.000Z');
+  assert.equal(toIsoDate('not a date'), null);
+  assert.equal(toIsoDate(''), null);
+});
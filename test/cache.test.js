@@ -0,0 +1,196 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createCache, createCacheFromEnv } = require('../lib/cache');
+const { createMemoryStore } = require('../lib/cache/memory');
+const { createFilesystemStore } = require('../lib/cache/filesystem');
+
+// Let background refreshes settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Replace Date.now with a clock the test moves by hand
+ * @returns {Object} {advance(seconds)}
+ */
+function mockClock(t, start = 1_000_000) {
+  let now = start;
+  t.mock.method(Date, 'now', () => now);
+  return {
+    advance(seconds) {
+      now += seconds * 1000;
+    }
+  };
+}
+
+/**
+ * Fetcher returning "value-1", "value-2", ... and counting calls
+ */
+function counter() {
+  const fetcher = async () => `value-${++fetcher.calls}`;
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+test('getOrFetch fetches on a miss and serves hits from the store', async t => {
+  mockClock(t);
+  const cache = createCache({ store: createMemoryStore(), ttl: 60 });
+  const fetcher = counter();
+
+  assert.deepEqual(await cache.getOrFetch('a', fetcher), { value: 'value-1', cache: 'miss' });
+  assert.deepEqual(await cache.getOrFetch('a', fetcher), { value: 'value-1', cache: 'hit' });
+  assert.deepEqual(await cache.getOrFetch('b', fetcher), { value: 'value-2', cache: 'miss' });
+  assert.equal(fetcher.calls, 2);
+});
+
+test('getOrFetch serves expired records as stale and refreshes them once in the background', async t => {
+  const clock = mockClock(t);
+  const cache = createCache({ store: createMemoryStore(), ttl: 60, staleTtl: 600 });
+  const fetcher = counter();
+
+  await cache.getOrFetch('a', fetcher);
+  clock.advance(61);
+
+  const results = await Promise.all([cache.getOrFetch('a', fetcher), cache.getOrFetch('a', fetcher)]);
+  assert.deepEqual(results, [{ value: 'value-1', cache: 'stale' }, { value: 'value-1', cache: 'stale' }]);
+
+  await flush();
+  assert.equal(fetcher.calls, 2);
+  assert.deepEqual(await cache.getOrFetch('a', fetcher), { value: 'value-2', cache: 'hit' });
+});
+
+test('getOrFetch keeps serving the stale record when the refresh fails', async t => {
+  const clock = mockClock(t);
+  t.mock.method(console, 'error', () => {});
+  const cache = createCache({ store: createMemoryStore(), ttl: 60, staleTtl: 600 });
+
+  await cache.getOrFetch('a', async () => 'old');
+  clock.advance(61);
+
+  assert.deepEqual(await cache.getOrFetch('a', async () => { throw new Error('upstream down'); }), { value: 'old', cache: 'stale' });
+  await flush();
+  assert.deepEqual(await cache.getOrFetch('a', async () => 'new'), { value: 'old', cache: 'stale' });
+});
+
+test('getOrFetch fetches again once the stale window has passed', async t => {
+  const clock = mockClock(t);
+  const cache = createCache({ store: createMemoryStore(), ttl: 60, staleTtl: 600 });
+  const fetcher = counter();
+
+  await cache.getOrFetch('a', fetcher);
+  clock.advance(661);
+
+  assert.deepEqual(await cache.getOrFetch('a', fetcher), { value: 'value-2', cache: 'miss' });
+});
+
+test('getOrFetch does not store values over maxEntryBytes', async () => {
+  const cache = createCache({ store: createMemoryStore(), maxEntryBytes: 1024 });
+  let calls = 0;
+  const big = async () => {
+    calls++;
+    return 'x'.repeat(2000);
+  };
+
+  assert.equal((await cache.getOrFetch('big', big)).cache, 'miss');
+  assert.equal((await cache.getOrFetch('big', big)).cache, 'miss');
+  assert.equal(calls, 2);
+});
+
+test('getOrFetch passes fetcher errors on a miss to the caller', async () => {
+  const cache = createCache({ store: createMemoryStore() });
+
+  await assert.rejects(cache.getOrFetch('a', async () => { throw new Error('boom'); }), /boom/);
+  assert.deepEqual(await cache.getOrFetch('a', async () => 'ok'), { value: 'ok', cache: 'miss' });
+});
+
+test('getOrFetch falls back to the fetcher when the store fails', async t => {
+  t.mock.method(console, 'error', () => {});
+  const store = {
+    get: async () => { throw new Error('read failed'); },
+    set: async () => { throw new Error('write failed'); },
+    delete: async () => {}
+  };
+  const cache = createCache({ store });
+
+  assert.deepEqual(await cache.getOrFetch('a', async () => 'fresh'), { value: 'fresh', cache: 'miss' });
+  assert.equal(console.error.mock.calls.length, 2);
+});
+
+test('memory store evicts the least recently used entry and expires records', async t => {
+  const clock = mockClock(t);
+  const store = createMemoryStore({ maxEntries: 2 });
+
+  await store.set('a', 1, 10);
+  await store.set('b', 2, 10);
+  await store.get('a');
+  await store.set('c', 3, 10);
+
+  assert.equal(await store.get('b'), null);
+  assert.equal(await store.get('a'), 1);
+  assert.equal(await store.get('c'), 3);
+
+  clock.advance(10);
+  assert.equal(await store.get('a'), null);
+});
+
+test('filesystem store keeps records as files until they expire', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'newshub-cache-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const clock = mockClock(t);
+  const store = createFilesystemStore({ dir });
+
+  assert.equal(await store.get('missing'), null);
+
+  await store.set('https://example.com/a', { value: 'A' }, 10);
+  assert.deepEqual(await store.get('https://example.com/a'), { value: 'A' });
+  // A second store on the same directory sees it, as after a cold start
+  assert.deepEqual(await createFilesystemStore({ dir }).get('https://example.com/a'), { value: 'A' });
+
+  await store.delete('https://example.com/a');
+  assert.equal(await store.get('https://example.com/a'), null);
+
+  await store.set('b', 'B', 10);
+  clock.advance(10);
+  assert.equal(await store.get('b'), null);
+  assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test('filesystem store prunes down to maxEntries and ignores unreadable files', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'newshub-cache-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'error', () => {});
+  const store = createFilesystemStore({ dir, maxEntries: 2 });
+
+  for (const key of ['a', 'b', 'c', 'd']) {
+    await store.set(key, key, 60);
+  }
+  assert.equal((await fs.readdir(dir)).length, 2);
+
+  const [file] = await fs.readdir(dir);
+  await fs.writeFile(path.join(dir, file), '{not json');
+  const values = await Promise.all(['a', 'b', 'c', 'd'].map(key => store.get(key)));
+  assert.equal(values.filter(Boolean).length, 1);
+});
+
+test('createCacheFromEnv picks the store from the environment', async t => {
+  const names = ['TEST_CACHE', 'TEST_CACHE_DIR'];
+  const previous = names.map(name => process.env[name]);
+  t.after(() => names.forEach((name, index) => {
+    if (previous[index] === undefined) delete process.env[name];
+    else process.env[name] = previous[index];
+  }));
+
+  delete process.env.TEST_CACHE;
+  assert.equal(createCacheFromEnv('TEST_CACHE').store.name, 'memory');
+
+  process.env.TEST_CACHE = 'off';
+  assert.equal(createCacheFromEnv('TEST_CACHE'), null);
+
+  process.env.TEST_CACHE = 'filesystem';
+  process.env.TEST_CACHE_DIR = path.join(os.tmpdir(), 'newshub-cache-unused');
+  assert.equal(createCacheFromEnv('TEST_CACHE').store.name, 'filesystem');
+
+  process.env.TEST_CACHE = 'redis';
+  assert.throws(() => createCacheFromEnv('TEST_CACHE'), /Unknown cache store: redis/);
+});
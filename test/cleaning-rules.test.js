@@ -0,0 +1,153 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CleaningRules = require('../lib/reader/cleaning-rules');
+
+const clean = (lines, url = 'https://example.com/story') => CleaningRules.clean(lines.join('\n'), url);
+
+test('findSite matches pack domains and their subdomains', () => {
+  assert.equal(CleaningRules.findSite('https://www.reuters.com/world/a').name, 'reuters');
+  assert.equal(CleaningRules.findSite('https://news.bbc.co.uk/a').name, 'bbc');
+  assert.equal(CleaningRules.findSite('https://deadline.com/a').name, 'penske');
+  assert.equal(CleaningRules.findSite('https://notreuters.com/a'), null);
+  assert.equal(CleaningRules.findSite('not a url'), null);
+});
+
+test('generic rules drop navigation before the article and footers after it', () => {
+  const result = clean([
+    'Skip to main content',
+    '[Home](https://example.com/) [World](https://example.com/world)',
+    'Menu',
+    '',
+    'By Dana Okafor',
+    '',
+    'The city council voted 9-2 on Tuesday to approve a riverside bike network.',
+    '',
+    'Share this article',
+    '',
+    'The first phase connects the Old Harbour district with the central station.',
+    '',
+    'Related Stories',
+    '',
+    'Another story entirely.'
+  ]);
+
+  assert.equal(result.rules, 'generic');
+  assert.equal(
+    result.content,
+    'The city council voted 9-2 on Tuesday to approve a riverside bike network.\n\n' +
+      'The first phase connects the Old Harbour district with the central station.'
+  );
+  assert.deepEqual(result.dropped.map(entry => entry.line), [1, 2, 3, 5, 9, 13, 15]);
+  assert.match(result.dropped.find(entry => entry.line === 13).reason, /^end marker/);
+});
+
+test('code blocks are kept verbatim', () => {
+  const result = clean([
+    'Here is how to check the installed version of the engine today:',
+    '',
+    '```',
+    'Share',
+    'engine --version',
+    '```'
+  ]);
+
+  assert.match(result.content, /```\nShare\nengine --version\n```/);
+});
+
+test('images are kept with their captions; pixels and share icons are dropped', () => {
+  const result = clean([
+    'The survey used three autonomous submarines that spent 40 days below 600 metres.',
+    '',
+    '![Cold-water corals](https://example.net/img/reef.jpg)',
+    '',
+    'Cold-water corals on the shelf edge',
+    '',
+    '![](https://example.net/pixel.gif?id=1)',
+    '![Share on Facebook](https://example.net/img/fb.png)',
+    '![](https://example.net/assets/social/twitter.svg)',
+    '![Diver](https://example.net/img/diver.jpg)',
+    '',
+    '*The team spent 40 days at sea.*',
+    '',
+    '![Map](https://example.net/img/map.png)',
+    '',
+    'Researchers found dense fish populations and several new species.'
+  ]);
+
+  assert.equal(result.content, [
+    'The survey used three autonomous submarines that spent 40 days below 600 metres.',
+    '',
+    '![Cold-water corals](https://example.net/img/reef.jpg)',
+    'Cold-water corals on the shelf edge',
+    '',
+    '![Diver](https://example.net/img/diver.jpg)',
+    '*The team spent 40 days at sea.*',
+    '',
+    '![Map](https://example.net/img/map.png)',
+    '',
+    'Researchers found dense fish populations and several new species.'
+  ].join('\n'));
+  assert.deepEqual(result.dropped.map(entry => entry.line), [7, 8, 9]);
+});
+
+test('captionAfter recognises credits and alt text repeats', () => {
+  const rules = CleaningRules.generic;
+  const caption = (...lines) => CleaningRules.captionAfter(lines, 0, rules);
+
+  assert.equal(caption('![Protest](a.jpg)', '', 'Photo: Jane Doe/Reuters. Crowds gathered on Sunday.'), 2);
+  assert.equal(caption('![Crowds gathered on Sunday.](a.jpg)', 'Crowds gathered on Sunday.'), 1);
+  assert.equal(caption('![A](a.jpg)', '## Next section'), -1);
+  assert.equal(caption('![A](a.jpg)', 'Share'), -1);
+  assert.equal(caption('Not an image', 'Short label'), -1);
+  assert.equal(caption('![A](a.jpg)'), -1);
+});
+
+test('Reuters pack starts at the dateline and stops after the reporting credit', () => {
+  const result = clean([
+    '[World](https://www.reuters.com/world/)',
+    'Summary',
+    'WASHINGTON, Oct 1 (Reuters) - Lawmakers reached a deal on Tuesday.',
+    '',
+    '3 minute read',
+    '',
+    'The bill now goes to the Senate.',
+    '',
+    'Reporting by Jane Doe; Editing by John Roe',
+    '',
+    'Our Standards: The Thomson Reuters Trust Principles.'
+  ], 'https://www.reuters.com/world/us/deal-2026-10-01/');
+
+  assert.equal(result.rules, 'reuters');
+  assert.equal(
+    result.content,
+    'WASHINGTON, Oct 1 (Reuters) - Lawmakers reached a deal on Tuesday.\n\n' +
+      'The bill now goes to the Senate.\n\nReporting by Jane Doe; Editing by John Roe'
+  );
+});
+
+test('AP pack keeps the first byline only', () => {
+  const result = clean([
+    '# Storm makes landfall',
+    'By Sam Lee',
+    'MIAMI (AP) — The storm came ashore overnight.',
+    'By Sam Lee',
+    'Link copied'
+  ], 'https://apnews.com/article/storm');
+
+  assert.equal(result.content, '# Storm makes landfall\nBy Sam Lee\nMIAMI (AP) — The storm came ashore overnight.');
+  assert.deepEqual(result.dropped.map(entry => entry.reason), ['byline (repeat)', 'skip /^(Share|Copy|Link copied|Print|Email|Read More)$/i']);
+});
+
+test('a pack whose start markers never match falls back to the generic heuristic', () => {
+  const result = clean([
+    'Menu',
+    'Lawmakers reached a deal on Tuesday after weeks of talks in the capital.'
+  ], 'https://www.reuters.com/world/a');
+
+  assert.equal(result.rules, 'reuters (start markers not found)');
+  assert.equal(result.content, 'Lawmakers reached a deal on Tuesday after weeks of talks in the capital.');
+});
+
+test('clean returns an empty result for empty input', () => {
+  assert.deepEqual(CleaningRules.clean('', 'https://example.com/a'), { content: '', rules: 'generic', dropped: [] });
+});
@@ -0,0 +1,166 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const dns = require('dns');
+const { extractArticle, fetchFallbackArticle } = require('../lib/reader/fallback');
+
+const PAGE = `<!doctype html>
+<html><head>
+<title>Fallback title | Example News</title>
+<meta property="og:title" content="Council approves riverside bike network">
+<meta name="description" content="Fourteen kilometres of protected lanes">
+<meta property="og:image" content="/img/lead.jpg">
+<link rel="canonical" href="https://example.com/news/bikes">
+<script type="application/ld+json">{"@context":"https://schema.org","@type":"NewsArticle","headline":"LD headline","author":[{"@type":"Person","name":"Dana Okafor"}],"datePublished":"2026-10-19T08:15:00+02:00"}</script>
+<style>.x{}</style>
+</head><body>
+<header class="site-header"><nav><a href="/">Home</a> <a href="/world">World</a></nav></header>
+<div class="cookie-banner">We use cookies to improve your experience, please accept them all.</div>
+<main>
+<article class="article-body">
+<h1>Council approves riverside bike network</h1>
+<p>The city council voted 9-2 on Tuesday to approve a riverside bike network that will add 14 kilometres of protected lanes over the next three years, officials said.</p>
+<p>The first phase connects the Old Harbour district with the central station, a route that currently forces cyclists onto a four-lane road, and opens in <strong>spring 2027</strong>.</p>
+<figure><img data-src="/img/route.jpg" src="data:image/gif;base64,R0lGOD" alt="Route map"><figcaption>The planned route</figcaption></figure>
+<h2>What changes</h2>
+<ul><li>Protected lanes separated from traffic</li><li>Twelve new <a href="/crossings">crossings</a></li></ul>
+<blockquote><p>This is the missing link, said councillor Maya Lindqvist.</p></blockquote>
+<table><tr><th>Phase</th><th>Opens</th></tr><tr><td>Old Harbour | Central</td><td>2027</td></tr></table>
+<div class="share-tools"><a href="https://facebook.com/share">Share on Facebook</a></div>
+<p style="display:none">Hidden text that should never appear in the article output at all.</p>
+<button>Subscribe</button>
+<script>alert(1)</script>
+</article>
+<aside class="sidebar"><p>Most read: a long list of unrelated headlines, with many commas, and more, and more.</p></aside>
+</main>
+<footer><p>Copyright Example News, all rights reserved, 2026.</p></footer>
+</body></html>`;
+
+test('extractArticle reads metadata from meta tags and JSON-LD', () => {
+  const article = extractArticle(PAGE, 'https://example.com/news/bikes?ref=home');
+
+  assert.equal(article.title, 'Council approves riverside bike network');
+  assert.equal(article.description, 'Fourteen kilometres of protected lanes');
+  assert.equal(article.author, 'Dana Okafor');
+  assert.equal(article.publishedTime, '2026-10-19T06:15:00.000Z');
+  assert.equal(article.url, 'https://example.com/news/bikes');
+  assert.equal(article.image, 'https://example.com/img/lead.jpg');
+});
+
+test('extractArticle turns the article body into markdown', () => {
+  const { content } = extractArticle(PAGE, 'https://example.com/news/bikes');
+
+  assert.equal(content, [
+    '# Council approves riverside bike network',
+    'The city council voted 9-2 on Tuesday to approve a riverside bike network that will add 14 kilometres of protected lanes over the next three years, officials said.',
+    'The first phase connects the Old Harbour district with the central station, a route that currently forces cyclists onto a four-lane road, and opens in **spring 2027**.',
+    '![Route map](https://example.com/img/route.jpg)',
+    '*The planned route*',
+    '## What changes',
+    '- Protected lanes separated from traffic\n- Twelve new [crossings](https://example.com/crossings)',
+    '> This is the missing link, said councillor Maya Lindqvist.',
+    '| Phase | Opens |\n| --- | --- |\n| Old Harbour \\| Central | 2027 |'
+  ].join('\n\n'));
+});
+
+test('extractArticle drops navigation, banners, hidden elements and sidebars', () => {
+  const { content } = extractArticle(PAGE, 'https://example.com/news/bikes');
+
+  for (const clutter of ['Home', 'cookies', 'Share on Facebook', 'Hidden text', 'Subscribe', 'alert', 'Most read', 'Copyright']) {
+    assert.ok(!content.includes(clutter), clutter);
+  }
+});
+
+test('extractArticle returns null when there is too little text', () => {
+  assert.equal(extractArticle('<html><body><article><p>Just a teaser.</p></article></body></html>', 'https://example.com/a'), null);
+  assert.equal(extractArticle('', 'https://example.com/a'), null);
+});
+
+/**
+ * Serve the routes from a local server in place of the publisher, with
+ * news.example resolving to a public address and internal.example to a private one
+ * @param {Object} routes - pathname => (req, res) handler
+ * @returns {Promise<string[]>} Paths the server was asked for
+ */
+async function publisher(t, routes) {
+  const requested = [];
+  const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    const route = routes[req.url];
+    if (route) route(req, res);
+    else res.writeHead(404).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const names = ['UPSTREAM_MODE'];
+  const previous = names.map(name => process.env[name]);
+  t.after(() => names.forEach((name, index) => {
+    if (previous[index] === undefined) delete process.env[name];
+    else process.env[name] = previous[index];
+  }));
+  process.env.UPSTREAM_MODE = 'live';
+
+  const hosts = { 'news.example': '93.184.216.34', 'internal.example': '10.0.0.5' };
+  t.mock.method(dns.promises, 'lookup', async hostname => {
+    if (!hosts[hostname]) throw new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+    return [{ address: hosts[hostname], family: 4 }];
+  });
+
+  // Every hop that passed validation goes to the local server instead
+  const fetch = globalThis.fetch;
+  t.mock.method(globalThis, 'fetch', (url, { dispatcher, ...init }) => {
+    const { pathname, search } = new URL(url);
+    return fetch(`http://127.0.0.1:${server.address().port}${pathname}${search}`, init);
+  });
+
+  return requested;
+}
+
+const redirect = location => (req, res) => res.writeHead(302, { Location: location }).end();
+
+test('fetchFallbackArticle follows redirects and extracts the final page', async t => {
+  const requested = await publisher(t, {
+    '/short': redirect('/news/bikes'),
+    '/news/bikes': (req, res) => res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(PAGE)
+  });
+
+  const article = await fetchFallbackArticle('https://news.example/short', { maxBytes: 1024 * 1024 });
+
+  assert.equal(article.title, 'Council approves riverside bike network');
+  assert.deepEqual(requested, ['/short', '/news/bikes']);
+});
+
+test('fetchFallbackArticle rejects redirects to private and internal addresses', async t => {
+  const targets = [
+    'http://169.254.169.254/latest/meta-data',
+    'http://localhost/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://internal.example/admin'
+  ];
+  const requested = await publisher(t, Object.fromEntries(targets.map((target, index) => [`/hop-${index}`, redirect(target)])));
+
+  for (const [index, target] of targets.entries()) {
+    await assert.rejects(fetchFallbackArticle(`https://news.example/hop-${index}`, { maxBytes: 1024 * 1024 }), { code: 'URL_HOST_NOT_ALLOWED' }, target);
+  }
+  assert.deepEqual(requested, targets.map((target, index) => `/hop-${index}`));
+});
+
+test('fetchFallbackArticle rejects non-HTML pages and redirect loops', async t => {
+  await publisher(t, {
+    '/feed.json': (req, res) => res.writeHead(200, { 'Content-Type': 'application/json' }).end('{}'),
+    '/loop': redirect('/loop')
+  });
+
+  await assert.rejects(fetchFallbackArticle('https://news.example/feed.json', { maxBytes: 1024 }), /not an HTML document/);
+  await assert.rejects(fetchFallbackArticle('https://news.example/loop', { maxBytes: 1024 }), /Too many redirects/);
+});
+
+test('fetchFallbackArticle gets no time once the shared deadline has passed', async t => {
+  const requested = await publisher(t, {
+    '/news/bikes': (req, res) => res.writeHead(200, { 'Content-Type': 'text/html' }).end(PAGE)
+  });
+
+  await assert.rejects(fetchFallbackArticle('https://news.example/news/bikes', { maxBytes: 1024 * 1024, deadline: Date.now() - 1 }), { code: 'UPSTREAM_TIMEOUT' });
+  assert.deepEqual(requested, []);
+});
@@ -0,0 +1,159 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FORMATS, formatArticle, blocksToText } = require('../lib/reader/format');
+const readerHandler = require('../api/reader');
+
+const article = {
+  title: 'Council approves bike network',
+  url: 'https://example.com/news/bikes',
+  author: 'Dana Okafor',
+  content: [
+    'Skip to main content',
+    '',
+    'The council voted 9-2 on Tuesday to approve a riverside bike network.',
+    '',
+    '![Riverside path](/img/path.jpg)',
+    '',
+    '*The path along the river today*',
+    '',
+    '## What changes',
+    '',
+    '- Protected lanes',
+    '- Twelve new [crossings](/crossings)',
+    '',
+    'Share this article'
+  ].join('\n')
+};
+
+test('FORMATS lists the supported formats', () => {
+  assert.deepEqual(FORMATS, ['markdown', 'html', 'text', 'json']);
+});
+
+test('markdown format returns the cleaned markdown and keeps the metadata', () => {
+  const result = formatArticle(article, 'markdown');
+
+  assert.equal(result.format, 'markdown');
+  assert.equal(result.title, article.title);
+  assert.equal(result.author, article.author);
+  assert.equal(result.content, [
+    'The council voted 9-2 on Tuesday to approve a riverside bike network.',
+    '',
+    '![Riverside path](/img/path.jpg)',
+    '*The path along the river today*',
+    '',
+    '## What changes',
+    '',
+    '- Protected lanes',
+    '- Twelve new [crossings](/crossings)'
+  ].join('\n'));
+  assert.equal(result.cleaning, undefined);
+});
+
+test('html format renders with links and images resolved against the article', () => {
+  const { content } = formatArticle(article, 'html');
+
+  assert.match(content, /^<p>The council voted/);
+  assert.match(content, /<img src="https:\/\/example\.com\/img\/path\.jpg" alt="Riverside path" loading="lazy">/);
+  assert.match(content, /<h2>What changes<\/h2>/);
+  assert.match(content, /<a href="https:\/\/example\.com\/crossings" target="_blank" rel="noopener noreferrer">crossings<\/a>/);
+  assert.doesNotMatch(content, /Share this article/);
+});
+
+test('json format returns image blocks with their captions', () => {
+  const { content } = formatArticle(article, 'json');
+
+  assert.deepEqual(content.map(block => block.type), ['paragraph', 'image', 'heading', 'list']);
+  assert.deepEqual(content[1], {
+    type: 'image',
+    src: 'https://example.com/img/path.jpg',
+    alt: 'Riverside path',
+    caption: 'The path along the river today'
+  });
+});
+
+test('text format separates blocks with blank lines', () => {
+  assert.equal(formatArticle(article, 'text').content, [
+    'The council voted 9-2 on Tuesday to approve a riverside bike network.',
+    '',
+    '[Image: The path along the river today]',
+    '',
+    'What changes',
+    '',
+    '- Protected lanes',
+    '- Twelve new crossings'
+  ].join('\n'));
+});
+
+test('blocksToText numbers ordered lists and prefixes quotes', () => {
+  const text = blocksToText([
+    { type: 'list', ordered: true, start: 9, items: [[{ type: 'paragraph', text: 'nine' }], [{ type: 'paragraph', text: 'ten\nmore' }]] },
+    { type: 'quote', blocks: [{ type: 'paragraph', text: 'one' }, { type: 'paragraph', text: 'two' }] },
+    { type: 'table', header: ['A', 'B'], rows: [['1', '2']] },
+    { type: 'image', src: 'https://example.com/a.png', alt: '' },
+    { type: 'rule' }
+  ]);
+
+  assert.equal(text, '9. nine\n10. ten\n    more\n\n> one\n>\n> two\n\nA | B\n1 | 2');
+});
+
+test('debug adds the cleaning report', () => {
+  const { cleaning } = formatArticle(article, 'text', { debug: true });
+
+  assert.equal(cleaning.rules, 'generic');
+  assert.deepEqual(cleaning.dropped.map(entry => entry.text), ['Skip to main content', 'Share this article']);
+});
+
+test('empty content gives empty output in every format', () => {
+  const empty = { url: 'https://example.com/a', content: '' };
+
+  assert.equal(formatArticle(empty, 'markdown').content, '');
+  assert.equal(formatArticle(empty, 'html').content, '');
+  assert.equal(formatArticle(empty, 'text').content, '');
+  assert.deepEqual(formatArticle(empty, 'json').content, []);
+});
+
+test('/api/reader renders the replayed article in the requested format', async t => {
+  const names = ['UPSTREAM_MODE', 'RATE_LIMIT'];
+  const previous = names.map(name => process.env[name]);
+  t.after(() => names.forEach((name, index) => {
+    if (previous[index] === undefined) delete process.env[name];
+    else process.env[name] = previous[index];
+  }));
+  process.env.UPSTREAM_MODE = 'replay';
+  process.env.RATE_LIMIT = 'off';
+
+  const request = async query => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+    await readerHandler({ method: 'GET', query, headers: {}, socket: {} }, res);
+    return res;
+  };
+  const url = 'https://example.com/news/riverside-bike-network';
+
+  const json = await request({ url, format: 'json' });
+  assert.equal(json.statusCode, 200);
+  assert.equal(json.body.format, 'json');
+  assert.equal(json.body.title, 'City council approves new riverside bike network');
+  assert.deepEqual(json.body.content.find(block => block.type === 'table').header, ['Phase', 'Length', 'Opens']);
+
+  const html = await request({ url, format: 'html', debug: 'true' });
+  assert.match(html.body.content, /^<p>The city council voted 9-2/);
+  assert.ok(html.body.cleaning.dropped.some(entry => entry.text === 'Skip to main content'));
+
+  const invalid = await request({ url, format: 'pdf' });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.code, 'INVALID_PARAM');
+});
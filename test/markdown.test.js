@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Markdown = require('../lib/reader/markdown');
+
+const options = { baseUrl: 'https://example.com/news/story' };
+const render = markdown => Markdown.render(markdown, options);
+const LINK_ATTRS = 'target="_blank" rel="noopener noreferrer"';
+
+test('render handles headings, paragraphs and inline emphasis', () => {
+  assert.equal(render('# Title'), '<h1>Title</h1>');
+  assert.equal(
+    render('Some *em*, **strong**, ~~del~~ and `a < b`'),
+    '<p>Some <em>em</em>, <strong>strong</strong>, <del>del</del> and <code>a &lt; b</code></p>'
+  );
+  assert.equal(render('*a **b** c*'), '<p><em>a <strong>b</strong> c</em></p>');
+  assert.equal(render('a  \nb'), '<p>a<br>\nb</p>');
+  assert.equal(render('***'), '<hr>');
+});
+
+test('render handles lists, quotes and fenced code', () => {
+  assert.equal(render('- a\n- b'), '<ul>\n<li>a</li>\n<li>b</li>\n</ul>');
+  assert.equal(render('3. three\n4. four'), '<ol start="3">\n<li>three</li>\n<li>four</li>\n</ol>');
+  assert.equal(render('> quote\n> more'), '<blockquote>\n<p>quote\nmore</p>\n</blockquote>');
+  assert.equal(render('```js\nlet a = 1 < 2;\n```'), '<pre><code class="language-js">let a = 1 &lt; 2;\n</code></pre>');
+});
+
+test('render handles GFM tables with alignment', () => {
+  assert.equal(
+    render('| A | B |\n|:--|--:|\n| 1 | 2 |'),
+    '<div class="table-wrapper"><table>\n<thead>\n<tr><th align="left">A</th><th align="right">B</th></tr>\n</thead>\n' +
+      '<tbody>\n<tr><td align="left">1</td><td align="right">2</td></tr>\n</tbody>\n</table></div>'
+  );
+});
+
+test('render resolves links and images against the article URL', () => {
+  assert.equal(render('[rel](../other)'), `<p><a href="https://example.com/other" ${LINK_ATTRS}>rel</a></p>`);
+  assert.equal(render('![img](/i.png "T")'), '<p><img src="https://example.com/i.png" alt="img" title="T" loading="lazy"></p>');
+  assert.equal(render('[ref]\n\n[ref]: https://example.com/r'), `<p><a href="https://example.com/r" ${LINK_ATTRS}>ref</a></p>`);
+  assert.equal(render('Visit https://example.org now'), `<p>Visit <a href="https://example.org" ${LINK_ATTRS}>https://example.org</a> now</p>`);
+});
+
+test('render escapes raw HTML and drops unsafe URLs', () => {
+  assert.equal(render('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+  assert.equal(render('<img src=x onerror="alert(1)">'), '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>');
+  assert.doesNotMatch(render('[bad](javascript:alert(1))'), /href/);
+  assert.doesNotMatch(render('[bad](JaVaScRiPt:alert(1))'), /href/);
+  assert.doesNotMatch(render('![y](data:text/html,hi)'), /<img/);
+  assert.match(render('![x](data:image/png;base64,AA)'), /<img src="data:image\/png;base64,AA"/);
+});
+
+test('toBlocks returns a JSON-friendly block tree', () => {
+  const blocks = Markdown.toBlocks([
+    '## Head',
+    'Para *x* &amp; &#8217;',
+    '- one\n- two',
+    '> q',
+    '```py\nx\n```',
+    '| A |\n|---|\n| 1 |',
+    '---'
+  ].join('\n\n'), options);
+
+  assert.deepEqual(blocks, [
+    { type: 'heading', level: 2, text: 'Head', html: 'Head' },
+    { type: 'paragraph', text: 'Para x & ’', html: 'Para <em>x</em> &amp; &#8217;' },
+    { type: 'list', ordered: false, items: [[{ type: 'paragraph', text: 'one', html: 'one' }], [{ type: 'paragraph', text: 'two', html: 'two' }]] },
+    { type: 'quote', blocks: [{ type: 'paragraph', text: 'q', html: 'q' }] },
+    { type: 'code', language: 'py', text: 'x\n' },
+    { type: 'table', align: [null], header: ['A'], rows: [['1']] },
+    { type: 'rule' }
+  ]);
+});
+
+test('toBlocks turns image paragraphs into image blocks with captions', () => {
+  assert.deepEqual(Markdown.toBlocks('![A](/a.png)\nCaption beside it', options), [
+    { type: 'image', src: 'https://example.com/a.png', alt: 'A', caption: 'Caption beside it' }
+  ]);
+  assert.deepEqual(Markdown.toBlocks('![A](/a.png)\n\n*Italic caption*', options), [
+    { type: 'image', src: 'https://example.com/a.png', alt: 'A', caption: 'Italic caption' }
+  ]);
+  assert.deepEqual(Markdown.toBlocks('[![A](/a.png "Title")](/gallery)', options), [
+    { type: 'image', src: 'https://example.com/a.png', alt: 'A', title: 'Title', caption: 'Title', href: 'https://example.com/gallery' }
+  ]);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseJinaResponse } = require('../lib/reader/metadata');
+
+const RESPONSE = [
+  'Title: Open-source browser engine reaches first stable release',
+  '',
+  'URL Source: https://example.org/tech/browser-engine-stable',
+  '',
+  'Published Time: Mon, 19 Oct 2026 07:40:00 GMT',
+  '',
+  'Description: Six years in the making',
+  '',
+  'Markdown Content:',
+  '![Site logo](https://example.org/logo.png)',
+  '',
+  '![Release party](https://cdn.example.org/party.jpg "The team")',
+  '',
+  'By **Priya Raman** | Example Tech',
+  '',
+  'After six years of development, the engine has shipped.'
+].join('\n');
+
+test('parseJinaResponse splits the header fields from the body', () => {
+  const result = parseJinaResponse(RESPONSE);
+
+  assert.equal(result.title, 'Open-source browser engine reaches first stable release');
+  assert.equal(result.url, 'https://example.org/tech/browser-engine-stable');
+  assert.equal(result.description, 'Six years in the making');
+  assert.equal(result.publishedTime, '2026-10-19T07:40:00.000Z');
+  assert.ok(result.content.startsWith('![Site logo]'));
+  assert.ok(result.content.endsWith('the engine has shipped.'));
+  assert.doesNotMatch(result.content, /Markdown Content:/);
+});
+
+test('parseJinaResponse takes the byline without the outlet name', () => {
+  assert.equal(parseJinaResponse(RESPONSE).author, 'Priya Raman');
+  assert.equal(parseJinaResponse('Markdown Content:\nJane Doe, Staff Writer\n\nWritten by Jane Doe, Staff Writer').author, 'Jane Doe');
+});
+
+test('parseJinaResponse skips logos when picking the lead image', () => {
+  assert.equal(parseJinaResponse(RESPONSE).image, 'https://cdn.example.org/party.jpg');
+  assert.equal(parseJinaResponse('Markdown Content:\n![](data:image/png;base64,AAAA)').image, '');
+});
+
+test('parseJinaResponse keeps unparseable dates as given', () => {
+  assert.equal(parseJinaResponse('Published Time: last Tuesday\n\nMarkdown Content:\nText').publishedTime, 'last Tuesday');
+});
+
+test('parseJinaResponse treats a response without a header as all body', () => {
+  const result = parseJinaResponse('Just some text: with a colon\n\nAnd more.');
+
+  assert.equal(result.title, '');
+  assert.equal(result.content, 'Just some text: with a colon\n\nAnd more.');
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const newsapi = require('../lib/providers/newsapi');
+const { getUpstreamStatus } = require('../lib/status');
+
+/**
+ * Replay NewsAPI from a temporary fixtures directory
+ * @returns {Function} respond(status, json) - Answer every /everything request with this
+ */
+async function replay(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'newshub-fixtures-test-'));
+  const names = ['UPSTREAM_MODE', 'UPSTREAM_FIXTURES_DIR'];
+  const previous = names.map(name => process.env[name]);
+  t.after(() => {
+    names.forEach((name, index) => {
+      if (previous[index] === undefined) delete process.env[name];
+      else process.env[name] = previous[index];
+    });
+    return fs.rm(dir, { recursive: true, force: true });
+  });
+  process.env.UPSTREAM_MODE = 'replay';
+  process.env.UPSTREAM_FIXTURES_DIR = dir;
+  await fs.mkdir(path.join(dir, 'newsapi.org'));
+
+  return (status, json) => fs.writeFile(
+    path.join(dir, 'newsapi.org', 'v2_everything.default.json'),
+    JSON.stringify({ response: { status, headers: { 'content-type': 'application/json' }, json } })
+  );
+}
+
+test('request errors leave the recorded NewsAPI health alone', async t => {
+  const respond = await replay(t);
+
+  await respond(200, { status: 'ok', totalResults: 0, articles: [] });
+  await newsapi.search({ q: 'bikes' });
+  const healthy = getUpstreamStatus('newsapi');
+  assert.equal(healthy.ok, true);
+
+  await respond(400, { status: 'error', code: 'parameterInvalid', message: 'Bad query' });
+  await assert.rejects(newsapi.search({ q: 'bikes' }), { code: 'UPSTREAM_BAD_REQUEST' });
+  await respond(426, { status: 'error', code: 'parameterInvalid', message: 'Too far in the past' });
+  await assert.rejects(newsapi.search({ q: 'bikes' }), { code: 'UPSTREAM_PLAN_LIMIT' });
+
+  assert.equal(getUpstreamStatus('newsapi'), healthy);
+});
+
+test('auth failures, rate limits and server errors are recorded', async t => {
+  const respond = await replay(t);
+
+  for (const [status, code] of [[401, 'UPSTREAM_AUTH_FAILED'], [429, 'UPSTREAM_RATE_LIMITED'], [503, 'UPSTREAM_ERROR']]) {
+    await respond(status, { status: 'error', message: 'Nope' });
+    await assert.rejects(newsapi.search({ q: 'bikes' }), { code });
+
+    const recorded = getUpstreamStatus('newsapi');
+    assert.equal(recorded.ok, false);
+    assert.equal(recorded.status, status);
+    assert.equal(recorded.code, code);
+  }
+});
+
+test('transport errors are recorded', async t => {
+  await replay(t);
+
+  // No fixture behaves like an unreachable service
+  await assert.rejects(newsapi.search({ q: 'bikes' }), { code: 'UPSTREAM_UNAVAILABLE' });
+  assert.equal(getUpstreamStatus('newsapi').code, 'UPSTREAM_UNAVAILABLE');
+});
+
+test('replay mode serves headlines and reports ok without NEWS_API_KEY', async t => {
+  const names = ['UPSTREAM_MODE', 'NEWS_PROVIDER', 'NEWS_API_KEY', 'RATE_LIMIT'];
+  const previous = names.map(name => process.env[name]);
+  t.after(() => names.forEach((name, index) => {
+    if (previous[index] === undefined) delete process.env[name];
+    else process.env[name] = previous[index];
+  }));
+  process.env.UPSTREAM_MODE = 'replay';
+  process.env.NEWS_PROVIDER = 'newsapi';
+  process.env.RATE_LIMIT = 'off';
+  delete process.env.NEWS_API_KEY;
+
+  const request = async (handler, query) => {
+    const res = {
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+    await handler({ method: 'GET', query, headers: {}, socket: {} }, res);
+    return res;
+  };
+
+  const headlines = await request(require('../api/headlines'), {});
+  assert.equal(headlines.statusCode, 200);
+  assert.ok(headlines.body.articles.length > 0);
+
+  const status = await request(require('../api/status'), {});
+  assert.equal(status.body.status, 'ok');
+  assert.equal(status.body.providers.newsapi.configured, true);
+
+  process.env.UPSTREAM_MODE = 'live';
+  assert.equal((await request(require('../api/headlines'), {})).body.code, 'MISSING_API_KEY');
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEnum, parseInteger, parsePagination, parseDate, parseList, parseDomains } = require('../lib/params');
+const { CATEGORIES } = require('../lib/locales');
+
+/**
+ * Assert that a parser throws INVALID_PARAM for the parameter
+ */
+function assertInvalid(fn, param) {
+  assert.throws(fn, error => {
+    assert.equal(error.code, 'INVALID_PARAM');
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.details, { param });
+    return true;
+  });
+}
+
+test('parseEnum accepts listed values and falls back when absent', () => {
+  assert.equal(parseEnum({ category: 'science' }, 'category', CATEGORIES, ''), 'science');
+  assert.equal(parseEnum({ category: ' health ' }, 'category', CATEGORIES, ''), 'health');
+  assert.equal(parseEnum({}, 'category', CATEGORIES, ''), '');
+  assert.equal(parseEnum({ category: '' }, 'category', CATEGORIES, 'general'), 'general');
+});
+
+test('parseEnum rejects unknown values, including Object.prototype keys', () => {
+  for (const category of ['weather', 'Science', 'constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+    assertInvalid(() => parseEnum({ category }, 'category', CATEGORIES, ''), 'category');
+  }
+});
+
+test('parameters given more than once are rejected', () => {
+  assertInvalid(() => parseEnum({ category: ['science', 'health'] }, 'category', CATEGORIES, ''), 'category');
+  assertInvalid(() => parseInteger({ page: ['1', '2'] }, 'page'), 'page');
+});
+
+test('parseInteger accepts whole numbers within bounds', () => {
+  assert.equal(parseInteger({ page: '3' }, 'page'), 3);
+  assert.equal(parseInteger({ page: '10' }, 'page', { max: 10 }), 10);
+  assert.equal(parseInteger({}, 'page', { fallback: 1 }), 1);
+
+  for (const page of ['0', '11', '-1', '1.5', '1e2', '0x10', 'two']) {
+    assertInvalid(() => parseInteger({ page }, 'page', { max: 10 }), 'page');
+  }
+});
+
+test('parsePagination applies defaults and limits', () => {
+  assert.deepEqual(parsePagination({}), { page: 1, pageSize: 30 });
+  assert.deepEqual(parsePagination({ page: '2', pageSize: '50' }, { maxPageSize: 50 }), { page: 2, pageSize: 50 });
+  assertInvalid(() => parsePagination({ pageSize: '101' }), 'pageSize');
+  assertInvalid(() => parsePagination({ page: '1001' }), 'page');
+});
+
+test('parseDate accepts ISO 8601 dates and date-times only', () => {
+  assert.equal(parseDate({ from: '2026-10-19' }, 'from'), '2026-10-19');
+  assert.equal(parseDate({ from: '2026-10-19T08:00:00Z' }, 'from'), '2026-10-19T08:00:00Z');
+  assert.equal(parseDate({}, 'from'), undefined);
+
+  for (const from of ['19/10/2026', '2026-13-01', 'yesterday']) {
+    assertInvalid(() => parseDate({ from }, 'from'), 'from');
+  }
+});
+
+test('parseList lowercases, dedupes and validates items', () => {
+  assert.deepEqual(parseList({ searchIn: 'Title, description,title,' }, 'searchIn', { values: ['title', 'description'] }), ['title', 'description']);
+  assertInvalid(() => parseList({ searchIn: 'title,body' }, 'searchIn', { values: ['title', 'description'] }), 'searchIn');
+  assertInvalid(() => parseList({ sources: 'a,b,c' }, 'sources', { max: 2 }), 'sources');
+});
+
+test('parseDomains accepts hostnames only', () => {
+  assert.deepEqual(parseDomains({ domains: 'bbc.co.uk, TechCrunch.com' }, 'domains'), ['bbc.co.uk', 'techcrunch.com']);
+
+  for (const domains of ['localhost', 'https://bbc.co.uk', 'bbc.co.uk/news', '-bad.com']) {
+    assertInvalid(() => parseDomains({ domains }, 'domains'), 'domains');
+  }
+});
@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { refillBucket } = require('../lib/ratelimit/bucket');
+const { createMemoryStore } = require('../lib/ratelimit/memory');
+const { createKvStore } = require('../lib/ratelimit/kv');
+const { withRateLimit, clientKey, parseLimit } = require('../lib/ratelimit');
+
+/**
+ * Just enough of the platform response for the handlers and sendError
+ */
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+test('parseLimit reads "<requests>/<seconds>"', () => {
+  assert.deepEqual(parseLimit('10/60'), { capacity: 10, window: 60, refillRate: 10 / 60 });
+  assert.deepEqual(parseLimit(' 5 / 1 '), { capacity: 5, window: 1, refillRate: 5 });
+  for (const value of [undefined, '', '10', '0/60', '10/0', '-1/60', '1.5/60', 'ten/60']) {
+    assert.equal(parseLimit(value), null, String(value));
+  }
+});
+
+test('refillBucket starts full and refills at the rate up to capacity', () => {
+  const limit = { capacity: 10, refillRate: 2 };
+
+  assert.deepEqual(refillBucket(undefined, limit, 1000), { tokens: 10, updatedAt: 1000 });
+  assert.deepEqual(refillBucket({ tokens: 1, updatedAt: 1000 }, limit, 2500), { tokens: 4, updatedAt: 2500 });
+  assert.deepEqual(refillBucket({ tokens: 9, updatedAt: 1000 }, limit, 60000), { tokens: 10, updatedAt: 60000 });
+  // A clock that goes backwards never drains the bucket
+  assert.deepEqual(refillBucket({ tokens: 3, updatedAt: 5000 }, limit, 4000), { tokens: 3, updatedAt: 4000 });
+});
+
+test('memory store takes a token per request until the bucket is empty', async () => {
+  const store = createMemoryStore();
+  const limit = { capacity: 2, refillRate: 1 };
+
+  assert.deepEqual(await store.take('a', limit, 0), { allowed: true, tokens: 1 });
+  assert.deepEqual(await store.take('a', limit, 0), { allowed: true, tokens: 0 });
+  assert.deepEqual(await store.take('a', limit, 500), { allowed: false, tokens: 0.5 });
+  assert.deepEqual(await store.take('a', limit, 1000), { allowed: true, tokens: 0 });
+  assert.equal((await store.take('b', limit, 1000)).allowed, true);
+});
+
+test('memory store evicts the least recently used bucket', async () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  const limit = { capacity: 1, refillRate: 0.001 };
+
+  await store.take('a', limit, 0);
+  await store.take('b', limit, 0);
+  await store.take('a', limit, 0);
+  await store.take('c', limit, 0);
+
+  // "a" was used after "b", so "b" was evicted and starts full again
+  assert.equal((await store.take('a', limit, 0)).allowed, false);
+  assert.equal((await store.take('b', limit, 0)).allowed, true);
+});
+
+test('KV store passes the limit to the script and parses its reply', async () => {
+  const calls = [];
+  const store = createKvStore({
+    prefix: 'test:',
+    client: {
+      async eval(script, keys, args) {
+        calls.push({ keys, args });
+        return [1, '4.5'];
+      }
+    }
+  });
+
+  assert.deepEqual(await store.take('search:1.2.3.4', { capacity: 5, refillRate: 0.5 }, 1000), { allowed: true, tokens: 4.5 });
+  assert.deepEqual(calls, [{ keys: ['test:search:1.2.3.4'], args: [5, 0.5, 1000] }]);
+});
+
+test('clientKey uses the address the platform reports', () => {
+  const key = (headers, remoteAddress) => clientKey({ headers, socket: { remoteAddress } });
+
+  assert.equal(key({ 'x-real-ip': '9.9.9.9', 'x-forwarded-for': '1.1.1.1, 8.8.8.8' }), '9.9.9.9');
+  // Earlier X-Forwarded-For entries come from the client
+  assert.equal(key({ 'x-forwarded-for': '1.1.1.1, 8.8.8.8' }), '8.8.8.8');
+  assert.equal(key({}, '10.0.0.9'), '10.0.0.9');
+  assert.equal(key({}, undefined), 'unknown');
+});
+
+test('clientKey groups IPv6 clients by /64 and unmaps IPv4', () => {
+  const key = remoteAddress => clientKey({ headers: {}, socket: { remoteAddress } });
+
+  assert.equal(key('2001:db8::1'), '2001:db8:0:0::/64');
+  assert.equal(key('2001:db8:0:0:ffff::2'), '2001:db8:0:0::/64');
+  assert.equal(key('2001:db8:0:1::1'), '2001:db8:0:1::/64');
+  assert.equal(key('::ffff:5.6.7.8'), '5.6.7.8');
+});
+
+test('withRateLimit sets RateLimit headers and answers 429 once the bucket is empty', async t => {
+  const names = ['RATE_LIMIT', 'RATE_LIMIT_STORE', 'RATE_LIMIT_TESTROUTE'];
+  const previous = names.map(name => process.env[name]);
+  t.after(() => names.forEach((name, index) => {
+    if (previous[index] === undefined) delete process.env[name];
+    else process.env[name] = previous[index];
+  }));
+
+  delete process.env.RATE_LIMIT;
+  delete process.env.RATE_LIMIT_STORE;
+  process.env.RATE_LIMIT_TESTROUTE = '2/60';
+
+  let handled = 0;
+  const handler = withRateLimit('testroute', async (req, res) => {
+    handled++;
+    res.status(200).json({ success: true });
+  });
+  const request = () => {
+    const res = fakeResponse();
+    return handler({ headers: { 'x-real-ip': '203.0.113.7' }, socket: {} }, res).then(() => res);
+  };
+
+  const first = await request();
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.headers['ratelimit-policy'], '2;w=60');
+  assert.equal(first.headers['ratelimit-limit'], '2');
+  assert.equal(first.headers['ratelimit-remaining'], '1');
+
+  await request();
+  const limited = await request();
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.body.code, 'RATE_LIMITED');
+  assert.equal(limited.headers['ratelimit-remaining'], '0');
+  assert.ok(Number(limited.headers['retry-after']) > 0);
+  assert.equal(handled, 2);
+
+  process.env.RATE_LIMIT = 'off';
+  assert.equal((await request()).statusCode, 200);
+  assert.equal(handled, 3);
+});
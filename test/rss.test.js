@@ -0,0 +1,161 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const rss = require('../lib/providers/rss');
+
+const RSS_FEED = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>Example &amp; Co</title>
+    <link>https://example.com/</link>
+    <item>
+      <title><![CDATA[Council <b>approves</b> bike network]]></title>
+      <link>https://example.com/news/bikes?utm_source=rss</link>
+      <description>&lt;p&gt;Fourteen kilometres of &lt;em&gt;protected&lt;/em&gt; lanes.&lt;/p&gt;&lt;img src="/img/bikes.jpg"&gt;</description>
+      <dc:creator>Dana Okafor</dc:creator>
+      <pubDate>Tue, 20 Oct 2026 08:15:00 GMT</pubDate>
+    </item>
+    <item>
+      <title>Undated story</title>
+      <guid>/news/undated</guid>
+      <media:content url="https://cdn.example.com/a.jpg" medium="image"/>
+    </item>
+    <item>
+      <title>Council approves bike network</title>
+      <link>https://example.com/news/bikes/</link>
+    </item>
+    <item>
+      <title>No link at all</title>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM_FEED = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Atom Site</title>
+  <entry>
+    <title>Entry one</title>
+    <link rel="enclosure" href="https://example.org/one.mp3"/>
+    <link rel="alternate" href="https://example.org/one"/>
+    <summary>Short &amp; sweet</summary>
+    <author><name>Sam Lee</name></author>
+    <updated>2026-10-19T07:40:00Z</updated>
+  </entry>
+</feed>`;
+
+test('parseFeed reads RSS 2.0 items into the shared article shape', () => {
+  const [article] = rss.parseFeed(RSS_FEED, 'https://example.com/feed.xml');
+
+  assert.equal(article.title, 'Council approves bike network');
+  assert.equal(article.description, 'Fourteen kilometres of protected lanes.');
+  assert.equal(article.url, 'https://example.com/news/bikes?utm_source=rss');
+  assert.equal(article.canonicalUrl, 'https://example.com/news/bikes');
+  assert.equal(article.author, 'Dana Okafor');
+  assert.equal(article.publishedAt, '2026-10-20T08:15:00.000Z');
+  assert.deepEqual(article.source, { id: null, name: 'Example & Co', domain: 'example.com' });
+  assert.match(article.id, /^[0-9a-f]{16}$/);
+});
+
+test('parseFeed resolves relative links and images against the feed', () => {
+  const articles = rss.parseFeed(RSS_FEED, 'https://example.com/feed.xml');
+
+  assert.equal(articles[0].image, 'https://example.com/img/bikes.jpg');
+  assert.equal(articles[1].url, 'https://example.com/news/undated');
+  assert.equal(articles[1].image, 'https://cdn.example.com/a.jpg');
+});
+
+test('parseFeed leaves missing fields null', () => {
+  const undated = rss.parseFeed(RSS_FEED, 'https://example.com/feed.xml')[1];
+
+  assert.equal(undated.publishedAt, null);
+  assert.equal(undated.author, null);
+  assert.equal(undated.description, '');
+});
+
+test('parseFeed drops entries without a link and duplicate URLs', () => {
+  const articles = rss.parseFeed(RSS_FEED, 'https://example.com/feed.xml');
+
+  assert.deepEqual(articles.map(article => article.title), ['Council approves bike network', 'Undated story']);
+});
+
+test('parseFeed reads Atom entries and prefers the alternate link', () => {
+  const [entry] = rss.parseFeed(ATOM_FEED, 'https://example.org/atom');
+
+  assert.equal(entry.url, 'https://example.org/one');
+  assert.equal(entry.title, 'Entry one');
+  assert.equal(entry.description, 'Short & sweet');
+  assert.equal(entry.author, 'Sam Lee');
+  assert.equal(entry.publishedAt, '2026-10-19T07:40:00.000Z');
+  assert.equal(entry.source.name, 'Atom Site');
+  assert.equal(entry.image, null);
+});
+
+test('parseFeed falls back to the feed hostname as the source name', () => {
+  const [article] = rss.parseFeed('<rss><channel><item><title>Hi</title><link>https://news.example.net/a</link></item></channel></rss>', 'https://feeds.example.net/rss');
+
+  assert.equal(article.source.name, 'feeds.example.net');
+});
+
+test('RSS_FEEDS configures categories and feeds', t => {
+  const previous = process.env.RSS_FEEDS;
+  t.after(() => {
+    if (previous === undefined) delete process.env.RSS_FEEDS;
+    else process.env.RSS_FEEDS = previous;
+  });
+
+  delete process.env.RSS_FEEDS;
+  assert.equal(rss.configurationError().code, 'CONFIGURATION_ERROR');
+
+  process.env.RSS_FEEDS = JSON.stringify({ top: ['https://a.example/rss'], technology: 'https://a.example/rss' });
+  assert.equal(rss.configurationError(), null);
+  assert.deepEqual(rss.describe(), { categories: ['top', 'technology'], feeds: 1 });
+});
+
+test('fetchTopHeadlines ignores categories inherited from Object.prototype', async t => {
+  const previous = process.env.RSS_FEEDS;
+  t.after(() => {
+    if (previous === undefined) delete process.env.RSS_FEEDS;
+    else process.env.RSS_FEEDS = previous;
+  });
+  process.env.RSS_FEEDS = JSON.stringify({ world: [] });
+
+  for (const category of ['constructor', '__proto__', 'toString']) {
+    assert.equal((await rss.fetchTopHeadlines({ category })).totalResults, 0, category);
+  }
+  assert.ok(rss.categories().includes('world'));
+  assert.ok(rss.categories().includes('business'));
+});
+
+test('/api/headlines rejects unknown categories with INVALID_PARAM', async t => {
+  const names = ['NEWS_PROVIDER', 'RSS_FEEDS', 'RATE_LIMIT'];
+  const previous = names.map(name => process.env[name]);
+  t.after(() => names.forEach((name, index) => {
+    if (previous[index] === undefined) delete process.env[name];
+    else process.env[name] = previous[index];
+  }));
+  process.env.NEWS_PROVIDER = 'rss';
+  process.env.RSS_FEEDS = JSON.stringify({ top: ['https://feeds.example.com/rss'] });
+  process.env.RATE_LIMIT = 'off';
+
+  const handler = require('../api/headlines');
+  for (const category of ['constructor', '__proto__', 'nonsense']) {
+    const res = {
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+    await handler({ method: 'GET', query: { category }, headers: {}, socket: {} }, res);
+
+    assert.equal(res.statusCode, 400, category);
+    assert.equal(res.body.code, 'INVALID_PARAM');
+    assert.equal(res.body.param, 'category');
+  }
+});
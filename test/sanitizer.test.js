@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// js/sanitizer.js is a browser global; run it in a jsdom window
+const { window } = new JSDOM('', { runScripts: 'outside-only' });
+window.eval(`${fs.readFileSync(path.join(__dirname, '../js/sanitizer.js'), 'utf8')}\nwindow.Sanitizer = Sanitizer;`);
+const { Sanitizer } = window;
+
+const sanitize = html => Sanitizer.sanitize(html);
+
+test('sanitize removes scripts, frames, forms and SVG with their content', () => {
+  assert.equal(sanitize('<p>ok</p><script>alert(1)</script>'), '<p>ok</p>');
+  assert.equal(sanitize('<iframe src="https://evil.example"></iframe><p>ok</p>'), '<p>ok</p>');
+  assert.equal(sanitize('<form action="/x"><input name="a"><button>Go</button></form>'), '');
+  assert.equal(sanitize('<svg><script>alert(1)</script></svg><math><mi>x</mi></math>'), '');
+  assert.equal(sanitize('<style>body{display:none}</style><noscript><img src=x></noscript>'), '');
+  assert.equal(sanitize('<p>a<!-- comment -->b</p>'), '<p>ab</p>');
+});
+
+test('sanitize removes event handlers and unknown attributes', () => {
+  assert.equal(sanitize('<img src="a.png" onerror="alert(1)" style="x">'), '<img src="a.png" loading="lazy" referrerpolicy="no-referrer">');
+  assert.equal(sanitize('<p onclick="alert(1)" id="x" lang="en">hi</p>'), '<p lang="en">hi</p>');
+});
+
+test('sanitize unwraps elements that are not allowed, keeping their text', () => {
+  assert.equal(sanitize('<font color="red"><b>bold</b> text</font>'), '<b>bold</b> text');
+  assert.equal(sanitize('<custom-element>inside</custom-element>'), 'inside');
+});
+
+test('sanitize drops unsafe URLs', () => {
+  assert.equal(sanitize('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+  assert.equal(sanitize('<a href=" java\tscript:alert(1)">x</a>'), '<a>x</a>');
+  assert.equal(sanitize('<a href="vbscript:x">x</a>'), '<a>x</a>');
+  assert.equal(sanitize('<img src="javascript:alert(1)">'), '');
+  assert.equal(sanitize('<a href="data:text/html;base64,PHNjcmlwdD4=">x</a>'), '<a>x</a>');
+  assert.equal(sanitize('<img src="data:image/svg+xml;base64,PHN2Zz4=">'), '');
+  assert.equal(sanitize('<blockquote cite="javascript:x">q</blockquote>'), '<blockquote>q</blockquote>');
+});
+
+test('sanitize keeps safe URLs and inline raster images', () => {
+  assert.equal(sanitize('<a href="mailto:a@example.com">mail</a>'), '<a href="mailto:a@example.com" target="_blank" rel="noopener noreferrer">mail</a>');
+  assert.equal(sanitize('<a href="/relative">rel</a>'), '<a href="/relative" target="_blank" rel="noopener noreferrer">rel</a>');
+  assert.equal(
+    sanitize('<img src="data:image/png;base64,iVBORw0KGgo=" alt="dot">'),
+    '<img src="data:image/png;base64,iVBORw0KGgo=" alt="dot" loading="lazy" referrerpolicy="no-referrer">'
+  );
+});
+
+test('sanitize opens external links in a new tab and leaves fragment links alone', () => {
+  assert.equal(
+    sanitize('<a href="https://example.com" target="_self" rel="opener">x</a>'),
+    '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>'
+  );
+  assert.equal(sanitize('<a href="#note-1">1</a>'), '<a href="#note-1">1</a>');
+});
+
+test('sanitize keeps only the classes the server renderer emits', () => {
+  assert.equal(sanitize('<div class="modal reader-note table-wrapper">x</div>'), '<div class="table-wrapper">x</div>');
+  assert.equal(sanitize('<mark class="reader-highlight">x</mark><p class="reader-speaking reader-retry error-text">y</p>'), '<mark>x</mark><p>y</p>');
+  assert.equal(sanitize('<span class="btn-primary">x</span>'), '<span>x</span>');
+  assert.equal(sanitize('<pre><code class="language-js">1</code></pre>'), '<pre><code class="language-js">1</code></pre>');
+});
+
+test('sanitize removes buttons and data-action from article content', () => {
+  assert.equal(sanitize('<p>Read on</p><button type="submit" data-action="retry">Retry</button>'), '<p>Read on</p>');
+  assert.equal(sanitize('<div data-action="retry"><span data-action="delete">x</span></div>'), '<div><span>x</span></div>');
+});
+
+test('sanitize handles empty input and mutation XSS payloads', () => {
+  assert.equal(sanitize(''), '');
+  assert.equal(sanitize(null), '');
+  assert.doesNotMatch(sanitize('<noscript><p title="</noscript><img src=x onerror=alert(1)>">'), /onerror/);
+  assert.doesNotMatch(sanitize('<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>'), /onerror/);
+});
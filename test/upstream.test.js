@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { upstreamFetch, createDeadline } = require('../lib/upstream');
+
+let server;
+let port;
+const hits = {};
+
+const routes = {
+  '/flaky': (req, res) => {
+    res.statusCode = hits['/flaky'] === 1 ? 503 : 200;
+    res.end(res.statusCode === 200 ? 'recovered' : 'busy');
+  },
+  '/down': (req, res) => {
+    res.statusCode = 503;
+    res.end('busy');
+  },
+  '/slow': (req, res) => setTimeout(() => res.end('slow'), 50),
+  '/stall': (req, res) => {
+    // Headers and part of the body, then nothing
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.write('partial');
+  },
+  '/drop': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Length': '100' });
+    res.write('partial', () => req.socket.destroy());
+  },
+  '/big': (req, res) => res.end('x'.repeat(2000)),
+  '/late': (req, res) => setTimeout(() => res.end('late'), 500)
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    hits[path] = (hits[path] || 0) + 1;
+    res.setHeader('Content-Type', 'text/plain');
+    if (routes[path]) return routes[path](req, res);
+    res.end(`host=${req.headers.host}`);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+});
+
+const url = path => `http://127.0.0.1:${port}${path}`;
+
+test('upstreamFetch connects to the validated addresses instead of resolving the host', async () => {
+  // .invalid never resolves, so reaching the server proves the lookup was pinned
+  const response = await upstreamFetch(`http://article.invalid:${port}/story`, {
+    addresses: ['127.0.0.1'],
+    retries: 0
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), `host=article.invalid:${port}`);
+});
+
+test('upstreamFetch only tries the validated addresses', async () => {
+  // The server listens on 127.0.0.1 only
+  await assert.rejects(
+    upstreamFetch(`http://localhost:${port}/`, { addresses: ['::1'], retries: 0 }),
+    { code: 'UPSTREAM_UNAVAILABLE' }
+  );
+});
+
+test('upstreamFetch retries 5xx responses', async () => {
+  const response = await upstreamFetch(url('/flaky'), { retries: 1, baseDelay: 1 });
+
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), 'recovered');
+  assert.equal(hits['/flaky'], 2);
+});
+
+test('upstreamFetch returns the last response once retries run out', async () => {
+  const response = await upstreamFetch(url('/down'), { retries: 2, baseDelay: 1 });
+
+  assert.equal(response.status, 503);
+  assert.equal(hits['/down'], 3);
+});
+
+test('upstreamFetch shares one upstream call between identical concurrent requests', async () => {
+  const responses = await Promise.all([upstreamFetch(url('/slow')), upstreamFetch(url('/slow'))]);
+
+  assert.deepEqual(await Promise.all(responses.map(response => response.text())), ['slow', 'slow']);
+  assert.equal(hits['/slow'], 1);
+});
+
+test('upstreamFetch reports a body that stalls as a timeout', async () => {
+  await assert.rejects(
+    upstreamFetch(url('/stall'), { timeout: 100, retries: 0, service: 'Stalling' }),
+    { code: 'UPSTREAM_TIMEOUT', message: 'Stalling did not respond in time' }
+  );
+});
+
+test('upstreamFetch reports a dropped connection as unavailable', async () => {
+  await assert.rejects(upstreamFetch(url('/drop'), { retries: 0 }), { code: 'UPSTREAM_UNAVAILABLE' });
+});
+
+test('upstreamFetch rejects bodies over maxBytes', async () => {
+  await assert.rejects(upstreamFetch(url('/big'), { maxBytes: 1000 }), { code: 'CONTENT_TOO_LARGE' });
+});
+
+test('upstreamFetch stops at a shared deadline even if its own budget remains', async () => {
+  const started = Date.now();
+
+  await assert.rejects(upstreamFetch(url('/late'), { deadline: createDeadline(50) }), { code: 'UPSTREAM_TIMEOUT' });
+  assert.ok(Date.now() - started < 400);
+});
+
+test('upstreamFetch does not start once the deadline has passed', async () => {
+  await assert.rejects(upstreamFetch(url('/late'), { deadline: Date.now() - 1, service: 'Late' }), {
+    code: 'UPSTREAM_TIMEOUT',
+    message: 'Late did not respond in time'
+  });
+  assert.equal(hits['/late'], 1);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// js/zip.js is a browser global that only needs Blob and TextEncoder
+const Zip = vm.runInNewContext(`${fs.readFileSync(path.join(__dirname, '../js/zip.js'), 'utf8')}\nZip;`, { Blob, TextEncoder });
+
+/**
+ * Read the entries back through the central directory
+ * @param {Buffer} buffer - ZIP archive
+ * @returns {Array<Object>} {name, flags, method, crc, data}
+ */
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  assert.equal(buffer.readUInt32LE(end), 0x06054b50);
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(offset), 0x02014b50);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const local = buffer.readUInt32LE(offset + 42);
+    const size = buffer.readUInt32LE(offset + 24);
+
+    assert.equal(buffer.readUInt32LE(local), 0x04034b50);
+    const localNameLength = buffer.readUInt16LE(local + 26);
+    const start = local + 30 + localNameLength + buffer.readUInt16LE(local + 28);
+
+    entries.push({
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      crc: buffer.readUInt32LE(offset + 16),
+      data: buffer.subarray(start, start + size)
+    });
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+test('crc32 matches the IEEE check values', () => {
+  assert.equal(Zip.crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+  assert.equal(Zip.crc32(new Uint8Array(0)), 0);
+  assert.equal(Zip.crc32(new TextEncoder().encode('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+});
+
+test('crc32 handles every byte value', () => {
+  // Checksum from zlib.crc32
+  const bytes = new Uint8Array(1024).map((_, index) => (index * 31) & 0xff);
+  assert.equal(Zip.crc32(bytes), 0xb9c31865);
+});
+
+test('dosDateTime packs local time with two-second precision and clamps to 1980', () => {
+  const { time, date } = Zip.dosDateTime(new Date(2026, 9, 19, 13, 45, 31));
+  assert.equal(time, (13 << 11) | (45 << 5) | 15);
+  assert.equal(date, ((2026 - 1980) << 9) | (10 << 5) | 19);
+  assert.equal(Zip.dosDateTime(new Date(1970, 0, 1)).date >> 9, 0);
+});
+
+test('create writes stored entries in order with UTF-8 names', async () => {
+  const image = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0, 255]);
+  const blob = Zip.create([
+    { name: 'mimetype', data: 'application/epub+zip' },
+    { name: 'OEBPS/café.xhtml', data: '<p>Grüße</p>' },
+    { name: 'OEBPS/cover.png', data: image }
+  ], 'application/epub+zip');
+
+  assert.equal(blob.type, 'application/epub+zip');
+
+  const buffer = Buffer.from(await blob.arrayBuffer());
+  // EPUB readers look for the uncompressed mimetype at a fixed offset
+  assert.equal(buffer.toString('ascii', 30, 38), 'mimetype');
+  assert.equal(buffer.toString('ascii', 38, 58), 'application/epub+zip');
+
+  const entries = readZip(buffer);
+  assert.deepEqual(entries.map(entry => entry.name), ['mimetype', 'OEBPS/café.xhtml', 'OEBPS/cover.png']);
+  assert.equal(entries[1].data.toString('utf8'), '<p>Grüße</p>');
+  assert.deepEqual([...entries[2].data], [...image]);
+
+  for (const entry of entries) {
+    assert.equal(entry.method, 0);
+    assert.equal(entry.flags, 0x0800);
+    assert.equal(entry.crc, Zip.crc32(entry.data));
+  }
+});
+
+test('create makes a valid empty archive', async () => {
+  const buffer = Buffer.from(await Zip.create([]).arrayBuffer());
+
+  assert.equal(buffer.length, 22);
+  assert.deepEqual(readZip(buffer), []);
+});